@@ -0,0 +1,47 @@
+require('dotenv').config();
+const db = require('../models');
+const cartRecoveryService = require('../services/cartRecoveryService');
+
+// Minutes between runs when scheduled inside the server
+const INTERVAL_MINUTES = parseInt(process.env.ABANDONED_CART_INTERVAL_MINUTES, 10) || 60;
+
+// Find abandoned carts and send reminders once
+const runAbandonedCartJob = async () => {
+  try {
+    const { found, sent, failed } = await cartRecoveryService.run();
+    if (found > 0) {
+      console.log(`🛒 Abandoned carts: ${found} found, ${sent} reminded, ${failed} failed`);
+    }
+  } catch (error) {
+    console.error('Abandoned cart job error:', error);
+  }
+};
+
+// Run the job on a timer. Returns the timer so the caller can stop it.
+const scheduleAbandonedCartJob = () => {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    // Skip a tick rather than overlap a slow run
+    if (running) return;
+    running = true;
+    await runAbandonedCartJob();
+    running = false;
+  }, INTERVAL_MINUTES * 60 * 1000);
+
+  // Do not keep the process alive just for this timer
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  runAbandonedCartJob,
+  scheduleAbandonedCartJob
+};
+
+// Allow a one-off run from cron: node jobs/abandonedCarts.js
+if (require.main === module) {
+  runAbandonedCartJob()
+    .then(() => db.sequelize.close())
+    .then(() => process.exit(0));
+}
@@ -0,0 +1,38 @@
+require('dotenv').config();
+const db = require('../models');
+
+// Minutes between sweeps when scheduled inside the server
+const INTERVAL_MINUTES = parseInt(process.env.STOCK_RESERVATION_SWEEP_MINUTES, 10) || 5;
+
+// Delete checkout stock holds that have expired
+const runReservationSweep = async () => {
+  try {
+    const released = await db.StockReservation.releaseExpired();
+    if (released > 0) {
+      console.log(`📦 Released ${released} expired stock reservations`);
+    }
+  } catch (error) {
+    console.error('Stock reservation sweep error:', error);
+  }
+};
+
+// Run the sweep on a timer. Returns the timer so the caller can stop it.
+const scheduleReservationSweep = () => {
+  const timer = setInterval(runReservationSweep, INTERVAL_MINUTES * 60 * 1000);
+
+  // Do not keep the process alive just for this timer
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  runReservationSweep,
+  scheduleReservationSweep
+};
+
+// Allow a one-off run from cron: node jobs/releaseExpiredReservations.js
+if (require.main === module) {
+  runReservationSweep()
+    .then(() => db.sequelize.close())
+    .then(() => process.exit(0));
+}
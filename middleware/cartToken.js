@@ -0,0 +1,62 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { optionalAuth } = require('./auth');
+
+const CART_TOKEN_HEADER = 'x-cart-token';
+
+// Guest cart tokens outlive a browsing session but not forever
+const CART_TOKEN_EXPIRE = process.env.CART_TOKEN_EXPIRE || '30d';
+
+const getCartTokenSecret = () => process.env.CART_TOKEN_SECRET || process.env.JWT_SECRET;
+
+// Sign a token identifying an anonymous cart
+const generateCartToken = (guestId) => {
+  return jwt.sign({ guestId, type: 'cart' }, getCartTokenSecret(), {
+    expiresIn: CART_TOKEN_EXPIRE
+  });
+};
+
+// Read the guest ID from a cart token. Returns null for missing, expired or
+// tampered tokens so the caller can fall back to a fresh cart.
+const verifyCartToken = (token) => {
+  if (!token) {
+    return null;
+  }
+
+  try {
+    const decoded = jwt.verify(token, getCartTokenSecret());
+    return decoded.type === 'cart' ? decoded.guestId : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Work out whose cart a request is for and set req.cartOwner to
+// { userId } for signed-in users or { guestId } for visitors. Visitors
+// without a valid token get a new guest ID, and req.cartToken is set so
+// the route can hand it back.
+const identifyCart = [
+  optionalAuth,
+  (req, res, next) => {
+    if (req.user) {
+      req.cartOwner = { userId: req.user.id };
+      return next();
+    }
+
+    let guestId = verifyCartToken(req.headers[CART_TOKEN_HEADER]);
+    if (!guestId) {
+      guestId = crypto.randomUUID();
+      req.cartToken = generateCartToken(guestId);
+    }
+
+    req.cartOwner = { guestId };
+    next();
+  }
+];
+
+module.exports = {
+  CART_TOKEN_HEADER,
+  generateCartToken,
+  verifyCartToken,
+  identifyCart
+};
@@ -0,0 +1,61 @@
+const path = require('path');
+const multer = require('multer');
+
+const IMAGE_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+// Create a multer instance that keeps images in memory for the storage
+// backend to take over (see services/imageService)
+const createImageUpload = ({ maxFileSize = 5 * 1024 * 1024, maxFiles = 5 } = {}) => multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: maxFileSize,
+    files: maxFiles
+  },
+  fileFilter: (req, file, cb) => {
+    if (!IMAGE_MIME_TYPES.includes(file.mimetype)) {
+      const error = new Error('Only JPEG, PNG and WebP images are allowed');
+      error.statusCode = 400;
+      return cb(error);
+    }
+    cb(null, true);
+  }
+});
+
+// Create a multer instance that keeps a single CSV file in memory
+const createCsvUpload = ({ maxFileSize = 2 * 1024 * 1024 } = {}) => multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: maxFileSize,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    const isCsv = path.extname(file.originalname).toLowerCase() === '.csv';
+    if (!isCsv) {
+      const error = new Error('Only CSV files are allowed');
+      error.statusCode = 400;
+      return cb(error);
+    }
+    cb(null, true);
+  }
+});
+
+// Wrap a multer middleware so upload errors become 400 responses
+const handleUpload = (uploadMiddleware) => (req, res, next) => {
+  uploadMiddleware(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({ message: `Upload failed: ${error.message}` });
+    }
+
+    return res.status(error.statusCode || 500).json({ message: error.message });
+  });
+};
+
+module.exports = {
+  createImageUpload,
+  createCsvUpload,
+  handleUpload
+};
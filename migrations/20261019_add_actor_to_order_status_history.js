@@ -0,0 +1,59 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      // Check if columns exist before adding them
+      const tableDescription = await queryInterface.describeTable('order_status_history');
+
+      if (!tableDescription.from_status) {
+        await queryInterface.addColumn('order_status_history', 'from_status', {
+          type: Sequelize.STRING(50),
+          allowNull: true
+        }, { transaction });
+      }
+
+      if (!tableDescription.changed_by) {
+        await queryInterface.addColumn('order_status_history', 'changed_by', {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: {
+            model: 'users',
+            key: 'id'
+          },
+          onDelete: 'SET NULL'
+        }, { transaction });
+      }
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      console.error('Migration failed:', error);
+      throw error;
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      const tableDescription = await queryInterface.describeTable('order_status_history');
+
+      if (tableDescription.changed_by) {
+        await queryInterface.removeColumn('order_status_history', 'changed_by', { transaction });
+      }
+
+      if (tableDescription.from_status) {
+        await queryInterface.removeColumn('order_status_history', 'from_status', { transaction });
+      }
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      console.error('Migration rollback failed:', error);
+      throw error;
+    }
+  }
+};
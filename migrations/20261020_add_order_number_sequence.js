@@ -0,0 +1,75 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      // Sequence backing the human-readable order numbers (UT-YYYY-NNNNNN)
+      await queryInterface.sequelize.query(
+        'CREATE SEQUENCE IF NOT EXISTS order_number_seq START WITH 1 INCREMENT BY 1',
+        { transaction }
+      );
+
+      const tableDescription = await queryInterface.describeTable('orders');
+
+      if (!tableDescription.order_number) {
+        await queryInterface.addColumn('orders', 'order_number', {
+          type: Sequelize.STRING(50),
+          allowNull: true
+        }, { transaction });
+      }
+
+      // Backfill orders that were created without a number
+      await queryInterface.sequelize.query(
+        `UPDATE orders
+        SET order_number = 'UT-' || EXTRACT(YEAR FROM created_at)::text || '-' ||
+          LPAD(nextval('order_number_seq')::text, 6, '0')
+        WHERE order_number IS NULL OR order_number = ''`,
+        { transaction }
+      );
+
+      await queryInterface.changeColumn('orders', 'order_number', {
+        type: Sequelize.STRING(50),
+        allowNull: false
+      }, { transaction });
+
+      // Only add the unique index if the column doesn't already have one
+      const indexes = await queryInterface.showIndex('orders', { transaction });
+      const hasUniqueIndex = indexes.some(index =>
+        index.unique && index.fields.some(field => field.attribute === 'order_number')
+      );
+
+      if (!hasUniqueIndex) {
+        await queryInterface.addIndex('orders', ['order_number'], {
+          name: 'orders_order_number_unique',
+          unique: true,
+          transaction
+        });
+      }
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      console.error('Migration failed:', error);
+      throw error;
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.sequelize.query(
+        'DROP SEQUENCE IF EXISTS order_number_seq',
+        { transaction }
+      );
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      console.error('Migration rollback failed:', error);
+      throw error;
+    }
+  }
+};
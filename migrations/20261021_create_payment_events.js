@@ -0,0 +1,98 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.createTable('payment_events', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        provider: {
+          type: Sequelize.STRING(50),
+          allowNull: false
+        },
+        event_id: {
+          type: Sequelize.STRING,
+          allowNull: false
+        },
+        type: {
+          type: Sequelize.STRING(100),
+          allowNull: false
+        },
+        order_id: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: {
+            model: 'orders',
+            key: 'id'
+          },
+          onDelete: 'SET NULL'
+        },
+        payload: {
+          type: Sequelize.JSONB,
+          defaultValue: {}
+        },
+        processed_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        }
+      }, { transaction });
+
+      await queryInterface.addIndex('payment_events', ['provider', 'event_id'], {
+        unique: true,
+        transaction
+      });
+      await queryInterface.addIndex('payment_events', ['order_id'], { transaction });
+
+      // Track the state of any card dispute raised against an order
+      const tableDescription = await queryInterface.describeTable('orders');
+
+      if (!tableDescription.dispute_status) {
+        await queryInterface.addColumn('orders', 'dispute_status', {
+          type: Sequelize.STRING(50),
+          allowNull: true
+        }, { transaction });
+      }
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      console.error('Migration failed:', error);
+      throw error;
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      const tableDescription = await queryInterface.describeTable('orders');
+
+      if (tableDescription.dispute_status) {
+        await queryInterface.removeColumn('orders', 'dispute_status', { transaction });
+      }
+
+      await queryInterface.dropTable('payment_events', { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      console.error('Migration rollback failed:', error);
+      throw error;
+    }
+  }
+};
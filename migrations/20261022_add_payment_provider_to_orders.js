@@ -0,0 +1,69 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      // Check if columns exist before adding them
+      const tableDescription = await queryInterface.describeTable('orders');
+
+      if (!tableDescription.payment_provider) {
+        await queryInterface.addColumn('orders', 'payment_provider', {
+          type: Sequelize.STRING(50),
+          allowNull: true
+        }, { transaction });
+      }
+
+      if (!tableDescription.payment_reference) {
+        await queryInterface.addColumn('orders', 'payment_reference', {
+          type: Sequelize.STRING,
+          allowNull: true
+        }, { transaction });
+      }
+
+      // Existing card orders were paid through Stripe PaymentIntents
+      await queryInterface.sequelize.query(
+        `UPDATE orders
+        SET payment_provider = 'stripe', payment_reference = stripe_payment_intent_id
+        WHERE stripe_payment_intent_id IS NOT NULL AND payment_reference IS NULL`,
+        { transaction }
+      );
+
+      await queryInterface.addIndex('orders', ['payment_provider', 'payment_reference'], {
+        name: 'orders_payment_reference_idx',
+        transaction
+      });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      console.error('Migration failed:', error);
+      throw error;
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.removeIndex('orders', 'orders_payment_reference_idx', { transaction });
+
+      const tableDescription = await queryInterface.describeTable('orders');
+
+      if (tableDescription.payment_reference) {
+        await queryInterface.removeColumn('orders', 'payment_reference', { transaction });
+      }
+
+      if (tableDescription.payment_provider) {
+        await queryInterface.removeColumn('orders', 'payment_provider', { transaction });
+      }
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      console.error('Migration rollback failed:', error);
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,131 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Enum values cannot be added inside a transaction block
+    await queryInterface.sequelize.query(
+      "ALTER TYPE enum_orders_payment_status ADD VALUE IF NOT EXISTS 'partially_refunded'"
+    );
+
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.createTable('refunds', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        order_id: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: {
+            model: 'orders',
+            key: 'id'
+          },
+          onDelete: 'CASCADE'
+        },
+        amount: {
+          type: Sequelize.DECIMAL(10, 2),
+          allowNull: false
+        },
+        shipping_amount: {
+          type: Sequelize.DECIMAL(10, 2),
+          defaultValue: 0
+        },
+        items: {
+          type: Sequelize.JSONB,
+          defaultValue: []
+        },
+        reason: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        provider: {
+          type: Sequelize.STRING(50),
+          allowNull: false
+        },
+        provider_refund_id: {
+          type: Sequelize.STRING,
+          allowNull: true
+        },
+        status: {
+          type: Sequelize.STRING(50),
+          defaultValue: 'pending'
+        },
+        created_by: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: {
+            model: 'users',
+            key: 'id'
+          },
+          onDelete: 'SET NULL'
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        }
+      }, { transaction });
+
+      await queryInterface.addIndex('refunds', ['order_id'], { transaction });
+
+      // Track how much of each order and order item has been refunded
+      const orderDescription = await queryInterface.describeTable('orders');
+
+      if (!orderDescription.refunded_amount) {
+        await queryInterface.addColumn('orders', 'refunded_amount', {
+          type: Sequelize.DECIMAL(10, 2),
+          defaultValue: 0
+        }, { transaction });
+      }
+
+      const orderItemDescription = await queryInterface.describeTable('order_items');
+
+      if (!orderItemDescription.refunded_quantity) {
+        await queryInterface.addColumn('order_items', 'refunded_quantity', {
+          type: Sequelize.INTEGER,
+          defaultValue: 0
+        }, { transaction });
+      }
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      console.error('Migration failed:', error);
+      throw error;
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      const orderItemDescription = await queryInterface.describeTable('order_items');
+
+      if (orderItemDescription.refunded_quantity) {
+        await queryInterface.removeColumn('order_items', 'refunded_quantity', { transaction });
+      }
+
+      const orderDescription = await queryInterface.describeTable('orders');
+
+      if (orderDescription.refunded_amount) {
+        await queryInterface.removeColumn('orders', 'refunded_amount', { transaction });
+      }
+
+      await queryInterface.dropTable('refunds', { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      console.error('Migration rollback failed:', error);
+      throw error;
+    }
+  }
+};
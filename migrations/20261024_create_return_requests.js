@@ -0,0 +1,150 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.createTable('return_requests', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        order_id: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: {
+            model: 'orders',
+            key: 'id'
+          },
+          onDelete: 'CASCADE'
+        },
+        order_item_id: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: {
+            model: 'order_items',
+            key: 'id'
+          },
+          onDelete: 'CASCADE'
+        },
+        user_id: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: {
+            model: 'users',
+            key: 'id'
+          },
+          onDelete: 'CASCADE'
+        },
+        quantity: {
+          type: Sequelize.INTEGER,
+          allowNull: false
+        },
+        reason: {
+          type: Sequelize.ENUM('defective', 'damaged', 'wrong_item', 'not_as_described', 'other'),
+          allowNull: false
+        },
+        description: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        photos: {
+          type: Sequelize.ARRAY(Sequelize.STRING),
+          defaultValue: []
+        },
+        resolution: {
+          type: Sequelize.ENUM('refund', 'replacement'),
+          defaultValue: 'refund'
+        },
+        status: {
+          type: Sequelize.ENUM(
+            'requested',
+            'approved',
+            'pickup_scheduled',
+            'picked_up',
+            'inspection_passed',
+            'inspection_failed',
+            'rejected',
+            'refunded',
+            'replaced'
+          ),
+          defaultValue: 'requested'
+        },
+        admin_notes: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        pickup_date: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        inspection_notes: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        refund_id: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: {
+            model: 'refunds',
+            key: 'id'
+          },
+          onDelete: 'SET NULL'
+        },
+        replacement_order_id: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: {
+            model: 'orders',
+            key: 'id'
+          },
+          onDelete: 'SET NULL'
+        },
+        resolved_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        }
+      }, { transaction });
+
+      await queryInterface.addIndex('return_requests', ['order_id'], { transaction });
+      await queryInterface.addIndex('return_requests', ['user_id'], { transaction });
+      await queryInterface.addIndex('return_requests', ['status'], { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      console.error('Migration failed:', error);
+      throw error;
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.dropTable('return_requests', { transaction });
+      await queryInterface.sequelize.query(
+        'DROP TYPE IF EXISTS enum_return_requests_reason, enum_return_requests_resolution, enum_return_requests_status',
+        { transaction }
+      );
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      console.error('Migration rollback failed:', error);
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,105 @@
+'use strict';
+
+const ORDER_ITEM_TAX_COLUMNS = ['discount', 'taxable_value', 'cgst', 'sgst', 'utgst', 'igst', 'tax_amount'];
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      // Check if columns exist before adding them
+      const productDescription = await queryInterface.describeTable('products');
+
+      if (!productDescription.hsn_code) {
+        await queryInterface.addColumn('products', 'hsn_code', {
+          type: Sequelize.STRING(8),
+          allowNull: true
+        }, { transaction });
+      }
+
+      if (!productDescription.gst_rate) {
+        await queryInterface.addColumn('products', 'gst_rate', {
+          type: Sequelize.DECIMAL(5, 2),
+          allowNull: false,
+          defaultValue: 18
+        }, { transaction });
+      }
+
+      const orderItemDescription = await queryInterface.describeTable('order_items');
+
+      if (!orderItemDescription.hsn_code) {
+        await queryInterface.addColumn('order_items', 'hsn_code', {
+          type: Sequelize.STRING(8),
+          allowNull: true
+        }, { transaction });
+      }
+
+      if (!orderItemDescription.gst_rate) {
+        await queryInterface.addColumn('order_items', 'gst_rate', {
+          type: Sequelize.DECIMAL(5, 2),
+          defaultValue: 0
+        }, { transaction });
+      }
+
+      for (const column of ORDER_ITEM_TAX_COLUMNS) {
+        if (!orderItemDescription[column]) {
+          await queryInterface.addColumn('order_items', column, {
+            type: Sequelize.DECIMAL(10, 2),
+            defaultValue: 0
+          }, { transaction });
+        }
+      }
+
+      const orderDescription = await queryInterface.describeTable('orders');
+
+      if (!orderDescription.tax_breakdown) {
+        await queryInterface.addColumn('orders', 'tax_breakdown', {
+          type: Sequelize.JSONB,
+          defaultValue: {}
+        }, { transaction });
+      }
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      console.error('Migration failed:', error);
+      throw error;
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      const orderDescription = await queryInterface.describeTable('orders');
+
+      if (orderDescription.tax_breakdown) {
+        await queryInterface.removeColumn('orders', 'tax_breakdown', { transaction });
+      }
+
+      const orderItemDescription = await queryInterface.describeTable('order_items');
+
+      for (const column of ['hsn_code', 'gst_rate', ...ORDER_ITEM_TAX_COLUMNS]) {
+        if (orderItemDescription[column]) {
+          await queryInterface.removeColumn('order_items', column, { transaction });
+        }
+      }
+
+      const productDescription = await queryInterface.describeTable('products');
+
+      if (productDescription.gst_rate) {
+        await queryInterface.removeColumn('products', 'gst_rate', { transaction });
+      }
+
+      if (productDescription.hsn_code) {
+        await queryInterface.removeColumn('products', 'hsn_code', { transaction });
+      }
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      console.error('Migration rollback failed:', error);
+      throw error;
+    }
+  }
+};
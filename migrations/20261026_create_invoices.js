@@ -0,0 +1,128 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      // Sequences backing the invoice and credit note number series
+      await queryInterface.sequelize.query(
+        'CREATE SEQUENCE IF NOT EXISTS invoice_number_seq START WITH 1 INCREMENT BY 1',
+        { transaction }
+      );
+      await queryInterface.sequelize.query(
+        'CREATE SEQUENCE IF NOT EXISTS credit_note_number_seq START WITH 1 INCREMENT BY 1',
+        { transaction }
+      );
+
+      await queryInterface.createTable('invoices', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        invoice_number: {
+          type: Sequelize.STRING(50),
+          allowNull: false,
+          unique: true
+        },
+        type: {
+          type: Sequelize.ENUM('invoice', 'credit_note'),
+          allowNull: false,
+          defaultValue: 'invoice'
+        },
+        order_id: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: {
+            model: 'orders',
+            key: 'id'
+          },
+          onDelete: 'CASCADE'
+        },
+        refund_id: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: {
+            model: 'refunds',
+            key: 'id'
+          },
+          onDelete: 'SET NULL'
+        },
+        seller: {
+          type: Sequelize.JSONB,
+          defaultValue: {}
+        },
+        buyer: {
+          type: Sequelize.JSONB,
+          defaultValue: {}
+        },
+        lines: {
+          type: Sequelize.JSONB,
+          defaultValue: []
+        },
+        totals: {
+          type: Sequelize.JSONB,
+          defaultValue: {}
+        },
+        issued_at: {
+          type: Sequelize.DATE,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        }
+      }, { transaction });
+
+      await queryInterface.addIndex('invoices', ['order_id'], { transaction });
+      await queryInterface.addIndex('invoices', ['refund_id'], { transaction });
+
+      // Optional GSTIN for business buyers
+      const orderDescription = await queryInterface.describeTable('orders');
+
+      if (!orderDescription.buyer_gstin) {
+        await queryInterface.addColumn('orders', 'buyer_gstin', {
+          type: Sequelize.STRING(15),
+          allowNull: true
+        }, { transaction });
+      }
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      console.error('Migration failed:', error);
+      throw error;
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      const orderDescription = await queryInterface.describeTable('orders');
+
+      if (orderDescription.buyer_gstin) {
+        await queryInterface.removeColumn('orders', 'buyer_gstin', { transaction });
+      }
+
+      await queryInterface.dropTable('invoices', { transaction });
+      await queryInterface.sequelize.query(
+        'DROP TYPE IF EXISTS enum_invoices_type; DROP SEQUENCE IF EXISTS invoice_number_seq; DROP SEQUENCE IF EXISTS credit_note_number_seq',
+        { transaction }
+      );
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      console.error('Migration rollback failed:', error);
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,107 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      // Check if columns exist before adding them
+      const couponDescription = await queryInterface.describeTable('coupons');
+
+      if (!couponDescription.per_user_limit) {
+        await queryInterface.addColumn('coupons', 'per_user_limit', {
+          type: Sequelize.INTEGER,
+          allowNull: true
+        }, { transaction });
+      }
+
+      if (!couponDescription.applicable_categories) {
+        await queryInterface.addColumn('coupons', 'applicable_categories', {
+          type: Sequelize.ARRAY(Sequelize.STRING),
+          defaultValue: []
+        }, { transaction });
+      }
+
+      if (!couponDescription.applicable_brands) {
+        await queryInterface.addColumn('coupons', 'applicable_brands', {
+          type: Sequelize.ARRAY(Sequelize.STRING),
+          defaultValue: []
+        }, { transaction });
+      }
+
+      // Carts reference the applied coupon instead of storing a
+      // client-supplied discount
+      const cartDescription = await queryInterface.describeTable('carts');
+
+      if (!cartDescription.coupon_id) {
+        await queryInterface.addColumn('carts', 'coupon_id', {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: {
+            model: 'coupons',
+            key: 'id'
+          },
+          onDelete: 'SET NULL'
+        }, { transaction });
+      }
+
+      if (cartDescription.coupon_discount) {
+        await queryInterface.removeColumn('carts', 'coupon_discount', { transaction });
+      }
+
+      if (cartDescription.discount_type) {
+        await queryInterface.removeColumn('carts', 'discount_type', { transaction });
+      }
+
+      // Applied codes were never validated, so drop them
+      if (cartDescription.coupon_code) {
+        await queryInterface.sequelize.query(
+          'UPDATE carts SET coupon_code = NULL',
+          { transaction }
+        );
+      }
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      console.error('Migration failed:', error);
+      throw error;
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      const cartDescription = await queryInterface.describeTable('carts');
+
+      if (cartDescription.coupon_id) {
+        await queryInterface.removeColumn('carts', 'coupon_id', { transaction });
+      }
+
+      if (!cartDescription.coupon_discount) {
+        await queryInterface.addColumn('carts', 'coupon_discount', {
+          type: Sequelize.DECIMAL(5, 2),
+          allowNull: true
+        }, { transaction });
+      }
+
+      if (!cartDescription.discount_type) {
+        await queryInterface.addColumn('carts', 'discount_type', {
+          type: Sequelize.STRING(20),
+          defaultValue: 'percentage'
+        }, { transaction });
+      }
+
+      await queryInterface.removeColumn('coupons', 'per_user_limit', { transaction });
+      await queryInterface.removeColumn('coupons', 'applicable_categories', { transaction });
+      await queryInterface.removeColumn('coupons', 'applicable_brands', { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      console.error('Migration rollback failed:', error);
+      throw error;
+    }
+  }
+};
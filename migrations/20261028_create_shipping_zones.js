@@ -0,0 +1,100 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.createTable('shipping_zones', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        name: {
+          type: Sequelize.STRING(100),
+          allowNull: false
+        },
+        pincode_prefixes: {
+          type: Sequelize.ARRAY(Sequelize.STRING(6)),
+          defaultValue: []
+        },
+        is_default: {
+          type: Sequelize.BOOLEAN,
+          defaultValue: false
+        },
+        weight_slabs: {
+          type: Sequelize.JSONB,
+          defaultValue: []
+        },
+        additional_per_kg: {
+          type: Sequelize.DECIMAL(10, 2),
+          defaultValue: 0
+        },
+        category_surcharges: {
+          type: Sequelize.JSONB,
+          defaultValue: {}
+        },
+        free_shipping_threshold: {
+          type: Sequelize.DECIMAL(10, 2),
+          allowNull: true
+        },
+        min_delivery_days: {
+          type: Sequelize.INTEGER,
+          allowNull: true
+        },
+        max_delivery_days: {
+          type: Sequelize.INTEGER,
+          allowNull: true
+        },
+        is_active: {
+          type: Sequelize.BOOLEAN,
+          defaultValue: true
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        }
+      }, { transaction });
+
+      // Seed a nationwide default zone that keeps the old flat ₹100 /
+      // free above ₹1000 pricing for light parcels
+      await queryInterface.sequelize.query(`
+        INSERT INTO shipping_zones (
+          id, name, pincode_prefixes, is_default, weight_slabs, additional_per_kg,
+          category_surcharges, free_shipping_threshold, min_delivery_days, max_delivery_days
+        ) VALUES (
+          gen_random_uuid(), 'Rest of India', '{}', true,
+          '[{"maxWeight": 2, "rate": 100}, {"maxWeight": 5, "rate": 150}, {"maxWeight": 10, "rate": 250}]',
+          20, '{"desktops": 250, "monitors": 150}', 1000, 3, 7
+        )
+      `, { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      console.error('Migration failed:', error);
+      throw error;
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.dropTable('shipping_zones', { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      console.error('Migration rollback failed:', error);
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,71 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      const cartDescription = await queryInterface.describeTable('carts');
+
+      // Guest carts have no user until they are merged on login
+      await queryInterface.sequelize.query(
+        'ALTER TABLE carts ALTER COLUMN user_id DROP NOT NULL',
+        { transaction }
+      );
+
+      if (!cartDescription.guest_id) {
+        await queryInterface.addColumn('carts', 'guest_id', {
+          type: Sequelize.UUID,
+          allowNull: true,
+          unique: true
+        }, { transaction });
+      }
+
+      await queryInterface.sequelize.query(
+        `ALTER TABLE carts ADD CONSTRAINT carts_owner_check
+         CHECK (user_id IS NOT NULL OR guest_id IS NOT NULL)`,
+        { transaction }
+      );
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      console.error('Migration failed:', error);
+      throw error;
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.sequelize.query(
+        'ALTER TABLE carts DROP CONSTRAINT IF EXISTS carts_owner_check',
+        { transaction }
+      );
+
+      // Guest carts have no user, so drop them before user_id is required again
+      await queryInterface.sequelize.query(
+        'DELETE FROM carts WHERE user_id IS NULL',
+        { transaction }
+      );
+
+      const cartDescription = await queryInterface.describeTable('carts');
+
+      if (cartDescription.guest_id) {
+        await queryInterface.removeColumn('carts', 'guest_id', { transaction });
+      }
+
+      await queryInterface.sequelize.query(
+        'ALTER TABLE carts ALTER COLUMN user_id SET NOT NULL',
+        { transaction }
+      );
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      console.error('Migration rollback failed:', error);
+      throw error;
+    }
+  }
+};
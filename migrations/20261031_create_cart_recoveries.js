@@ -0,0 +1,95 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.createTable('cart_recoveries', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        cart_id: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'carts', key: 'id' },
+          onDelete: 'SET NULL'
+        },
+        user_id: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'users', key: 'id' },
+          onDelete: 'CASCADE'
+        },
+        token_hash: {
+          type: Sequelize.STRING(64),
+          allowNull: false,
+          unique: true
+        },
+        coupon_id: {
+          type: Sequelize.UUID,
+          allowNull: true
+        },
+        cart_value: {
+          type: Sequelize.DECIMAL(10, 2),
+          defaultValue: 0
+        },
+        sent_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        restored_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        order_id: {
+          type: Sequelize.UUID,
+          allowNull: true
+        },
+        converted_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        }
+      }, { transaction });
+
+      await queryInterface.addIndex('cart_recoveries', ['cart_id'], { transaction });
+      await queryInterface.addIndex('cart_recoveries', ['user_id'], { transaction });
+
+      // The abandoned cart job scans carts by when they last changed
+      await queryInterface.addIndex('carts', ['updated_at'], { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      console.error('Migration failed:', error);
+      throw error;
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.removeIndex('carts', ['updated_at'], { transaction });
+      await queryInterface.dropTable('cart_recoveries', { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      console.error('Migration rollback failed:', error);
+      throw error;
+    }
+  }
+};
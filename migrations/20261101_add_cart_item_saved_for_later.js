@@ -0,0 +1,49 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      const cartItemDescription = await queryInterface.describeTable('cart_items');
+
+      if (!cartItemDescription.saved_for_later) {
+        await queryInterface.addColumn('cart_items', 'saved_for_later', {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: false
+        }, { transaction });
+      }
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      console.error('Migration failed:', error);
+      throw error;
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      const cartItemDescription = await queryInterface.describeTable('cart_items');
+
+      if (cartItemDescription.saved_for_later) {
+        // Saved items would otherwise reappear in the active cart
+        await queryInterface.sequelize.query(
+          'DELETE FROM cart_items WHERE saved_for_later = true',
+          { transaction }
+        );
+
+        await queryInterface.removeColumn('cart_items', 'saved_for_later', { transaction });
+      }
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      console.error('Migration rollback failed:', error);
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,167 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      const tables = await queryInterface.showAllTables({ transaction });
+
+      // Migration 002 creates product_variants; databases built by model
+      // sync may not have it yet
+      if (!tables.includes('product_variants')) {
+        await queryInterface.createTable('product_variants', {
+          id: {
+            type: Sequelize.UUID,
+            defaultValue: Sequelize.UUIDV4,
+            primaryKey: true
+          },
+          product_id: {
+            type: Sequelize.UUID,
+            allowNull: false,
+            references: { model: 'products', key: 'id' },
+            onDelete: 'CASCADE'
+          },
+          name: {
+            type: Sequelize.STRING(100),
+            allowNull: false
+          },
+          sku: {
+            type: Sequelize.STRING(100),
+            unique: true
+          },
+          barcode: {
+            type: Sequelize.STRING(100),
+            allowNull: true
+          },
+          price: {
+            type: Sequelize.DECIMAL(10, 2),
+            allowNull: false
+          },
+          compare_at_price: {
+            type: Sequelize.DECIMAL(10, 2),
+            allowNull: true
+          },
+          quantity: {
+            type: Sequelize.INTEGER,
+            defaultValue: 0
+          },
+          created_at: {
+            type: Sequelize.DATE,
+            allowNull: false,
+            defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+          },
+          updated_at: {
+            type: Sequelize.DATE,
+            allowNull: false,
+            defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+          }
+        }, { transaction });
+
+        await queryInterface.addIndex('product_variants', ['product_id'], { transaction });
+      }
+
+      const variantDescription = await queryInterface.describeTable('product_variants');
+
+      if (!variantDescription.attributes) {
+        await queryInterface.addColumn('product_variants', 'attributes', {
+          type: Sequelize.JSONB,
+          allowNull: false,
+          defaultValue: {}
+        }, { transaction });
+      }
+
+      if (!variantDescription.is_active) {
+        await queryInterface.addColumn('product_variants', 'is_active', {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: true
+        }, { transaction });
+      }
+
+      const cartItemDescription = await queryInterface.describeTable('cart_items');
+
+      if (!cartItemDescription.variant_id) {
+        await queryInterface.addColumn('cart_items', 'variant_id', {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: 'product_variants', key: 'id' },
+          onDelete: 'CASCADE'
+        }, { transaction });
+      }
+
+      // Order items keep the variant as bought, so no foreign key
+      const orderItemDescription = await queryInterface.describeTable('order_items');
+
+      if (!orderItemDescription.variant_id) {
+        await queryInterface.addColumn('order_items', 'variant_id', {
+          type: Sequelize.UUID,
+          allowNull: true
+        }, { transaction });
+      }
+
+      if (!orderItemDescription.variant_name) {
+        await queryInterface.addColumn('order_items', 'variant_name', {
+          type: Sequelize.STRING(100),
+          allowNull: true
+        }, { transaction });
+      }
+
+      const reservationDescription = await queryInterface.describeTable('stock_reservations');
+
+      if (!reservationDescription.variant_id) {
+        await queryInterface.addColumn('stock_reservations', 'variant_id', {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: 'product_variants', key: 'id' },
+          onDelete: 'CASCADE'
+        }, { transaction });
+      }
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      console.error('Migration failed:', error);
+      throw error;
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      const reservationDescription = await queryInterface.describeTable('stock_reservations');
+      if (reservationDescription.variant_id) {
+        await queryInterface.removeColumn('stock_reservations', 'variant_id', { transaction });
+      }
+
+      const orderItemDescription = await queryInterface.describeTable('order_items');
+      if (orderItemDescription.variant_name) {
+        await queryInterface.removeColumn('order_items', 'variant_name', { transaction });
+      }
+      if (orderItemDescription.variant_id) {
+        await queryInterface.removeColumn('order_items', 'variant_id', { transaction });
+      }
+
+      const cartItemDescription = await queryInterface.describeTable('cart_items');
+      if (cartItemDescription.variant_id) {
+        await queryInterface.removeColumn('cart_items', 'variant_id', { transaction });
+      }
+
+      // The table itself is left in place; migration 002 owns it
+      const variantDescription = await queryInterface.describeTable('product_variants');
+      if (variantDescription.is_active) {
+        await queryInterface.removeColumn('product_variants', 'is_active', { transaction });
+      }
+      if (variantDescription.attributes) {
+        await queryInterface.removeColumn('product_variants', 'attributes', { transaction });
+      }
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      console.error('Migration rollback failed:', error);
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,106 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      const tables = await queryInterface.showAllTables({ transaction });
+
+      // Migration 002 creates product_images; databases built by model
+      // sync may not have it yet
+      if (!tables.includes('product_images')) {
+        await queryInterface.createTable('product_images', {
+          id: {
+            type: Sequelize.UUID,
+            defaultValue: Sequelize.UUIDV4,
+            primaryKey: true
+          },
+          product_id: {
+            type: Sequelize.UUID,
+            allowNull: false,
+            references: { model: 'products', key: 'id' },
+            onDelete: 'CASCADE'
+          },
+          url: {
+            type: Sequelize.STRING(255),
+            allowNull: false
+          },
+          alt_text: {
+            type: Sequelize.STRING(255),
+            allowNull: true
+          },
+          is_primary: {
+            type: Sequelize.BOOLEAN,
+            defaultValue: false
+          },
+          position: {
+            type: Sequelize.INTEGER,
+            defaultValue: 0
+          },
+          created_at: {
+            type: Sequelize.DATE,
+            allowNull: false,
+            defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+          }
+        }, { transaction });
+
+        await queryInterface.addIndex('product_images', ['product_id'], { transaction });
+      }
+
+      const imageDescription = await queryInterface.describeTable('product_images');
+
+      if (!imageDescription.medium_url) {
+        await queryInterface.addColumn('product_images', 'medium_url', {
+          type: Sequelize.STRING(255),
+          allowNull: true
+        }, { transaction });
+      }
+
+      if (!imageDescription.thumbnail_url) {
+        await queryInterface.addColumn('product_images', 'thumbnail_url', {
+          type: Sequelize.STRING(255),
+          allowNull: true
+        }, { transaction });
+      }
+
+      // Order items keep the thumbnail they were bought with
+      const orderItemDescription = await queryInterface.describeTable('order_items');
+
+      if (!orderItemDescription.image) {
+        await queryInterface.addColumn('order_items', 'image', {
+          type: Sequelize.STRING,
+          allowNull: true
+        }, { transaction });
+      }
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      console.error('Migration failed:', error);
+      throw error;
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      // order_items.image predates this migration and is left in place, as
+      // is the product_images table itself; migration 002 owns it
+      const imageDescription = await queryInterface.describeTable('product_images');
+      if (imageDescription.thumbnail_url) {
+        await queryInterface.removeColumn('product_images', 'thumbnail_url', { transaction });
+      }
+      if (imageDescription.medium_url) {
+        await queryInterface.removeColumn('product_images', 'medium_url', { transaction });
+      }
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      console.error('Migration rollback failed:', error);
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,75 @@
+'use strict';
+
+// Keep in step with products_search_vector_update in migration 20261110
+const SEARCH_VECTOR_SQL = `
+  setweight(to_tsvector('english', coalesce(name, '')), 'A') ||
+  setweight(to_tsvector('english', coalesce(brand, '') || ' ' || coalesce(model, '')), 'B') ||
+  setweight(to_tsvector('english', coalesce(array_to_string(tags, ' '), '')), 'C') ||
+  setweight(to_tsvector('english', coalesce(description, '')), 'D')`;
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      // Trigram matching backs the typo-tolerant fallback search
+      await queryInterface.sequelize.query('CREATE EXTENSION IF NOT EXISTS pg_trgm', { transaction });
+
+      const tableDescription = await queryInterface.describeTable('products');
+
+      if (!tableDescription.search_vector) {
+        await queryInterface.addColumn('products', 'search_vector', {
+          type: Sequelize.TSVECTOR,
+          allowNull: true
+        }, { transaction });
+      }
+
+      await queryInterface.sequelize.query(
+        `UPDATE products SET search_vector = ${SEARCH_VECTOR_SQL}`,
+        { transaction }
+      );
+
+      await queryInterface.sequelize.query(
+        'CREATE INDEX IF NOT EXISTS product_search_vector_idx ON products USING gin (search_vector)',
+        { transaction }
+      );
+      await queryInterface.sequelize.query(
+        'CREATE INDEX IF NOT EXISTS product_name_trgm_idx ON products USING gin (name gin_trgm_ops)',
+        { transaction }
+      );
+      await queryInterface.sequelize.query(
+        'CREATE INDEX IF NOT EXISTS product_brand_trgm_idx ON products USING gin (brand gin_trgm_ops)',
+        { transaction }
+      );
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      console.error('Migration failed:', error);
+      throw error;
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.sequelize.query('DROP INDEX IF EXISTS product_brand_trgm_idx', { transaction });
+      await queryInterface.sequelize.query('DROP INDEX IF EXISTS product_name_trgm_idx', { transaction });
+      await queryInterface.sequelize.query('DROP INDEX IF EXISTS product_search_vector_idx', { transaction });
+
+      const tableDescription = await queryInterface.describeTable('products');
+      if (tableDescription.search_vector) {
+        await queryInterface.removeColumn('products', 'search_vector', { transaction });
+      }
+
+      // pg_trgm is left installed; other objects may depend on it
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      console.error('Migration rollback failed:', error);
+      throw error;
+    }
+  }
+};
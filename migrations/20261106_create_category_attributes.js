@@ -0,0 +1,85 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.createTable('category_attributes', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        category: {
+          type: Sequelize.STRING(50),
+          allowNull: false
+        },
+        key: {
+          type: Sequelize.STRING(50),
+          allowNull: false
+        },
+        label: {
+          type: Sequelize.STRING(100),
+          allowNull: false
+        },
+        type: {
+          type: Sequelize.ENUM('enum', 'number', 'boolean'),
+          allowNull: false
+        },
+        unit: {
+          type: Sequelize.STRING(20),
+          allowNull: true
+        },
+        options: {
+          type: Sequelize.ARRAY(Sequelize.STRING),
+          allowNull: false,
+          defaultValue: []
+        },
+        position: {
+          type: Sequelize.INTEGER,
+          defaultValue: 0
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        }
+      }, { transaction });
+
+      await queryInterface.addIndex('category_attributes', ['category', 'key'], {
+        unique: true,
+        transaction
+      });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      console.error('Migration failed:', error);
+      throw error;
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.dropTable('category_attributes', { transaction });
+      await queryInterface.sequelize.query(
+        'DROP TYPE IF EXISTS enum_category_attributes_type',
+        { transaction }
+      );
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      console.error('Migration rollback failed:', error);
+      throw error;
+    }
+  }
+};
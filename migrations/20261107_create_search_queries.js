@@ -0,0 +1,88 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.createTable('search_queries', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        query: {
+          type: Sequelize.STRING(100),
+          allowNull: false,
+          unique: true
+        },
+        count: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 1
+        },
+        result_count: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0
+        },
+        last_searched_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        }
+      }, { transaction });
+
+      // Prefix lookups (LIKE 'abc%') for suggestions, and trigram lookups
+      // for "did you mean" corrections. pg_trgm comes from migration 20261105.
+      await queryInterface.sequelize.query(
+        'CREATE INDEX search_queries_query_prefix_idx ON search_queries (query text_pattern_ops)',
+        { transaction }
+      );
+      await queryInterface.sequelize.query(
+        'CREATE INDEX search_queries_query_trgm_idx ON search_queries USING gin (query gin_trgm_ops)',
+        { transaction }
+      );
+      await queryInterface.sequelize.query(
+        'CREATE INDEX IF NOT EXISTS product_brand_prefix_idx ON products (lower(brand) text_pattern_ops)',
+        { transaction }
+      );
+      await queryInterface.sequelize.query(
+        'CREATE INDEX IF NOT EXISTS product_brand_lower_trgm_idx ON products USING gin (lower(brand) gin_trgm_ops)',
+        { transaction }
+      );
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      console.error('Migration failed:', error);
+      throw error;
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.sequelize.query('DROP INDEX IF EXISTS product_brand_lower_trgm_idx', { transaction });
+      await queryInterface.sequelize.query('DROP INDEX IF EXISTS product_brand_prefix_idx', { transaction });
+      await queryInterface.dropTable('search_queries', { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      console.error('Migration rollback failed:', error);
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,46 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      const description = await queryInterface.describeTable('category_attributes');
+
+      // Which end of a number attribute wins in product comparisons
+      if (!description.prefer) {
+        await queryInterface.addColumn('category_attributes', 'prefer', {
+          type: Sequelize.ENUM('higher', 'lower'),
+          allowNull: true
+        }, { transaction });
+      }
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      console.error('Migration failed:', error);
+      throw error;
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      const description = await queryInterface.describeTable('category_attributes');
+      if (description.prefer) {
+        await queryInterface.removeColumn('category_attributes', 'prefer', { transaction });
+      }
+      await queryInterface.sequelize.query(
+        'DROP TYPE IF EXISTS enum_category_attributes_prefer',
+        { transaction }
+      );
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      console.error('Migration rollback failed:', error);
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,117 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.createTable('builds', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        user_id: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'users', key: 'id' },
+          onDelete: 'CASCADE'
+        },
+        name: {
+          type: Sequelize.STRING(100),
+          allowNull: false,
+          defaultValue: 'My build'
+        },
+        share_token: {
+          type: Sequelize.STRING(32),
+          allowNull: true,
+          unique: true
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        }
+      }, { transaction });
+
+      await queryInterface.addIndex('builds', ['user_id'], { transaction });
+
+      await queryInterface.createTable('build_items', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        build_id: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'builds', key: 'id' },
+          onDelete: 'CASCADE'
+        },
+        slot: {
+          type: Sequelize.ENUM('cpu', 'motherboard', 'ram', 'gpu', 'psu', 'case', 'storage'),
+          allowNull: false
+        },
+        product_id: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'products', key: 'id' },
+          onDelete: 'CASCADE'
+        },
+        variant_id: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: 'product_variants', key: 'id' },
+          onDelete: 'CASCADE'
+        },
+        quantity: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 1
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        }
+      }, { transaction });
+
+      await queryInterface.addIndex('build_items', ['build_id'], { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      console.error('Migration failed:', error);
+      throw error;
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.dropTable('build_items', { transaction });
+      await queryInterface.dropTable('builds', { transaction });
+      await queryInterface.sequelize.query(
+        'DROP TYPE IF EXISTS enum_build_items_slot',
+        { transaction }
+      );
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      console.error('Migration rollback failed:', error);
+      throw error;
+    }
+  }
+};
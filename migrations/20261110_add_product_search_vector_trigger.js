@@ -0,0 +1,67 @@
+'use strict';
+
+// Rebuild the weighted search document whenever a product's searchable text
+// changes, however the row is written (model saves, bulk updates or raw
+// SQL): the name ranks above brand and model, then tags, then the description
+const CREATE_FUNCTION_SQL = `
+  CREATE OR REPLACE FUNCTION products_search_vector_update() RETURNS trigger AS $$
+  BEGIN
+    NEW.search_vector :=
+      setweight(to_tsvector('english', coalesce(NEW.name, '')), 'A') ||
+      setweight(to_tsvector('english', coalesce(NEW.brand, '') || ' ' || coalesce(NEW.model, '')), 'B') ||
+      setweight(to_tsvector('english', coalesce(array_to_string(NEW.tags, ' '), '')), 'C') ||
+      setweight(to_tsvector('english', coalesce(NEW.description, '')), 'D');
+    RETURN NEW;
+  END
+  $$ LANGUAGE plpgsql`;
+
+const CREATE_TRIGGER_SQL = `
+  CREATE TRIGGER products_search_vector_update
+  BEFORE INSERT OR UPDATE OF name, brand, model, tags, description ON products
+  FOR EACH ROW EXECUTE PROCEDURE products_search_vector_update()`;
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.sequelize.query(CREATE_FUNCTION_SQL, { transaction });
+      await queryInterface.sequelize.query(
+        'DROP TRIGGER IF EXISTS products_search_vector_update ON products',
+        { transaction }
+      );
+      await queryInterface.sequelize.query(CREATE_TRIGGER_SQL, { transaction });
+
+      // Run every row through the trigger to pick up text changed by bulk
+      // updates since the vectors were last built
+      await queryInterface.sequelize.query('UPDATE products SET name = name', { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      console.error('Migration failed:', error);
+      throw error;
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.sequelize.query(
+        'DROP TRIGGER IF EXISTS products_search_vector_update ON products',
+        { transaction }
+      );
+      await queryInterface.sequelize.query(
+        'DROP FUNCTION IF EXISTS products_search_vector_update()',
+        { transaction }
+      );
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      console.error('Migration rollback failed:', error);
+      throw error;
+    }
+  }
+};
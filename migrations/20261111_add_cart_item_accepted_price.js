@@ -0,0 +1,53 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      const cartItemDescription = await queryInterface.describeTable('cart_items');
+
+      if (!cartItemDescription.accepted_price) {
+        await queryInterface.addColumn('cart_items', 'accepted_price', {
+          type: Sequelize.DECIMAL(10, 2),
+          allowNull: true
+        }, { transaction });
+
+        // Existing items were added at their stored price
+        await queryInterface.sequelize.query(
+          'UPDATE cart_items SET accepted_price = price',
+          { transaction }
+        );
+
+        await queryInterface.changeColumn('cart_items', 'accepted_price', {
+          type: Sequelize.DECIMAL(10, 2),
+          allowNull: false
+        }, { transaction });
+      }
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      console.error('Migration failed:', error);
+      throw error;
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      const cartItemDescription = await queryInterface.describeTable('cart_items');
+
+      if (cartItemDescription.accepted_price) {
+        await queryInterface.removeColumn('cart_items', 'accepted_price', { transaction });
+      }
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      console.error('Migration rollback failed:', error);
+      throw error;
+    }
+  }
+};
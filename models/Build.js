@@ -0,0 +1,249 @@
+const crypto = require('crypto');
+const { Model, DataTypes } = require('sequelize');
+
+const buildError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+module.exports = (sequelize) => {
+  class Build extends Model {
+    static associate(models) {
+      // Build belongs to the User assembling it
+      Build.belongsTo(models.User, {
+        foreignKey: 'userId',
+        as: 'user',
+        onDelete: 'CASCADE'
+      });
+
+      // Build has one BuildItem per filled slot, or several for storage
+      Build.hasMany(models.BuildItem, {
+        foreignKey: 'buildId',
+        as: 'items',
+        onDelete: 'CASCADE'
+      });
+    }
+
+    // Static method to get the include that loads a build's items with
+    // their products and variants
+    static getItemsInclude() {
+      const { BuildItem, Product, ProductVariant } = sequelize.models;
+
+      return [{
+        model: BuildItem,
+        as: 'items',
+        include: [
+          { model: Product, as: 'product' },
+          { model: ProductVariant, as: 'variant' }
+        ]
+      }];
+    }
+
+    // Static method to get one of a user's builds with its items
+    static async findForUser(id, userId, options = {}) {
+      return this.findOne({
+        where: { id, userId },
+        include: this.getItemsInclude(),
+        order: [[{ model: sequelize.models.BuildItem, as: 'items' }, 'created_at', 'ASC']],
+        transaction: options.transaction
+      });
+    }
+
+    // Static method to get a build from its share link
+    static async findByShareToken(shareToken, options = {}) {
+      return this.findOne({
+        where: { shareToken },
+        include: this.getItemsInclude(),
+        order: [[{ model: sequelize.models.BuildItem, as: 'items' }, 'created_at', 'ASC']],
+        transaction: options.transaction
+      });
+    }
+
+    // Instance method to put a product in a slot. Single-product slots are
+    // replaced; storage keeps its other drives and a product already there
+    // gets the new quantity.
+    async setSlot(slot, { productId, variantId = null, quantity = 1 }, options = {}) {
+      if (!options.transaction) {
+        return sequelize.transaction(transaction =>
+          this.setSlot(slot, { productId, variantId, quantity }, { ...options, transaction })
+        );
+      }
+
+      const { BuildItem, Product, ProductVariant } = sequelize.models;
+      const { transaction } = options;
+      const definition = BuildItem.SLOTS[slot];
+
+      if (!definition) {
+        throw buildError(`Unknown build slot "${slot}"`);
+      }
+
+      const product = await Product.findByPk(productId, {
+        include: [{
+          model: ProductVariant,
+          as: 'variants',
+          where: { isActive: true },
+          required: false
+        }],
+        transaction
+      });
+
+      if (!product || !product.isActive) {
+        throw buildError('Product not found', 404);
+      }
+
+      if (!BuildItem.acceptsProduct(slot, product)) {
+        throw buildError(`${product.name} cannot be used as ${definition.label.toLowerCase()}`);
+      }
+
+      // Products sold in variants are added as one of them, as in the cart
+      if (variantId && !product.variants.some(variant => variant.id === variantId)) {
+        throw buildError('Variant not found', 404);
+      }
+      if (!variantId && product.variants.length > 0) {
+        throw buildError('Please choose a variant of this product');
+      }
+
+      // Serialize changes to the same build
+      await Build.findByPk(this.id, { lock: transaction.LOCK.UPDATE, transaction });
+
+      if (!definition.multiple) {
+        await BuildItem.destroy({ where: { buildId: this.id, slot }, transaction });
+        await BuildItem.create({ buildId: this.id, slot, productId, variantId, quantity }, { transaction });
+      } else {
+        const [item, created] = await BuildItem.findOrCreate({
+          where: { buildId: this.id, slot, productId, variantId },
+          defaults: { quantity },
+          transaction
+        });
+
+        if (!created) {
+          await item.update({ quantity }, { transaction });
+        }
+      }
+
+      this.changed('updated_at', true);
+      await this.save({ transaction });
+
+      return Build.findForUser(this.id, this.userId, { transaction });
+    }
+
+    // Instance method to take an item out of the build
+    async removeItem(itemId, options = {}) {
+      if (!options.transaction) {
+        return sequelize.transaction(transaction =>
+          this.removeItem(itemId, { ...options, transaction })
+        );
+      }
+
+      const { transaction } = options;
+
+      // Serialize changes to the same build
+      await Build.findByPk(this.id, { lock: transaction.LOCK.UPDATE, transaction });
+
+      const removed = await sequelize.models.BuildItem.destroy({
+        where: { id: itemId, buildId: this.id },
+        transaction
+      });
+
+      if (!removed) {
+        throw buildError('Item not found in build', 404);
+      }
+
+      this.changed('updated_at', true);
+      await this.save({ transaction });
+
+      return Build.findForUser(this.id, this.userId, { transaction });
+    }
+
+    // Instance method to save a copy of the build, e.g. a shared one, to
+    // another user's builds. The copy is not shared.
+    async copyFor(userId) {
+      const { BuildItem } = sequelize.models;
+
+      const copy = await sequelize.transaction(async (transaction) => {
+        const created = await Build.create({ userId, name: this.name }, { transaction });
+
+        await BuildItem.bulkCreate((this.items || []).map(item => ({
+          buildId: created.id,
+          slot: item.slot,
+          productId: item.productId,
+          variantId: item.variantId,
+          quantity: item.quantity
+        })), { transaction });
+
+        return created;
+      });
+
+      return Build.findForUser(copy.id, userId);
+    }
+
+    // Instance method to give the build a share link, keeping an existing
+    // one. The token is kept as is, not hashed: it only grants a read-only
+    // view and the owner needs to see the link again.
+    async share() {
+      if (!this.shareToken) {
+        await this.update({ shareToken: crypto.randomBytes(12).toString('base64url') });
+      }
+      return this.shareToken;
+    }
+
+    // Instance method to stop sharing the build; old links stop working
+    async unshare() {
+      await this.update({ shareToken: null });
+    }
+
+    // Instance method to get the link a shared build is viewed at
+    getShareUrl() {
+      return this.shareToken ? `${process.env.CLIENT_URL}/builds/shared/${this.shareToken}` : null;
+    }
+
+    // Instance method to price the build at current catalogue prices.
+    // Expects items loaded with their products and variants.
+    calculateTotal() {
+      return (this.items || []).reduce((total, item) => {
+        const unit = item.getStockUnit();
+        return total + (unit ? parseFloat(unit.price) * item.quantity : 0);
+      }, 0);
+    }
+  }
+
+  Build.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: 'users', key: 'id' },
+      onDelete: 'CASCADE'
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      defaultValue: 'My build',
+      validate: {
+        notEmpty: { msg: 'Build name is required' }
+      }
+    },
+    // Set while the build is shared; anyone with the link can view it
+    shareToken: {
+      type: DataTypes.STRING(32),
+      allowNull: true,
+      unique: true
+    }
+  }, {
+    sequelize,
+    modelName: 'Build',
+    tableName: 'builds',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      { fields: ['user_id'] }
+    ]
+  });
+
+  return Build;
+};
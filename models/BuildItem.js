@@ -0,0 +1,140 @@
+const { Model, DataTypes } = require('sequelize');
+const { getSpec } = require('../services/buildCompatibilityService');
+
+// Parts a PC build is assembled from. Only storage takes several products;
+// every other slot holds one, with a quantity for e.g. two RAM kits.
+const SLOTS = {
+  cpu: { label: 'Processor', required: true, multiple: false },
+  motherboard: { label: 'Motherboard', required: true, multiple: false },
+  ram: { label: 'Memory', required: true, multiple: false },
+  gpu: { label: 'Graphics card', required: false, multiple: false },
+  psu: { label: 'Power supply', required: true, multiple: false },
+  case: { label: 'Case', required: true, multiple: false },
+  storage: { label: 'Storage', required: true, multiple: true }
+};
+
+// Categories a product must be in to fill a slot
+const SLOT_CATEGORIES = {
+  storage: ['components', 'storage']
+};
+const DEFAULT_SLOT_CATEGORIES = ['components'];
+
+// Part types a product must list to fill a slot, in its partType
+// specification. Matched regardless of case and separators, so "Graphics
+// Card" and graphics_card are the same type.
+const SLOT_PART_TYPES = {
+  cpu: ['cpu', 'processor'],
+  motherboard: ['motherboard', 'mainboard'],
+  ram: ['ram', 'memory'],
+  gpu: ['gpu', 'graphicscard', 'videocard'],
+  psu: ['psu', 'powersupply'],
+  case: ['case', 'cabinet', 'chassis'],
+  storage: ['storage', 'ssd', 'hdd', 'harddrive']
+};
+
+const readPartType = value => (value === null ? null : String(value).toLowerCase().replace(/[^a-z0-9]/g, ''));
+
+const MAX_QUANTITY = 4;
+
+module.exports = (sequelize) => {
+  class BuildItem extends Model {
+    static associate(models) {
+      // BuildItem belongs to a Build
+      BuildItem.belongsTo(models.Build, {
+        foreignKey: 'buildId',
+        as: 'build',
+        onDelete: 'CASCADE'
+      });
+
+      // BuildItem is filled by a Product
+      BuildItem.belongsTo(models.Product, {
+        foreignKey: 'productId',
+        as: 'product'
+      });
+
+      // BuildItem may be for one variant of the product
+      BuildItem.belongsTo(models.ProductVariant, {
+        foreignKey: 'variantId',
+        as: 'variant'
+      });
+    }
+
+    // Static method to check whether a product can fill a slot: it must be
+    // in one of the slot's categories and list the slot's part type
+    static acceptsProduct(slot, product) {
+      const partType = readPartType(getSpec(product.specifications, 'partType'));
+
+      return (SLOT_CATEGORIES[slot] || DEFAULT_SLOT_CATEGORIES).includes(product.category) &&
+        (SLOT_PART_TYPES[slot] || []).includes(partType);
+    }
+
+    // Instance method to get what this item is priced and stocked as: its
+    // variant when it has one, otherwise its product. Needs both included.
+    getStockUnit() {
+      return this.variantId ? this.variant : this.product;
+    }
+
+    // Instance method to get the specifications compatibility is checked
+    // against. A variant's attributes override its product's specifications,
+    // e.g. a 32GB kit of a memory line.
+    getSpecifications() {
+      return {
+        ...(this.product ? this.product.specifications : {}),
+        ...(this.variant ? this.variant.attributes : {})
+      };
+    }
+  }
+
+  BuildItem.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    buildId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: 'builds', key: 'id' },
+      onDelete: 'CASCADE'
+    },
+    slot: {
+      type: DataTypes.ENUM(...Object.keys(SLOTS)),
+      allowNull: false
+    },
+    productId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: 'products', key: 'id' },
+      onDelete: 'CASCADE'
+    },
+    variantId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: { model: 'product_variants', key: 'id' },
+      onDelete: 'CASCADE'
+    },
+    quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+      validate: {
+        min: { args: [1], msg: 'Quantity must be at least 1' },
+        max: { args: [MAX_QUANTITY], msg: `Quantity cannot be more than ${MAX_QUANTITY}` }
+      }
+    }
+  }, {
+    sequelize,
+    modelName: 'BuildItem',
+    tableName: 'build_items',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      { fields: ['build_id'] }
+    ]
+  });
+
+  BuildItem.SLOTS = SLOTS;
+  BuildItem.MAX_QUANTITY = MAX_QUANTITY;
+
+  return BuildItem;
+};
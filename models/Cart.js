@@ -1,4 +1,23 @@
 const { Model, DataTypes } = require('sequelize');
+const { priceLines } = require('../services/pricingService');
+
+// Carts belong to a signed-in user or to an anonymous guest. Cart methods
+// take either a user ID or an owner object ({ userId } or { guestId }).
+const getOwnerWhere = (owner) => (typeof owner === 'object' ? owner : { userId: owner });
+
+// A product appears in a cart once per variant; items for products without
+// variants have a null variant ID
+const getItemWhere = (cart, productId, variantId = null) => ({
+  cartId: cart.id,
+  productId,
+  variantId: variantId || null
+});
+
+const cartError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
 
 module.exports = (sequelize) => {
   class Cart extends Model {
@@ -16,92 +35,138 @@ module.exports = (sequelize) => {
         as: 'items',
         onDelete: 'CASCADE'
       });
+
+      // Cart may have an applied Coupon
+      Cart.belongsTo(models.Coupon, {
+        foreignKey: 'couponId',
+        as: 'coupon',
+        onDelete: 'SET NULL'
+      });
     }
 
-    // Static method to get user's cart with products
-    static async getUserCart(userId) {
+    // Static method to get a user's or guest's cart with products
+    static async getUserCart(owner) {
       return this.findOne({
-        where: { userId },
+        where: getOwnerWhere(owner),
         include: [
           {
             model: this.sequelize.models.CartItem,
             as: 'items',
-            include: [{
-              model: this.sequelize.models.Product,
-              as: 'product'
-            }]
+            include: [
+              {
+                model: this.sequelize.models.Product,
+                as: 'product'
+              },
+              {
+                model: this.sequelize.models.ProductVariant,
+                as: 'variant'
+              }
+            ]
+          },
+          {
+            model: this.sequelize.models.Coupon,
+            as: 'coupon'
           }
         ]
       });
     }
 
-    // Static method to add item to cart
-    static async addItem(userId, productId, quantity = 1) {
-      const { CartItem, Product } = this.sequelize.models;
+    // Static method to add item to cart, optionally as one of the product's
+    // variants
+    static async addItem(owner, productId, quantity = 1, variantId = null, options = {}) {
+      const { CartItem, Product, ProductVariant } = this.sequelize.models;
+      const { transaction } = options;
       
       // Get or create cart
-      let cart = await this.findOne({ where: { userId } });
+      let cart = await this.findOne({ where: getOwnerWhere(owner), transaction });
       if (!cart) {
-        cart = await this.create({ userId });
+        cart = await this.create(getOwnerWhere(owner), { transaction });
       }
 
       // Get product to get price
-      const product = await Product.findByPk(productId);
+      const product = await Product.findByPk(productId, { transaction });
       if (!product) {
         throw new Error('Product not found');
       }
 
+      // Variants carry their own price
+      const variant = variantId
+        ? await ProductVariant.findOne({ where: { id: variantId, productId }, transaction })
+        : null;
+      if (variantId && !variant) {
+        throw new Error('Variant not found');
+      }
+      const price = variant ? variant.price : product.price;
+
       // Add or update item in cart
-      const [cartItem] = await CartItem.findOrCreate({
-        where: { cartId: cart.id, productId },
+      const [cartItem, created] = await CartItem.findOrCreate({
+        where: getItemWhere(cart, productId, variantId),
         defaults: {
-          quantity: 0,
-          price: product.price
-        }
+          quantity,
+          price,
+          acceptedPrice: price
+        },
+        transaction
       });
 
+      if (created) {
+        await cart.touch({ transaction });
+        return { cart, cartItem };
+      }
+
+      // Adding a saved product moves it back into the cart at the new quantity
+      if (cartItem.savedForLater) {
+        cartItem.savedForLater = false;
+        cartItem.quantity = 0;
+      }
+
       // Update quantity
       cartItem.quantity += quantity;
+      cartItem.price = price;
+      cartItem.acceptedPrice = price;
       if (cartItem.quantity < 1) {
-        await cartItem.destroy();
+        await cartItem.destroy({ transaction });
+        await cart.touch({ transaction });
         return { cart, message: 'Item removed from cart' };
       }
 
-      await cartItem.save();
+      await cartItem.save({ transaction });
+      await cart.touch({ transaction });
       return { cart, cartItem };
     }
 
     // Static method to remove item from cart
-    static async removeItem(userId, productId) {
-      const cart = await this.findOne({ where: { userId } });
+    static async removeItem(owner, productId, variantId = null) {
+      const cart = await this.findOne({ where: getOwnerWhere(owner) });
       if (!cart) {
         throw new Error('Cart not found');
       }
 
       const result = await this.sequelize.models.CartItem.destroy({
-        where: { cartId: cart.id, productId }
+        where: getItemWhere(cart, productId, variantId)
       });
 
       if (result === 0) {
         throw new Error('Item not found in cart');
       }
 
+      await cart.touch();
       return { success: true };
     }
 
     // Static method to update item quantity
-    static async updateItemQuantity(userId, productId, quantity) {
+    static async updateItemQuantity(owner, productId, quantity, variantId = null) {
       if (quantity < 1) {
-        return this.removeItem(userId, productId);
+        return this.removeItem(owner, productId, variantId);
       }
 
-      const cart = await this.findOne({ where: { userId } });
+      const cart = await this.findOne({ where: getOwnerWhere(owner) });
       if (!cart) {
         throw new Error('Cart not found');
       }
 
       const cartItem = await this.sequelize.models.CartItem.findOne({
-        where: { cartId: cart.id, productId }
+        where: getItemWhere(cart, productId, variantId)
       });
 
       if (!cartItem) {
@@ -110,69 +175,369 @@ module.exports = (sequelize) => {
 
       cartItem.quantity = quantity;
       await cartItem.save();
+      await cart.touch();
       return { cartItem };
     }
 
-    // Static method to clear cart
-    static async clearCart(userId) {
-      const cart = await this.findOne({ where: { userId } });
+    // Static method to move an item out of the active cart without losing it
+    static async saveForLater(owner, productId, variantId = null) {
+      const cart = await this.findOne({ where: getOwnerWhere(owner) });
+      if (!cart) {
+        throw new Error('Cart not found');
+      }
+
+      const cartItem = await this.sequelize.models.CartItem.findOne({
+        where: getItemWhere(cart, productId, variantId)
+      });
+
+      if (!cartItem) {
+        throw new Error('Item not found in cart');
+      }
+
+      if (!cartItem.savedForLater) {
+        await cartItem.update({ savedForLater: true });
+        await cart.touch();
+      }
+
+      return { cartItem };
+    }
+
+    // Static method to move a saved item back into the cart. The item is
+    // re-priced and its quantity trimmed to current stock; the returned
+    // changes tell the shopper what moved since they saved it.
+    static async moveToCart(owner, productId, variantId = null) {
+      const { CartItem, Product, ProductVariant } = this.sequelize.models;
+
+      const cart = await this.findOne({ where: getOwnerWhere(owner) });
+      if (!cart) {
+        throw new Error('Cart not found');
+      }
+
+      const cartItem = await CartItem.findOne({
+        where: getItemWhere(cart, productId, variantId),
+        include: [
+          { model: Product, as: 'product' },
+          { model: ProductVariant, as: 'variant' }
+        ]
+      });
+
+      if (!cartItem) {
+        throw new Error('Item not found in cart');
+      }
+
+      if (!cartItem.savedForLater) {
+        return { cartItem, changes: {} };
+      }
+
+      const unit = cartItem.getStockUnit();
+      if (!cartItem.product || !cartItem.product.isActive || !unit || !unit.isActive) {
+        throw cartError('This product is no longer available');
+      }
+
+      if (unit.stock < 1) {
+        throw cartError('This product is out of stock');
+      }
+
+      const changes = {};
+      if (parseFloat(cartItem.price) !== parseFloat(unit.price)) {
+        changes.previousPrice = parseFloat(cartItem.price);
+        changes.price = parseFloat(unit.price);
+      }
+      if (cartItem.quantity > unit.stock) {
+        changes.previousQuantity = cartItem.quantity;
+        changes.quantity = unit.stock;
+      }
+
+      await cartItem.update({
+        savedForLater: false,
+        price: unit.price,
+        acceptedPrice: Math.min(parseFloat(cartItem.acceptedPrice), parseFloat(unit.price)),
+        quantity: Math.min(cartItem.quantity, unit.stock)
+      });
+      await cart.touch();
+
+      return { cartItem, changes };
+    }
+
+    // Static method to clear the active cart. Saved-for-later items are kept.
+    static async clearCart(owner, options = {}) {
+      const { transaction } = options;
+      const cart = await this.findOne({ where: getOwnerWhere(owner), transaction });
       if (!cart) {
         throw new Error('Cart not found');
       }
 
       await this.sequelize.models.CartItem.destroy({
-        where: { cartId: cart.id }
+        where: { cartId: cart.id, savedForLater: false },
+        transaction
       });
 
+      if (cart.couponId) {
+        await cart.update({ couponId: null, couponCode: null }, { transaction });
+      }
+
       return { success: true };
     }
 
-    // Static method to apply coupon
-    static async applyCoupon(userId, couponCode, discount, discountType = 'percentage') {
-      if (discountType === 'percentage' && (discount < 0 || discount > 100)) {
-        throw new Error('Discount percentage must be between 0 and 100');
+    // Static method to apply a coupon code after validating it against the
+    // cart's items. Throws the coupon's validation error if it cannot be used.
+    static async applyCoupon(owner, couponCode) {
+      const cart = await this.getUserCart(owner);
+      if (!cart) {
+        throw new Error('Cart not found');
       }
-      if (discount < 0) {
-        throw new Error('Discount cannot be negative');
+
+      if (cart.getActiveItems().length === 0) {
+        throw new Error('Cart is empty');
       }
 
-      const cart = await this.findOne({ where: { userId } });
+      const { coupon } = await this.sequelize.models.Coupon.validateCode(couponCode, {
+        userId: getOwnerWhere(owner).userId,
+        lines: cart.getCouponLines()
+      });
+
+      await cart.update({ couponId: coupon.id, couponCode: coupon.code });
+      return this.getUserCart(owner);
+    }
+
+    // Static method to remove the applied coupon
+    static async removeCoupon(owner) {
+      const cart = await this.findOne({ where: getOwnerWhere(owner) });
       if (!cart) {
         throw new Error('Cart not found');
       }
 
-      cart.couponCode = couponCode;
-      cart.couponDiscount = discount;
-      cart.discountType = discountType;
-      await cart.save();
+      await cart.update({ couponId: null, couponCode: null });
+      return this.getUserCart(owner);
+    }
+
+    // Static method to fold a guest's cart into a user's cart when they sign
+    // in. Quantities of the same product are summed and capped at stock; the
+    // guest cart is deleted afterwards.
+    static async mergeGuestCart(guestId, userId, options = {}) {
+      if (!options.transaction) {
+        return this.sequelize.transaction(transaction =>
+          this.mergeGuestCart(guestId, userId, { ...options, transaction })
+        );
+      }
+
+      const { CartItem, Product, ProductVariant } = this.sequelize.models;
+      const { transaction } = options;
+
+      // Only the cart row is locked; Postgres cannot lock the nullable side
+      // of the outer join to its items
+      const guestCart = await this.findOne({
+        where: { guestId },
+        include: [
+          {
+            model: CartItem,
+            as: 'items',
+            include: [
+              { model: Product, as: 'product' },
+              { model: ProductVariant, as: 'variant' }
+            ]
+          }
+        ],
+        lock: { level: transaction.LOCK.UPDATE, of: this },
+        transaction
+      });
+
+      if (!guestCart) {
+        return this.getUserCart(userId);
+      }
+
+      let cart = await this.findOne({
+        where: { userId },
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+      if (!cart) {
+        cart = await this.create({ userId }, { transaction });
+      }
+
+      for (const guestItem of guestCart.items) {
+        const { product } = guestItem;
+        const unit = guestItem.getStockUnit();
+
+        // Drop products that have been withdrawn or sold out meanwhile
+        if (!product || !product.isActive || !unit || !unit.isActive || unit.stock < 1) {
+          continue;
+        }
+
+        const [cartItem, created] = await CartItem.findOrCreate({
+          where: getItemWhere(cart, product.id, guestItem.variantId),
+          defaults: {
+            quantity: Math.min(guestItem.quantity, unit.stock),
+            price: unit.price,
+            acceptedPrice: Math.min(parseFloat(guestItem.acceptedPrice), parseFloat(unit.price)),
+            savedForLater: guestItem.savedForLater
+          },
+          transaction
+        });
+
+        // A product the account already has wins over the guest's saved copy
+        if (!created && !guestItem.savedForLater) {
+          cartItem.quantity = Math.min(cartItem.quantity + guestItem.quantity, unit.stock);
+          cartItem.price = unit.price;
+          cartItem.acceptedPrice = Math.min(parseFloat(cartItem.acceptedPrice), parseFloat(unit.price));
+          await cartItem.save({ transaction });
+        }
+      }
+
+      // Keep the guest's coupon if the account cart has none; it is
+      // re-validated for this user at checkout
+      if (!cart.couponId && guestCart.couponId) {
+        await cart.update({
+          couponId: guestCart.couponId,
+          couponCode: guestCart.couponCode
+        }, { transaction });
+      }
+
+      await guestCart.destroy({ transaction });
+      await cart.touch({ transaction });
 
-      return cart;
+      return this.findByPk(cart.id, {
+        include: [
+          {
+            model: CartItem,
+            as: 'items',
+            include: [
+              { model: Product, as: 'product' },
+              { model: ProductVariant, as: 'variant' }
+            ]
+          },
+          {
+            model: this.sequelize.models.Coupon,
+            as: 'coupon'
+          }
+        ],
+        transaction
+      });
+    }
+
+    // Instance method to bump updated_at when the cart's items change, so
+    // abandoned cart detection sees the last time the shopper touched it
+    async touch(options = {}) {
+      this.changed('updated_at', true);
+      return this.save({ transaction: options.transaction });
+    }
+
+    // Instance method to bring active items in line with the catalogue before
+    // the cart is shown: prices follow the product, quantities are trimmed to
+    // the stock left after other shoppers' checkout holds, and withdrawn or
+    // sold-out products are removed. A price drop is accepted on the
+    // shopper's behalf; a rise is only shown, and checkout asks for it to be
+    // accepted. Returns a notice for each item that changed since the shopper
+    // last saw the cart. Expects items loaded with their products and
+    // variants, as getUserCart does.
+    async refreshItems() {
+      const notices = [];
+
+      for (const item of this.getActiveItems()) {
+        const { product } = item;
+        const unit = item.getStockUnit();
+        const isActive = Boolean(product && product.isActive && unit && unit.isActive);
+        const notice = {
+          productId: item.productId,
+          variantId: item.variantId || null,
+          name: product ? product.name : null
+        };
+
+        const available = isActive
+          ? await unit.getAvailableStock({ excludeUserId: this.userId })
+          : 0;
+
+        if (available < 1) {
+          await item.destroy();
+          notices.push({
+            ...notice,
+            status: 'removed',
+            reason: isActive ? 'out_of_stock' : 'unavailable'
+          });
+          continue;
+        }
+
+        const changes = {};
+        const price = parseFloat(unit.price);
+        if (parseFloat(item.price) !== price) {
+          changes.price = unit.price;
+          notice.price = { from: parseFloat(item.price), to: price };
+        }
+        if (price < parseFloat(item.acceptedPrice)) {
+          changes.acceptedPrice = unit.price;
+        }
+        if (item.quantity > available) {
+          changes.quantity = available;
+          notice.quantity = { from: item.quantity, to: available };
+        }
+
+        if (Object.keys(changes).length > 0) {
+          await item.update(changes);
+        }
+        if (notice.price || notice.quantity) {
+          notices.push({ ...notice, status: 'updated' });
+        }
+      }
+
+      return notices;
+    }
+
+    // Instance method to get the items that count towards totals and checkout
+    getActiveItems() {
+      return (this.items || []).filter(item => !item.savedForLater);
+    }
+
+    // Instance method to get the items saved for later
+    getSavedItems() {
+      return (this.items || []).filter(item => item.savedForLater);
+    }
+
+    // Instance method to describe items the way coupon rules see them
+    getCouponLines() {
+      return this.getActiveItems().map(item => ({
+        productId: item.productId,
+        unitPrice: item.price,
+        quantity: item.quantity,
+        category: item.product ? item.product.category : undefined,
+        brand: item.product ? item.product.brand : undefined
+      }));
     }
 
     // Instance method to calculate subtotal
     calculateSubtotal() {
-      if (!this.items) return 0;
-      return this.items.reduce((total, item) => {
+      return this.getActiveItems().reduce((total, item) => {
         return total + (item.price * item.quantity);
       }, 0);
     }
 
+    // Instance method to price the cart with the shared pricing engine.
+    // Pass the shipping state to get the CGST/SGST or IGST split, and a
+    // shipping charge quoted for the delivery pincode if one is known.
+    getPricing({ shippingState = null, shipping = null } = {}) {
+      const lines = this.getActiveItems().map(item => ({
+        productId: item.productId,
+        variantId: item.variantId || null,
+        name: item.product ? item.product.name : undefined,
+        variantName: item.variant ? item.variant.getLabel() : null,
+        unitPrice: item.price,
+        quantity: item.quantity,
+        hsnCode: item.product ? item.product.hsnCode : undefined,
+        gstRate: item.product ? item.product.gstRate : undefined
+      }));
+
+      // Only the items the coupon's restrictions cover are discounted
+      const coupon = this.coupon
+        ? this.coupon.toPricingCoupon(this.getCouponLines()
+          .filter(line => this.coupon.appliesTo(line))
+          .map(line => line.productId))
+        : null;
+
+      return priceLines({ lines, coupon, shippingState, shipping });
+    }
+
     // Instance method to calculate total with all adjustments
     calculateTotal() {
-      let subtotal = this.calculateSubtotal();
-      
-      // Apply discount if exists
-      if (this.couponDiscount) {
-        if (this.discountType === 'percentage') {
-          subtotal = subtotal * (1 - (this.couponDiscount / 100));
-        } else {
-          subtotal = Math.max(0, subtotal - this.couponDiscount);
-        }
-      }
-      
-      // Add tax and shipping
-      const total = subtotal + (this.shipping || 0) + (subtotal * ((this.tax || 0) / 100));
-      return Math.round(total * 100) / 100; // Round to 2 decimal places
+      return this.getPricing().total;
     }
   }
 
@@ -186,30 +551,14 @@ module.exports = (sequelize) => {
       type: DataTypes.STRING,
       allowNull: true
     },
-    couponDiscount: {
-      type: DataTypes.DECIMAL(5, 2),
+    couponId: {
+      type: DataTypes.UUID,
       allowNull: true,
-      validate: {
-        min: 0,
-        max: {
-          args: 100,
-          msg: 'Discount cannot be more than 100%'
-        }
-      }
-    },
-    discountType: {
-      type: DataTypes.ENUM('percentage', 'fixed'),
-      defaultValue: 'percentage'
-    },
-    tax: {
-      type: DataTypes.DECIMAL(5, 2),
-      defaultValue: 0,
-      validate: {
-        min: {
-          args: [0],
-          msg: 'Tax cannot be negative'
-        }
-      }
+      references: {
+        model: 'coupons',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
     },
     shipping: {
       type: DataTypes.DECIMAL(10, 2),
@@ -246,12 +595,18 @@ module.exports = (sequelize) => {
     },
     userId: {
       type: DataTypes.UUID,
-      allowNull: false,
+      allowNull: true,
       references: {
         model: 'users',
         key: 'id'
       },
       onDelete: 'CASCADE'
+    },
+    // Set instead of userId for anonymous carts identified by a cart token
+    guestId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      unique: true
     }
   }, {
     sequelize,
@@ -259,17 +614,26 @@ module.exports = (sequelize) => {
     tableName: 'carts',
     timestamps: true,
     underscored: true,
+    validate: {
+      hasOwner() {
+        if (!this.userId && !this.guestId) {
+          throw new Error('A cart must belong to a user or a guest');
+        }
+      }
+    },
     hooks: {
       // Calculate total items before saving
       beforeSave: async (cart) => {
         if (cart.items && cart.items.length > 0) {
           // Calculate total items
-          cart.totalItems = cart.items.reduce((total, item) => {
+          cart.totalItems = cart.getActiveItems().reduce((total, item) => {
             return total + item.quantity;
           }, 0);
 
-          // Calculate total price
-          cart.totalPrice = cart.calculateTotal();
+          // Calculate shipping and total price
+          const pricing = cart.getPricing();
+          cart.shipping = pricing.shipping;
+          cart.totalPrice = pricing.total;
         }
       }
     }
@@ -14,6 +14,18 @@ module.exports = (sequelize) => {
         foreignKey: 'productId',
         as: 'product'
       });
+
+      // CartItem may be for one variant of the product
+      CartItem.belongsTo(models.ProductVariant, {
+        foreignKey: 'variantId',
+        as: 'variant'
+      });
+    }
+
+    // Instance method to get what this item is priced and stocked as: its
+    // variant when it has one, otherwise its product. Needs both included.
+    getStockUnit() {
+      return this.variantId ? this.variant : this.product;
     }
   }
 
@@ -44,6 +56,30 @@ module.exports = (sequelize) => {
         }
       }
     },
+    // `price` follows the catalogue each time the cart is shown; this is the
+    // highest price the shopper has agreed to, which checkout holds them to
+    acceptedPrice: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      validate: {
+        min: {
+          args: [0],
+          msg: 'Price cannot be negative'
+        }
+      }
+    },
+    variantId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: { model: 'product_variants', key: 'id' },
+      onDelete: 'CASCADE'
+    },
+    // Saved items stay with the cart but are left out of totals and checkout
+    savedForLater: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
     addedAt: {
       type: DataTypes.DATE,
       defaultValue: DataTypes.NOW
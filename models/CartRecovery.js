@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const { Model, DataTypes, Op } = require('sequelize');
+
+module.exports = (sequelize) => {
+  class CartRecovery extends Model {
+    static associate(models) {
+      // CartRecovery belongs to the Cart it tries to win back
+      CartRecovery.belongsTo(models.Cart, {
+        foreignKey: 'cartId',
+        as: 'cart',
+        onDelete: 'SET NULL'
+      });
+
+      CartRecovery.belongsTo(models.User, {
+        foreignKey: 'userId',
+        as: 'user',
+        onDelete: 'CASCADE'
+      });
+
+      CartRecovery.belongsTo(models.Coupon, {
+        foreignKey: 'couponId',
+        as: 'coupon',
+        constraints: false
+      });
+
+      CartRecovery.belongsTo(models.Order, {
+        foreignKey: 'orderId',
+        as: 'order',
+        constraints: false
+      });
+    }
+
+    // Tokens are stored hashed, like password reset tokens
+    static hashToken(token) {
+      return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    // Static method to create a recovery record and return it along with the
+    // raw token for the restore link
+    static async createForCart(cart, fields = {}, options = {}) {
+      const token = crypto.randomBytes(32).toString('hex');
+      const recovery = await this.create({
+        cartId: cart.id,
+        userId: cart.userId,
+        tokenHash: this.hashToken(token),
+        ...fields
+      }, { transaction: options.transaction });
+
+      return { recovery, token };
+    }
+
+    // Static method to find a recovery by the token from its restore link
+    static async findByToken(token, options = {}) {
+      return this.findOne({
+        where: { tokenHash: this.hashToken(token) },
+        ...options
+      });
+    }
+
+    // Static method to credit an order to the reminders sent for its cart
+    static async markConverted(cartId, orderId, options = {}) {
+      return this.update({
+        orderId,
+        convertedAt: new Date()
+      }, {
+        where: {
+          cartId,
+          convertedAt: null,
+          sentAt: { [Op.ne]: null }
+        },
+        transaction: options.transaction
+      });
+    }
+  }
+
+  CartRecovery.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    cartId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'carts', key: 'id' },
+      onDelete: 'SET NULL'
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: 'users', key: 'id' },
+      onDelete: 'CASCADE'
+    },
+    tokenHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true
+    },
+    // Single-use coupon attached to the reminder, if any
+    couponId: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    // Cart value when the reminder went out
+    cartValue: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0
+    },
+    sentAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    restoredAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    orderId: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    convertedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    sequelize,
+    modelName: 'CartRecovery',
+    tableName: 'cart_recoveries',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      { fields: ['cart_id'] },
+      { fields: ['user_id'] }
+    ]
+  });
+
+  return CartRecovery;
+};
@@ -0,0 +1,331 @@
+const { Model, DataTypes, Op } = require('sequelize');
+
+const ATTRIBUTE_TYPES = ['enum', 'number', 'boolean'];
+
+// Which end of a number attribute is better, for comparison hints
+const PREFERENCES = ['higher', 'lower'];
+
+// Comparisons a number filter accepts, e.g. spec[ram][gte]=16
+const NUMBER_OPERATORS = {
+  eq: '=',
+  gte: '>=',
+  lte: '<=',
+  gt: '>',
+  lt: '<'
+};
+
+// Leading number of a specification value, so '16GB' and 16 both read as 16
+const NUMBER_PATTERN = '^[[:space:]]*(-{0,1}[0-9]+([.][0-9]+){0,1})';
+
+const filterError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+module.exports = (sequelize) => {
+  class CategoryAttribute extends Model {
+    // Static method to get a category's attribute definitions in display order
+    static async getForCategory(category, options = {}) {
+      return this.findAll({
+        where: { category },
+        order: [['position', 'ASC'], ['label', 'ASC']],
+        transaction: options.transaction
+      });
+    }
+
+    // Static method to turn the `spec` query object, e.g.
+    // { ram: { gte: '16' }, cpu: 'Ryzen 7' }, into filters checked against
+    // the category's definitions. Throws a 400 naming the first bad filter.
+    static parseFilters(definitions, spec = {}) {
+      if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+        throw filterError('Specification filters must look like spec[key]=value');
+      }
+
+      const definitionsByKey = new Map(definitions.map(definition => [definition.key, definition]));
+
+      return Object.entries(spec).map(([key, raw]) => {
+        const definition = definitionsByKey.get(key);
+        if (!definition) {
+          throw filterError(`Cannot filter on specification "${key}" in this category`);
+        }
+        return definition.parseFilter(raw);
+      });
+    }
+
+    // Static method to count products for every value of every attribute.
+    // Each attribute's counts apply all the other filters but not its own,
+    // so shoppers can see what widening that filter would add.
+    static async getFacets(definitions, { where = {}, filters = [] } = {}) {
+      const { Product } = sequelize.models;
+
+      return Promise.all(definitions.map(async (definition) => {
+        const otherFilters = filters.filter(filter => filter.definition.key !== definition.key);
+        const valueSql = definition.getValueSql();
+
+        const rows = await Product.findAll({
+          where: {
+            [Op.and]: [
+              { isActive: true },
+              where,
+              ...otherFilters.map(filter => filter.definition.getCondition(filter)),
+              sequelize.literal(`${valueSql} IS NOT NULL`)
+            ]
+          },
+          attributes: [
+            [sequelize.literal(valueSql), 'value'],
+            [sequelize.fn('COUNT', sequelize.col('Product.id')), 'count']
+          ],
+          group: [sequelize.literal(valueSql)],
+          order: [[sequelize.literal(valueSql), 'ASC']],
+          raw: true
+        });
+
+        return definition.toFacet(rows, filters.find(filter => filter.definition.key === definition.key));
+      }));
+    }
+
+    // Instance method to get the SQL expression reading this attribute from
+    // a product's specifications, typed for comparison
+    getValueSql() {
+      const raw = `("Product"."specifications"->>${sequelize.escape(this.key)})`;
+
+      if (this.type === 'number') {
+        return `(substring(${raw} from '${NUMBER_PATTERN}')::numeric)`;
+      }
+      if (this.type === 'boolean') {
+        return `(CASE WHEN lower(${raw}) IN ('true', 'yes', '1') THEN true
+          WHEN lower(${raw}) IN ('false', 'no', '0') THEN false END)`;
+      }
+      // Enum values match regardless of case
+      return `lower(${raw})`;
+    }
+
+    // Instance method to read this attribute from a product's specification
+    // value the same way getValueSql does, e.g. '16GB' as 16. Returns null
+    // when the value is missing or unreadable.
+    readValue(value) {
+      if (value === undefined || value === null || value === '') {
+        return null;
+      }
+
+      const text = String(value).trim();
+
+      if (this.type === 'number') {
+        const match = text.match(/^\s*(-?\d+(\.\d+)?)/);
+        return match ? parseFloat(match[1]) : null;
+      }
+      if (this.type === 'boolean') {
+        if (['true', 'yes', '1'].includes(text.toLowerCase())) {
+          return true;
+        }
+        return ['false', 'no', '0'].includes(text.toLowerCase()) ? false : null;
+      }
+      // Enum values are shown with the defined option's spelling
+      const option = (this.options || []).find(known => known.toLowerCase() === text.toLowerCase());
+      return option || text;
+    }
+
+    // Instance method to validate one filter value from the query string
+    parseFilter(raw) {
+      if (this.type === 'number') {
+        // A bare value means equals; otherwise an object of operators
+        const comparisons = typeof raw === 'object' && !Array.isArray(raw) ? raw : { eq: raw };
+
+        return {
+          definition: this,
+          comparisons: Object.entries(comparisons).map(([operator, value]) => {
+            if (!NUMBER_OPERATORS[operator]) {
+              throw filterError(`Unknown comparison "${operator}" for ${this.label}`);
+            }
+            return { operator, value: this.parseNumber(value) };
+          })
+        };
+      }
+
+      if (typeof raw === 'object' && !Array.isArray(raw)) {
+        throw filterError(`${this.label} can only be filtered by value`);
+      }
+
+      if (this.type === 'boolean') {
+        if (!['true', 'false'].includes(String(raw))) {
+          throw filterError(`${this.label} must be true or false`);
+        }
+        return { definition: this, value: String(raw) === 'true' };
+      }
+
+      // Enum filters take one value or several, as a list or comma separated
+      const requested = (Array.isArray(raw) ? raw : String(raw).split(','))
+        .map(value => String(value).trim())
+        .filter(Boolean);
+      const values = requested.map((value) => {
+        const option = (this.options || []).find(known => known.toLowerCase() === value.toLowerCase());
+        if (!option) {
+          throw filterError(`"${value}" is not a valid ${this.label}`);
+        }
+        return option;
+      });
+
+      if (values.length === 0) {
+        throw filterError(`${this.label} filter needs a value`);
+      }
+
+      return { definition: this, values };
+    }
+
+    // Instance method to read a number filter value, allowing the
+    // attribute's unit after it, e.g. 16GB when the unit is GB
+    parseNumber(value) {
+      let text = String(value).trim();
+      if (this.unit && text.toLowerCase().endsWith(this.unit.toLowerCase())) {
+        text = text.slice(0, -this.unit.length).trim();
+      }
+
+      if (!/^-?\d+(\.\d+)?$/.test(text)) {
+        throw filterError(`${this.label} must be a number${this.unit ? ` in ${this.unit}` : ''}`);
+      }
+      return parseFloat(text);
+    }
+
+    // Instance method to build the where condition for a parsed filter
+    getCondition(filter) {
+      const valueSql = this.getValueSql();
+
+      if (this.type === 'number') {
+        return sequelize.literal(filter.comparisons
+          .map(({ operator, value }) => `${valueSql} ${NUMBER_OPERATORS[operator]} ${value}`)
+          .join(' AND '));
+      }
+      if (this.type === 'boolean') {
+        return sequelize.literal(`${valueSql} = ${filter.value}`);
+      }
+      return sequelize.literal(`${valueSql} IN (${
+        filter.values.map(value => sequelize.escape(value.toLowerCase())).join(', ')
+      })`);
+    }
+
+    // Instance method to shape grouped counts into a facet. Enum facets list
+    // every defined option, with 0 for options no product matches.
+    toFacet(rows, filter) {
+      let values;
+
+      if (this.type === 'enum') {
+        const counts = new Map(rows.map(row => [row.value, parseInt(row.count, 10)]));
+        values = (this.options || []).map(option => ({
+          value: option,
+          count: counts.get(option.toLowerCase()) || 0
+        }));
+      } else {
+        values = rows.map(row => ({
+          value: this.type === 'number' ? parseFloat(row.value) : row.value,
+          count: parseInt(row.count, 10)
+        }));
+      }
+
+      let selected = null;
+      if (filter) {
+        selected = this.type === 'number'
+          ? Object.fromEntries(filter.comparisons.map(({ operator, value }) => [operator, value]))
+          : (filter.values || filter.value);
+      }
+
+      return {
+        key: this.key,
+        label: this.label,
+        type: this.type,
+        unit: this.unit,
+        values,
+        selected
+      };
+    }
+  }
+
+  CategoryAttribute.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    category: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      validate: {
+        isProductCategory(value) {
+          if (!sequelize.models.Product.rawAttributes.category.values.includes(value)) {
+            throw new Error('Please select a valid category');
+          }
+        }
+      }
+    },
+    // Key of the value in Product.specifications, e.g. 'ram'
+    key: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      validate: {
+        is: {
+          args: /^[a-zA-Z][a-zA-Z0-9_]*$/,
+          msg: 'Key must start with a letter and contain only letters, digits and underscores'
+        }
+      }
+    },
+    label: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      validate: {
+        notEmpty: { msg: 'Label is required' }
+      }
+    },
+    type: {
+      type: DataTypes.ENUM(...ATTRIBUTE_TYPES),
+      allowNull: false
+    },
+    // Unit number values are stored in, e.g. 'GB' or 'in'
+    unit: {
+      type: DataTypes.STRING(20),
+      allowNull: true
+    },
+    // Allowed values of an enum attribute
+    options: {
+      type: DataTypes.ARRAY(DataTypes.STRING),
+      allowNull: false,
+      defaultValue: []
+    },
+    // Whether higher or lower number values are better; null when neither
+    prefer: {
+      type: DataTypes.ENUM(...PREFERENCES),
+      allowNull: true,
+      validate: {
+        numberOnly(value) {
+          if (value && this.type !== 'number') {
+            throw new Error('Only number attributes can prefer higher or lower values');
+          }
+        }
+      }
+    },
+    position: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    }
+  }, {
+    sequelize,
+    modelName: 'CategoryAttribute',
+    tableName: 'category_attributes',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      { unique: true, fields: ['category', 'key'] }
+    ],
+    validate: {
+      enumHasOptions() {
+        if (this.type === 'enum' && (!this.options || this.options.length === 0)) {
+          throw new Error('Enum attributes need at least one option');
+        }
+      }
+    }
+  });
+
+  CategoryAttribute.ATTRIBUTE_TYPES = ATTRIBUTE_TYPES;
+  CategoryAttribute.PREFERENCES = PREFERENCES;
+
+  return CategoryAttribute;
+};
@@ -0,0 +1,256 @@
+const { Model, DataTypes } = require('sequelize');
+
+const DISCOUNT_TYPES = ['percentage', 'fixed_amount'];
+
+const couponError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+module.exports = (sequelize) => {
+  class Coupon extends Model {
+    static associate(models) {
+      // Coupon has many usage records
+      Coupon.hasMany(models.CouponUsage, {
+        foreignKey: 'couponId',
+        as: 'usages',
+        onDelete: 'CASCADE'
+      });
+    }
+
+    // Codes are matched case-insensitively and stored upper case
+    static normalizeCode(code) {
+      return String(code || '').trim().toUpperCase();
+    }
+
+    // Static method to find a coupon by its code
+    static async findByCode(code, options = {}) {
+      return this.findOne({
+        where: { code: this.normalizeCode(code) },
+        ...options
+      });
+    }
+
+    // Static method to look up a code and validate it against a set of lines.
+    // Throws a 400/404 error describing why the coupon cannot be used.
+    static async validateCode(code, params, options = {}) {
+      const coupon = await this.findByCode(code, options);
+
+      if (!coupon) {
+        throw couponError('Invalid coupon code', 404);
+      }
+
+      const eligibleProductIds = await coupon.validateFor(params, options);
+      return { coupon, eligibleProductIds };
+    }
+
+    // Instance method to check whether a line is covered by the coupon's
+    // category and brand restrictions
+    appliesTo(line) {
+      const categories = this.applicableCategories || [];
+      const brands = (this.applicableBrands || []).map(brand => brand.toLowerCase());
+
+      if (categories.length > 0 && !categories.includes(line.category)) {
+        return false;
+      }
+
+      if (brands.length > 0 && !brands.includes(String(line.brand || '').toLowerCase())) {
+        return false;
+      }
+
+      return true;
+    }
+
+    // Instance method to validate the coupon for a user's lines
+    // lines: [{ productId, unitPrice, quantity, category, brand }]
+    // Returns the product IDs the discount applies to
+    async validateFor({ userId, lines }, options = {}) {
+      const now = new Date();
+
+      if (!this.isActive) {
+        throw couponError('This coupon is no longer active');
+      }
+
+      if (this.startDate && now < this.startDate) {
+        throw couponError('This coupon is not active yet');
+      }
+
+      if (this.endDate && now > this.endDate) {
+        throw couponError('This coupon has expired');
+      }
+
+      if (this.usageLimit && this.usageCount >= this.usageLimit) {
+        throw couponError('This coupon has reached its usage limit');
+      }
+
+      if (this.perUserLimit && userId) {
+        const used = await this.sequelize.models.CouponUsage.count({
+          where: { couponId: this.id, userId },
+          transaction: options.transaction
+        });
+
+        if (used >= this.perUserLimit) {
+          throw couponError('You have already used this coupon');
+        }
+      }
+
+      const eligibleLines = lines.filter(line => this.appliesTo(line));
+
+      if (eligibleLines.length === 0) {
+        throw couponError('This coupon does not apply to any items in your cart');
+      }
+
+      const eligibleSubtotal = eligibleLines.reduce((total, line) =>
+        total + parseFloat(line.unitPrice) * line.quantity, 0);
+      const minOrderAmount = parseFloat(this.minOrderAmount) || 0;
+
+      if (eligibleSubtotal < minOrderAmount) {
+        throw couponError(`Add items worth ₹${(minOrderAmount - eligibleSubtotal).toFixed(2)} more to use this coupon`);
+      }
+
+      return eligibleLines.map(line => line.productId);
+    }
+
+    // Instance method to describe the discount for the pricing engine
+    toPricingCoupon(eligibleProductIds = null) {
+      return {
+        type: this.discountType === 'percentage' ? 'percentage' : 'fixed',
+        value: this.discountValue,
+        maxDiscount: this.maxDiscountAmount,
+        productIds: eligibleProductIds
+      };
+    }
+
+    // Instance method to record a redemption against an order
+    async redeem({ userId, orderId, discountAmount }, options = {}) {
+      const { transaction } = options;
+
+      await this.sequelize.models.CouponUsage.create({
+        couponId: this.id,
+        userId,
+        orderId,
+        discountAmount
+      }, { transaction });
+
+      return this.increment('usageCount', { by: 1, transaction });
+    }
+  }
+
+  Coupon.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    code: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      unique: true,
+      set(value) {
+        this.setDataValue('code', Coupon.normalizeCode(value));
+      },
+      validate: {
+        notEmpty: { msg: 'Coupon code is required' },
+        is: {
+          args: /^[A-Z0-9_-]+$/,
+          msg: 'Coupon code can only contain letters, numbers, dashes and underscores'
+        }
+      }
+    },
+    description: DataTypes.TEXT,
+    discountType: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      validate: {
+        isIn: {
+          args: [DISCOUNT_TYPES],
+          msg: 'Discount type must be percentage or fixed_amount'
+        }
+      }
+    },
+    discountValue: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      validate: {
+        min: { args: [0.01], msg: 'Discount value must be greater than 0' },
+        isValidPercentage(value) {
+          if (this.discountType === 'percentage' && parseFloat(value) > 100) {
+            throw new Error('Discount percentage cannot be more than 100');
+          }
+        }
+      }
+    },
+    minOrderAmount: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0,
+      validate: {
+        min: { args: [0], msg: 'Minimum order amount cannot be negative' }
+      }
+    },
+    maxDiscountAmount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      validate: {
+        min: { args: [0], msg: 'Maximum discount cannot be negative' }
+      }
+    },
+    startDate: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    endDate: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      validate: {
+        isAfterStart(value) {
+          if (value && this.startDate && new Date(value) <= new Date(this.startDate)) {
+            throw new Error('End date must be after the start date');
+          }
+        }
+      }
+    },
+    usageLimit: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: {
+        min: { args: [1], msg: 'Usage limit must be at least 1' }
+      }
+    },
+    usageCount: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    perUserLimit: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: {
+        min: { args: [1], msg: 'Per-user limit must be at least 1' }
+      }
+    },
+    // Empty lists mean the coupon applies to every category/brand
+    applicableCategories: {
+      type: DataTypes.ARRAY(DataTypes.STRING),
+      defaultValue: []
+    },
+    applicableBrands: {
+      type: DataTypes.ARRAY(DataTypes.STRING),
+      defaultValue: []
+    },
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true
+    }
+  }, {
+    sequelize,
+    modelName: 'Coupon',
+    tableName: 'coupons',
+    timestamps: true,
+    underscored: true
+  });
+
+  Coupon.DISCOUNT_TYPES = DISCOUNT_TYPES;
+
+  return Coupon;
+};
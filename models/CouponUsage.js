@@ -0,0 +1,68 @@
+const { Model, DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  class CouponUsage extends Model {
+    static associate(models) {
+      // CouponUsage belongs to a Coupon
+      CouponUsage.belongsTo(models.Coupon, {
+        foreignKey: 'couponId',
+        as: 'coupon',
+        onDelete: 'CASCADE'
+      });
+
+      CouponUsage.belongsTo(models.User, {
+        foreignKey: 'userId',
+        as: 'user',
+        onDelete: 'SET NULL'
+      });
+
+      CouponUsage.belongsTo(models.Order, {
+        foreignKey: 'orderId',
+        as: 'order',
+        onDelete: 'SET NULL'
+      });
+    }
+  }
+
+  CouponUsage.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    couponId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: 'coupons', key: 'id' },
+      onDelete: 'CASCADE'
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: { model: 'users', key: 'id' },
+      onDelete: 'SET NULL'
+    },
+    orderId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: { model: 'orders', key: 'id' },
+      onDelete: 'SET NULL'
+    },
+    discountAmount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false
+    },
+    usedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    sequelize,
+    modelName: 'CouponUsage',
+    tableName: 'coupon_usage',
+    timestamps: false,
+    underscored: true
+  });
+
+  return CouponUsage;
+};
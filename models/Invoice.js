@@ -0,0 +1,114 @@
+const { Model, DataTypes } = require('sequelize');
+
+const NUMBER_SERIES = {
+  invoice: { prefix: 'INV', sequence: 'invoice_number_seq' },
+  credit_note: { prefix: 'CN', sequence: 'credit_note_number_seq' }
+};
+
+// Indian financial year label for a date, e.g. 2026-27 for 19 Oct 2026
+const getFinancialYear = (date) => {
+  const startYear = date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+module.exports = (sequelize) => {
+  class Invoice extends Model {
+    static associate(models) {
+      // Invoice belongs to an Order
+      Invoice.belongsTo(models.Order, {
+        foreignKey: 'orderId',
+        as: 'order',
+        onDelete: 'CASCADE'
+      });
+
+      // Credit notes belong to the Refund they document
+      Invoice.belongsTo(models.Refund, {
+        foreignKey: 'refundId',
+        as: 'refund',
+        constraints: false
+      });
+    }
+
+    // Static method to generate the next document number in a series,
+    // e.g. INV/2026-27/000042 or CN/2026-27/000003
+    static async generateNumber(type, options = {}) {
+      const series = NUMBER_SERIES[type];
+      const [result] = await this.sequelize.query(
+        `SELECT nextval('${series.sequence}') AS value`,
+        { type: this.sequelize.QueryTypes.SELECT, transaction: options.transaction }
+      );
+      const financialYear = getFinancialYear(new Date());
+      return `${series.prefix}/${financialYear}/${String(result.value).padStart(6, '0')}`;
+    }
+  }
+
+  Invoice.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    invoiceNumber: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      unique: true
+    },
+    type: {
+      type: DataTypes.ENUM(...Object.keys(NUMBER_SERIES)),
+      allowNull: false,
+      defaultValue: 'invoice'
+    },
+    orderId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: 'orders', key: 'id' },
+      onDelete: 'CASCADE'
+    },
+    refundId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: { model: 'refunds', key: 'id' },
+      onDelete: 'SET NULL'
+    },
+    // Seller, buyer, line and total snapshot taken when the document was issued
+    seller: {
+      type: DataTypes.JSONB,
+      defaultValue: {}
+    },
+    buyer: {
+      type: DataTypes.JSONB,
+      defaultValue: {}
+    },
+    lines: {
+      type: DataTypes.JSONB,
+      defaultValue: []
+    },
+    totals: {
+      type: DataTypes.JSONB,
+      defaultValue: {}
+    },
+    issuedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    sequelize,
+    modelName: 'Invoice',
+    tableName: 'invoices',
+    timestamps: true,
+    underscored: true,
+    hooks: {
+      beforeValidate: async (invoice, options) => {
+        if (invoice.isNewRecord && !invoice.invoiceNumber) {
+          invoice.invoiceNumber = await Invoice.generateNumber(invoice.type, options);
+        }
+      }
+    },
+    indexes: [
+      { fields: ['order_id'] },
+      { fields: ['refund_id'] }
+    ]
+  });
+
+  return Invoice;
+};
@@ -1,4 +1,24 @@
 const { Model, DataTypes } = require('sequelize');
+const { priceLines } = require('../services/pricingService');
+
+// Allowed order status transitions. Terminal statuses map to an empty list.
+const STATUS_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['processing', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['out_for_delivery', 'returned'],
+  out_for_delivery: ['delivered', 'returned'],
+  delivered: ['returned'],
+  cancelled: ['refunded'],
+  returned: ['refunded'],
+  refunded: []
+};
+
+const ORDER_STATUSES = Object.keys(STATUS_TRANSITIONS);
+
+const ORDER_NUMBER_PREFIX = 'UT';
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
 module.exports = (sequelize) => {
   class Order extends Model {
@@ -21,6 +41,450 @@ module.exports = (sequelize) => {
         as: 'shippingAddress',
         constraints: false
       });
+
+      // Order has many refunds
+      Order.hasMany(models.Refund, {
+        foreignKey: 'orderId',
+        as: 'refunds'
+      });
+
+      // Order has many invoices and credit notes
+      Order.hasMany(models.Invoice, {
+        foreignKey: 'orderId',
+        as: 'invoices'
+      });
+
+      // Order has many status history entries
+      Order.hasMany(models.OrderStatusHistory, {
+        foreignKey: 'orderId',
+        as: 'statusHistory'
+      });
+    }
+
+    // Static method to ship a free replacement for returned units of an
+    // order item. Locks and decrements stock like a regular order.
+    static async createReplacement(sourceOrder, orderItem, quantity, { actorId = null, transaction } = {}) {
+      const {
+        Product, ProductVariant, OrderItem, ShippingAddress, OrderStatusHistory
+      } = this.sequelize.models;
+
+      const product = await Product.findByPk(orderItem.productId, {
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+      const variant = orderItem.variantId
+        ? await ProductVariant.findByPk(orderItem.variantId, {
+          lock: transaction.LOCK.UPDATE,
+          transaction
+        })
+        : null;
+
+      // Replace like for like: the same variant when one was bought
+      const unit = orderItem.variantId ? variant : product;
+      const isActive = Boolean(product && product.isActive && unit && unit.isActive);
+
+      if (!isActive || unit.stock < quantity) {
+        const error = new Error('Replacement item is out of stock');
+        error.statusCode = 409;
+        error.unavailableItems = [{
+          productId: orderItem.productId,
+          variantId: orderItem.variantId || null,
+          name: orderItem.name,
+          requested: quantity,
+          available: isActive ? unit.stock : 0,
+          reason: isActive ? 'insufficient_stock' : 'unavailable'
+        }];
+        throw error;
+      }
+
+      const order = await this.create({
+        userId: sourceOrder.userId,
+        status: 'confirmed',
+        paymentMethod: sourceOrder.paymentMethod,
+        paymentStatus: 'completed',
+        totalItems: quantity,
+        notes: `Replacement for order ${sourceOrder.orderNumber}`
+      }, { transaction });
+
+      await OrderItem.create({
+        orderId: order.id,
+        productId: product.id,
+        variantId: orderItem.variantId,
+        variantName: orderItem.variantName,
+        quantity,
+        price: 0,
+        name: orderItem.name
+      }, { transaction });
+
+      const addresses = await ShippingAddress.findAll({
+        where: { orderId: sourceOrder.id },
+        transaction
+      });
+      await ShippingAddress.bulkCreate(addresses.map(address => ({
+        type: address.type,
+        street: address.street,
+        city: address.city,
+        state: address.state,
+        pincode: address.pincode,
+        country: address.country,
+        addressType: address.addressType,
+        orderId: order.id
+      })), { transaction });
+
+      await unit.decrement('stock', { by: quantity, transaction });
+
+      await OrderStatusHistory.create({
+        orderId: order.id,
+        status: order.status,
+        comment: `Replacement for order ${sourceOrder.orderNumber}`,
+        changedBy: actorId
+      }, { transaction });
+
+      return order;
+    }
+
+    // Static method to generate the next human-readable order number,
+    // e.g. UT-2026-000123. Backed by the order_number_seq sequence so
+    // concurrent checkouts never receive the same number.
+    static async generateOrderNumber(options = {}) {
+      const [result] = await this.sequelize.query(
+        "SELECT nextval('order_number_seq') AS value",
+        { type: this.sequelize.QueryTypes.SELECT, transaction: options.transaction }
+      );
+      const year = new Date().getFullYear();
+      return `${ORDER_NUMBER_PREFIX}-${year}-${String(result.value).padStart(6, '0')}`;
+    }
+
+    // Static method to find an order by UUID or by order number
+    static async findByIdOrNumber(identifier, options = {}) {
+      if (UUID_PATTERN.test(identifier)) {
+        return this.findByPk(identifier, options);
+      }
+
+      return this.findOne({
+        ...options,
+        where: { orderNumber: String(identifier).trim().toUpperCase() }
+      });
+    }
+
+    // Static method to lock an order, found by UUID or order number, and load
+    // its items. Only the order row is locked; Postgres cannot lock the
+    // nullable side of the outer join to its items.
+    static async findLockedWithItems(identifier, options = {}) {
+      const { transaction } = options;
+
+      return this.findByIdOrNumber(identifier, {
+        include: [{ model: this.sequelize.models.OrderItem, as: 'items' }],
+        lock: { level: transaction.LOCK.UPDATE, of: this },
+        transaction
+      });
+    }
+
+    // Static method to find the order a gateway payment belongs to, by the
+    // provider's reference or, failing that, the order ID in its metadata.
+    // The fallback only matches orders paid through the same provider, so
+    // one gateway's events can never settle another's (or a COD) order.
+    static async findByPaymentReference(provider, reference, options = {}) {
+      const { orderId, ...queryOptions } = options;
+
+      if (reference) {
+        const order = await this.findOne({
+          ...queryOptions,
+          where: { paymentProvider: provider, paymentReference: reference }
+        });
+        if (order) return order;
+      }
+
+      if (orderId && UUID_PATTERN.test(orderId)) {
+        return this.findOne({
+          ...queryOptions,
+          where: { id: orderId, paymentProvider: provider }
+        });
+      }
+
+      return null;
+    }
+
+    // Instance method to record a captured payment and confirm the order
+    async markPaymentSucceeded(paymentId, { actorId = null, comment = 'Payment received', transaction } = {}) {
+      if (this.paymentStatus === 'completed') {
+        return this;
+      }
+
+      await this.update({ paymentStatus: 'completed', paymentId }, { transaction });
+
+      if (this.canTransitionTo('confirmed')) {
+        await this.transitionTo('confirmed', { actorId, comment, transaction });
+      }
+
+      return this;
+    }
+
+    // Instance method to check whether the order may move to a status
+    canTransitionTo(status) {
+      return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+    }
+
+    // Instance method to list the statuses the order may move to next
+    getAllowedTransitions() {
+      return STATUS_TRANSITIONS[this.status] || [];
+    }
+
+    // Instance method to move the order to a new status and record it in
+    // order_status_history. Extra order fields (e.g. trackingNumber) can be
+    // passed in `changes`.
+    async transitionTo(status, { actorId = null, comment = null, changes = {}, transaction } = {}) {
+      if (!this.canTransitionTo(status)) {
+        const error = new Error(`Cannot change order status from ${this.status} to ${status}`);
+        error.statusCode = 400;
+        error.allowedStatuses = this.getAllowedTransitions();
+        throw error;
+      }
+
+      const fromStatus = this.status;
+      const updates = { ...changes, status };
+      if (status === 'delivered') {
+        updates.deliveredAt = new Date();
+      }
+
+      await this.update(updates, { transaction });
+      await this.sequelize.models.OrderStatusHistory.create({
+        orderId: this.id,
+        fromStatus,
+        status,
+        comment,
+        changedBy: actorId
+      }, { transaction });
+
+      return this;
+    }
+
+    // Static method to place an order from the user's cart.
+    // Locks the products involved, decrements stock, writes the order items
+    // and clears the cart inside a single transaction. Pass an outer
+    // transaction in options to extend it (e.g. to set the payment provider).
+    static async placeFromCart(userId, details, options = {}) {
+      if (!options.transaction) {
+        return this.sequelize.transaction(transaction =>
+          this.placeFromCart(userId, details, { ...options, transaction })
+        );
+      }
+
+      const { transaction } = options;
+      const {
+        Cart, CartItem, Coupon, OrderItem, ShippingAddress, ShippingZone, ServiceablePincode,
+        StockReservation, ProductImage
+      } = this.sequelize.models;
+      const {
+        shippingAddress,
+        billingAddress,
+        paymentMethod,
+        buyerGstin,
+        acceptPriceChanges,
+        notes
+      } = details;
+
+      // Reject addresses we cannot deliver to (or collect cash at) up front
+      await ServiceablePincode.assertServiceable(shippingAddress.pincode, { paymentMethod }, { transaction });
+
+      // Saved-for-later items stay behind in the cart
+      const cart = await Cart.findOne({
+        where: { userId },
+        include: [{ model: CartItem, as: 'items', where: { savedForLater: false } }],
+        transaction
+      });
+
+      if (!cart || !cart.items || cart.items.length === 0) {
+        throw new Error('Cart is empty');
+      }
+
+      // Lock the products and variants being bought. Units held by other
+      // shoppers' checkout sessions are not for sale.
+      const { productsById, variantsById, unavailableItems } = await StockReservation.lockItems(cart.items, {
+        excludeUserId: userId,
+        transaction
+      });
+
+      if (unavailableItems.length > 0) {
+        const error = new Error('Some items in your cart are out of stock');
+        error.statusCode = 409;
+        error.unavailableItems = unavailableItems;
+        throw error;
+      }
+
+      // Items with a variant are sold, priced and stocked as that variant
+      const getVariant = item => (item.variantId ? variantsById.get(item.variantId) : null);
+      const getUnitPrice = item => parseFloat((getVariant(item) || productsById.get(item.productId)).price);
+
+      // Cart items hold the highest price the shopper agreed to. Showing them
+      // a higher price is not agreement: it must be accepted before we charge it.
+      const priceIncreases = cart.items
+        .filter(item => getUnitPrice(item) > parseFloat(item.acceptedPrice))
+        .map(item => ({
+          productId: item.productId,
+          variantId: item.variantId || null,
+          name: productsById.get(item.productId).name,
+          previousPrice: parseFloat(item.acceptedPrice),
+          price: getUnitPrice(item)
+        }));
+
+      if (priceIncreases.length > 0 && !acceptPriceChanges) {
+        const error = new Error('Some prices have gone up since you last saw your cart');
+        error.statusCode = 409;
+        error.priceIncreases = priceIncreases;
+        throw error;
+      }
+
+      // Re-validate the applied coupon against the locked prices. The coupon
+      // row is locked too so usage limits hold under concurrent checkouts.
+      let coupon = null;
+      let eligibleProductIds = null;
+      if (cart.couponId) {
+        coupon = await Coupon.findByPk(cart.couponId, {
+          lock: transaction.LOCK.UPDATE,
+          transaction
+        });
+
+        if (!coupon) {
+          const error = new Error('The applied coupon no longer exists');
+          error.statusCode = 400;
+          throw error;
+        }
+
+        eligibleProductIds = await coupon.validateFor({
+          userId,
+          lines: cart.items.map(item => {
+            const product = productsById.get(item.productId);
+            return {
+              productId: product.id,
+              unitPrice: getUnitPrice(item),
+              quantity: item.quantity,
+              category: product.category,
+              brand: product.brand
+            };
+          })
+        }, { transaction });
+      }
+
+      // Quote shipping for the delivery pincode from product weights
+      const shippingQuote = await ShippingZone.quote({
+        pincode: shippingAddress.pincode,
+        lines: cart.items.map(item => ({
+          product: productsById.get(item.productId),
+          quantity: item.quantity
+        })),
+        subtotal: cart.items.reduce((total, item) =>
+          total + getUnitPrice(item) * item.quantity, 0)
+      }, { transaction });
+
+      // Calculate totals and GST from the locked product and variant prices
+      const pricing = priceLines({
+        lines: cart.items.map(item => {
+          const product = productsById.get(item.productId);
+          const variant = getVariant(item);
+          return {
+            productId: product.id,
+            variantId: variant ? variant.id : null,
+            variantName: variant ? variant.getLabel() : null,
+            name: product.name,
+            unitPrice: getUnitPrice(item),
+            quantity: item.quantity,
+            hsnCode: product.hsnCode,
+            gstRate: product.gstRate
+          };
+        }),
+        coupon: coupon ? coupon.toPricingCoupon(eligibleProductIds) : null,
+        shippingState: shippingAddress.state,
+        shipping: shippingQuote.shipping
+      });
+
+      const order = await this.create({
+        userId,
+        paymentMethod,
+        buyerGstin: buyerGstin || null,
+        paymentStatus: 'pending',
+        subtotal: pricing.subtotal,
+        tax: pricing.tax,
+        taxBreakdown: pricing.taxBreakdown,
+        shipping: pricing.shipping,
+        discount: pricing.discount,
+        totalPrice: pricing.total,
+        totalItems: cart.items.reduce((count, item) => count + item.quantity, 0),
+        coupon: coupon
+          ? {
+            id: coupon.id,
+            code: coupon.code,
+            discountType: coupon.discountType,
+            discountValue: coupon.discountValue,
+            discount: pricing.discount
+          }
+          : null,
+        notes
+      }, { transaction });
+
+      // Order items keep the thumbnail shown when they were bought
+      const thumbnails = await ProductImage.getPrimaryThumbnails(
+        pricing.lines.map(line => line.productId),
+        { transaction }
+      );
+
+      await OrderItem.bulkCreate(pricing.lines.map(line => ({
+        orderId: order.id,
+        productId: line.productId,
+        variantId: line.variantId,
+        variantName: line.variantName,
+        quantity: line.quantity,
+        price: line.unitPrice,
+        name: line.name,
+        image: thumbnails.get(line.productId) || null,
+        hsnCode: line.hsnCode,
+        gstRate: line.gstRate,
+        discount: line.discount,
+        taxableValue: line.taxableValue,
+        cgst: line.cgst,
+        sgst: line.sgst,
+        utgst: line.utgst,
+        igst: line.igst,
+        taxAmount: line.taxAmount
+      })), { transaction });
+
+      await ShippingAddress.bulkCreate([
+        { ...shippingAddress, orderId: order.id, addressType: 'shipping' },
+        { ...(billingAddress || shippingAddress), orderId: order.id, addressType: 'billing' }
+      ], { transaction });
+
+      // Update product or variant stock
+      for (const item of cart.items) {
+        await (getVariant(item) || productsById.get(item.productId)).decrement('stock', {
+          by: item.quantity,
+          transaction
+        });
+      }
+
+      if (coupon) {
+        await coupon.redeem({
+          userId,
+          orderId: order.id,
+          discountAmount: pricing.discount
+        }, { transaction });
+      }
+
+      // The order now holds the stock, so the checkout session's holds go
+      await StockReservation.releaseForUser(userId, { transaction });
+
+      // Credit the order to any abandoned cart reminder sent for this cart
+      await this.sequelize.models.CartRecovery.markConverted(cart.id, order.id, { transaction });
+
+      await Cart.clearCart(userId, { transaction });
+
+      await this.sequelize.models.OrderStatusHistory.create({
+        orderId: order.id,
+        status: order.status,
+        comment: 'Order placed',
+        changedBy: userId
+      }, { transaction });
+
+      return order;
     }
   }
 
@@ -30,6 +494,11 @@ module.exports = (sequelize) => {
       defaultValue: DataTypes.UUIDV4, // generate UUID automatically
       primaryKey: true
     },
+    orderNumber: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      unique: true
+    },
     userId: {
       type: DataTypes.UUID,
       allowNull: false,
@@ -41,9 +510,45 @@ module.exports = (sequelize) => {
       onUpdate: 'CASCADE'
     },
     status: {
-      type: DataTypes.ENUM('pending', 'processing', 'shipped', 'delivered', 'cancelled'),
+      type: DataTypes.ENUM(...ORDER_STATUSES),
       defaultValue: 'pending'
     },
+    trackingNumber: DataTypes.STRING,
+    deliveredAt: DataTypes.DATE,
+    paymentMethod: {
+      type: DataTypes.ENUM('card', 'upi', 'netbanking', 'cod', 'wallet'),
+      allowNull: false
+    },
+    paymentStatus: {
+      type: DataTypes.ENUM('pending', 'completed', 'failed', 'partially_refunded', 'refunded'),
+      defaultValue: 'pending'
+    },
+    paymentProvider: DataTypes.STRING(50),
+    paymentReference: DataTypes.STRING,
+    paymentId: DataTypes.STRING,
+    stripePaymentIntentId: DataTypes.STRING,
+    disputeStatus: DataTypes.STRING(50),
+    subtotal: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0
+    },
+    tax: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0
+    },
+    // { supplyType, placeOfSupply, cgst, sgst, utgst, igst }
+    taxBreakdown: {
+      type: DataTypes.JSONB,
+      defaultValue: {}
+    },
+    shipping: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0
+    },
+    discount: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0
+    },
     totalPrice: {
       type: DataTypes.DECIMAL(10, 2),
       defaultValue: 0
@@ -51,13 +556,42 @@ module.exports = (sequelize) => {
     totalItems: {
       type: DataTypes.INTEGER,
       defaultValue: 0
-    }
+    },
+    refundedAmount: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0
+    },
+    coupon: {
+      type: DataTypes.JSONB,
+      defaultValue: null
+    },
+    buyerGstin: {
+      type: DataTypes.STRING(15),
+      validate: {
+        is: {
+          args: GSTIN_PATTERN,
+          msg: 'Please provide a valid GSTIN'
+        }
+      }
+    },
+    notes: DataTypes.TEXT
   }, {
     sequelize,
     modelName: 'Order',
     tableName: 'orders',
-    timestamps: true
+    timestamps: true,
+    hooks: {
+      beforeValidate: async (order, options) => {
+        if (order.isNewRecord && !order.orderNumber) {
+          order.orderNumber = await Order.generateOrderNumber(options);
+        }
+      }
+    }
   });
 
+  Order.GSTIN_PATTERN = GSTIN_PATTERN;
+  Order.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+  Order.ORDER_STATUSES = ORDER_STATUSES;
+
   return Order;
 };
@@ -14,10 +14,41 @@ module.exports = (sequelize) => {
         foreignKey: 'productId',
         as: 'product'
       });
+
+      // OrderItem may be for one variant of the product
+      OrderItem.belongsTo(models.ProductVariant, {
+        foreignKey: 'variantId',
+        as: 'variant',
+        constraints: false
+      });
+    }
+
+    // Instance method to describe the item as bought, e.g.
+    // "Gaming Laptop (16GB / 512GB)"
+    getDescription() {
+      return this.variantName ? `${this.name} (${this.variantName})` : this.name;
+    }
+
+    // Instance method to put units back into stock: the variant's stock
+    // when a variant was bought, otherwise the product's
+    async restock(quantity = this.quantity, options = {}) {
+      const { Product, ProductVariant } = sequelize.models;
+      const model = this.variantId ? ProductVariant : Product;
+
+      return model.increment('stock', {
+        by: quantity,
+        where: { id: this.variantId || this.productId },
+        transaction: options.transaction
+      });
     }
   }
 
   OrderItem.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
     orderId: {
       type: DataTypes.UUID,
       allowNull: false,
@@ -45,6 +76,51 @@ module.exports = (sequelize) => {
     price: {
       type: DataTypes.DECIMAL(10, 2),
       allowNull: false
+    },
+    name: DataTypes.STRING,
+    image: DataTypes.STRING,
+    // Kept as bought even if the variant is later edited or removed
+    variantId: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    variantName: DataTypes.STRING(100),
+    hsnCode: DataTypes.STRING(8),
+    gstRate: {
+      type: DataTypes.DECIMAL(5, 2),
+      defaultValue: 0
+    },
+    discount: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0
+    },
+    taxableValue: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0
+    },
+    cgst: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0
+    },
+    sgst: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0
+    },
+    utgst: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0
+    },
+    igst: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0
+    },
+    taxAmount: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0
+    },
+    refundedQuantity: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
     }
   }, {
     sequelize,
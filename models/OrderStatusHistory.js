@@ -0,0 +1,84 @@
+const { Model, DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  class OrderStatusHistory extends Model {
+    static associate(models) {
+      // History entry belongs to an Order
+      OrderStatusHistory.belongsTo(models.Order, {
+        foreignKey: 'orderId',
+        as: 'order',
+        onDelete: 'CASCADE'
+      });
+
+      // History entry records the User who made the change (null for system changes)
+      OrderStatusHistory.belongsTo(models.User, {
+        foreignKey: 'changedBy',
+        as: 'actor',
+        constraints: false
+      });
+    }
+
+    // Static method to get an order's timeline, oldest first
+    static async getTimeline(orderId) {
+      return this.findAll({
+        where: { orderId },
+        include: [{
+          model: this.sequelize.models.User,
+          as: 'actor',
+          attributes: ['id', 'name', 'role']
+        }],
+        order: [['created_at', 'ASC']]
+      });
+    }
+  }
+
+  OrderStatusHistory.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    orderId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'orders',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    fromStatus: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    comment: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    changedBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    }
+  }, {
+    sequelize,
+    modelName: 'OrderStatusHistory',
+    tableName: 'order_status_history',
+    timestamps: true,
+    updatedAt: false,
+    underscored: true,
+    indexes: [
+      { fields: ['order_id'] }
+    ]
+  });
+
+  return OrderStatusHistory;
+};
@@ -0,0 +1,79 @@
+const { Model, DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  class PaymentEvent extends Model {
+    static associate(models) {
+      // PaymentEvent may belong to an Order
+      PaymentEvent.belongsTo(models.Order, {
+        foreignKey: 'orderId',
+        as: 'order',
+        constraints: false
+      });
+    }
+
+    // Static method to record an incoming provider event ({ id, type, payload })
+    // exactly once. Returns { event, created } where created is false for
+    // redeliveries.
+    static async record(provider, providerEvent, options = {}) {
+      const [event, created] = await this.findOrCreate({
+        where: { provider, eventId: providerEvent.id },
+        defaults: {
+          type: providerEvent.type,
+          payload: providerEvent.payload
+        },
+        transaction: options.transaction
+      });
+
+      return { event, created };
+    }
+  }
+
+  PaymentEvent.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    provider: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    eventId: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    type: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    orderId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'orders',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
+    payload: {
+      type: DataTypes.JSONB,
+      defaultValue: {}
+    },
+    processedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    sequelize,
+    modelName: 'PaymentEvent',
+    tableName: 'payment_events',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      { unique: true, fields: ['provider', 'event_id'] },
+      { fields: ['order_id'] }
+    ]
+  });
+
+  return PaymentEvent;
+};
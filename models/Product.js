@@ -1,4 +1,13 @@
 const { Model, DataTypes, Op } = require('sequelize');
+const { GST_RATES, DEFAULT_GST_RATE } = require('../services/pricingService');
+const { prefixPattern } = require('../utils/sql');
+
+// Courier volumetric divisor: length x width x height in cm / divisor = kg
+const VOLUMETRIC_DIVISOR = parseInt(process.env.SHIPPING_VOLUMETRIC_DIVISOR, 10) || 5000;
+
+// Trigram word similarity a product name or brand needs to count as a typo
+// match, e.g. "nvidea" for NVIDIA
+const FUZZY_SEARCH_THRESHOLD = parseFloat(process.env.FUZZY_SEARCH_THRESHOLD) || 0.4;
 
 module.exports = (sequelize, DataTypes) => {
   class Product extends Model {
@@ -30,6 +39,20 @@ module.exports = (sequelize, DataTypes) => {
         as: 'cartItems'
       });
 
+      // Products can come in variants, e.g. RAM and storage options
+      Product.hasMany(models.ProductVariant, {
+        foreignKey: 'productId',
+        as: 'variants',
+        onDelete: 'CASCADE'
+      });
+
+      // Products have a gallery of images, one of them primary
+      Product.hasMany(models.ProductImage, {
+        foreignKey: 'productId',
+        as: 'images',
+        onDelete: 'CASCADE'
+      });
+
       // Products can be in many wishlists
       Product.hasMany(models.Wishlist, {
         foreignKey: 'productId',
@@ -45,6 +68,29 @@ module.exports = (sequelize, DataTypes) => {
       return 0;
     }
 
+    // Instance method to get the weight a courier bills one unit at: the
+    // larger of its actual weight (kg) and its volumetric weight
+    getChargeableWeight() {
+      const weight = parseFloat(this.weight) || 0;
+      const { length, width, height } = this.dimensions || {};
+      const volumetricWeight = length && width && height
+        ? (parseFloat(length) * parseFloat(width) * parseFloat(height)) / VOLUMETRIC_DIVISOR
+        : 0;
+
+      return Math.max(weight, volumetricWeight);
+    }
+
+    // Instance method to get the units left once other shoppers' unexpired
+    // checkout holds are taken out of stock
+    async getAvailableStock({ excludeUserId = null, transaction } = {}) {
+      const reserved = await this.sequelize.models.StockReservation.getReservedQuantities(
+        [this.id],
+        { excludeUserId, transaction }
+      );
+
+      return Math.max(this.stock - (reserved.get(this.id) || 0), 0);
+    }
+
     // Static method to get products by category
     static async getByCategory(category, limit = 20) {
       return this.findAll({
@@ -69,25 +115,158 @@ module.exports = (sequelize, DataTypes) => {
       });
     }
 
-    // Static method to search products
-    static async search(query, limit = 20) {
+    // Static method to search active products, best matches first. Ranks
+    // full-text matches on the weighted search vector and, when nothing
+    // matches, falls back to trigram similarity on name and brand so typos
+    // still find products. Pass `order` to sort by something other than
+    // relevance; relevance then breaks ties.
+    static async search(query, { where = {}, order = [], limit = 20, offset = 0 } = {}) {
+      const fullText = await this.findAndCountAll({
+        ...this.getFullTextSearch(query, where),
+        order: [...order, [sequelize.literal('"searchRank"'), 'DESC'], ['created_at', 'DESC']],
+        limit,
+        offset
+      });
+
+      if (fullText.count > 0) {
+        return { products: fullText.rows, total: fullText.count, matchedBy: 'fulltext' };
+      }
+
+      // Lower the word similarity threshold for this query only so the
+      // trigram indexes on name and brand can serve the <% operator
+      return sequelize.transaction(async (transaction) => {
+        await sequelize.query(
+          `SET LOCAL pg_trgm.word_similarity_threshold = ${FUZZY_SEARCH_THRESHOLD}`,
+          { transaction }
+        );
+
+        const fuzzy = await this.findAndCountAll({
+          ...this.getFuzzySearch(query, where),
+          order: [...order, [sequelize.literal('"searchRank"'), 'DESC'], ['created_at', 'DESC']],
+          limit,
+          offset,
+          transaction
+        });
+
+        return { products: fuzzy.rows, total: fuzzy.count, matchedBy: 'similarity' };
+      });
+    }
+
+    // Static method to get the condition a search matched products by, for
+    // queries that must cover the same products, such as facet counts.
+    // Trigram matches are written with word_similarity() here, so unlike
+    // getFuzzySearch they need no threshold set first.
+    static getSearchCondition(query, matchedBy = 'fulltext') {
+      const escaped = sequelize.escape(query);
+
+      if (matchedBy === 'similarity') {
+        return sequelize.literal(`GREATEST(
+          word_similarity(${escaped}, "Product"."name"),
+          word_similarity(${escaped}, "Product"."brand")
+        ) >= ${FUZZY_SEARCH_THRESHOLD}`);
+      }
+
+      return sequelize.literal(`"Product"."search_vector" @@ websearch_to_tsquery('english', ${escaped})`);
+    }
+
+    // Static method to suggest active products as a search is typed. Every
+    // word must start a word of the product, so "rtx 40" finds "NVIDIA RTX
+    // 4070"; names that start with the text come first.
+    static async suggest(prefix, limit = 5) {
+      const words = prefix.toLowerCase().split(/\s+/)
+        .map(word => word.replace(/[^a-z0-9]/g, ''))
+        .filter(Boolean);
+
+      if (words.length === 0) {
+        return [];
+      }
+
+      const tsQuery = `to_tsquery('english', ${sequelize.escape(words.map(word => `${word}:*`).join(' & '))})`;
+
       return this.findAll({
         where: {
           isActive: true,
-          [Op.or]: [
-            { name: { [Op.iLike]: `%${query}%` } },
-            { description: { [Op.iLike]: `%${query}%` } },
-            { brand: { [Op.iLike]: `%${query}%` } },
-            { category: { [Op.iLike]: `%${query}%` } }
-          ]
+          [Op.and]: sequelize.literal(`"Product"."search_vector" @@ ${tsQuery}`)
         },
+        attributes: ['id', 'name', 'brand', 'category', 'price'],
         order: [
-          ['ratingsAverage', 'DESC'],
-          ['createdAt', 'DESC']
+          [sequelize.literal(`starts_with(lower("Product"."name"), ${sequelize.escape(words.join(' '))})`), 'DESC'],
+          [sequelize.literal(`ts_rank("Product"."search_vector", ${tsQuery})`), 'DESC'],
+          ['ratingsAverage', 'DESC']
         ],
         limit
       });
     }
+
+    // Static method to suggest brands starting with what has been typed,
+    // most stocked first. Served by the lower(brand) prefix index.
+    static async suggestBrands(prefix, limit = 3) {
+      const rows = await this.findAll({
+        where: {
+          isActive: true,
+          [Op.and]: sequelize.where(
+            sequelize.fn('lower', sequelize.col('brand')),
+            { [Op.like]: prefixPattern(prefix.toLowerCase()) }
+          )
+        },
+        attributes: ['brand', [sequelize.fn('COUNT', sequelize.col('id')), 'productCount']],
+        group: ['brand'],
+        order: [[sequelize.literal('"productCount"'), 'DESC']],
+        limit,
+        raw: true
+      });
+
+      return rows.map(row => ({ brand: row.brand, productCount: parseInt(row.productCount, 10) }));
+    }
+
+    // Static method to build find options for a full-text search, with each
+    // product's rank and a highlighted snippet of its description
+    static getFullTextSearch(query, where = {}) {
+      const tsQuery = `websearch_to_tsquery('english', ${sequelize.escape(query)})`;
+
+      return {
+        where: {
+          [Op.and]: [
+            { isActive: true },
+            where,
+            this.getSearchCondition(query)
+          ]
+        },
+        attributes: {
+          include: [
+            [sequelize.literal(`ts_rank("Product"."search_vector", ${tsQuery})`), 'searchRank'],
+            [sequelize.literal(`ts_headline('english', coalesce("Product"."description", ''), ${tsQuery},
+              'StartSel=<mark>, StopSel=</mark>, MinWords=10, MaxWords=30, MaxFragments=2')`), 'highlight']
+          ]
+        }
+      };
+    }
+
+    // Static method to build find options for a typo-tolerant search on
+    // trigram word similarity. Must run where the word similarity threshold
+    // has been set (see search).
+    static getFuzzySearch(query, where = {}) {
+      const escaped = sequelize.escape(query);
+
+      return {
+        where: {
+          [Op.and]: [
+            { isActive: true },
+            where,
+            sequelize.literal(`(${escaped} <% "Product"."name" OR ${escaped} <% "Product"."brand")`)
+          ]
+        },
+        attributes: {
+          include: [
+            [sequelize.literal(`GREATEST(
+              word_similarity(${escaped}, "Product"."name"),
+              word_similarity(${escaped}, "Product"."brand")
+            )`), 'searchRank'],
+            [sequelize.literal('NULL'), 'highlight']
+          ]
+        }
+      };
+    }
   }
 
   Product.init({
@@ -174,6 +353,26 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: false,
       validate: { notEmpty: { msg: 'SKU is required' } }
     },
+    hsnCode: {
+      type: DataTypes.STRING(8),
+      validate: {
+        is: {
+          args: /^(\d{4}|\d{6}|\d{8})$/,
+          msg: 'HSN code must be 4, 6 or 8 digits'
+        }
+      }
+    },
+    gstRate: {
+      type: DataTypes.DECIMAL(5, 2),
+      allowNull: false,
+      defaultValue: DEFAULT_GST_RATE,
+      validate: {
+        isIn: {
+          args: [GST_RATES.map(String).concat(GST_RATES.map(rate => rate.toFixed(2)))],
+          msg: `GST rate must be one of ${GST_RATES.join(', ')}`
+        }
+      }
+    },
     weight: {
       type: DataTypes.DECIMAL(10, 2),
       validate: { min: { args: [0], msg: 'Weight cannot be negative' } }
@@ -203,12 +402,22 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: false,
       references: { model: 'users', key: 'id' },
       onDelete: 'CASCADE'
+    },
+    // Weighted full-text document, maintained by the
+    // products_search_vector_update trigger (migration 20261110); never
+    // loaded by default
+    searchVector: {
+      type: DataTypes.TSVECTOR,
+      allowNull: true
     }
   }, {
     sequelize,
     modelName: 'Product',
     tableName: 'products',
     timestamps: true,
+    defaultScope: {
+      attributes: { exclude: ['searchVector'] }
+    },
     hooks: {
       beforeSave: (product) => {
         if (product.originalPrice && product.originalPrice > product.price) {
@@ -223,7 +432,8 @@ module.exports = (sequelize, DataTypes) => {
       { name: 'product_category_idx', fields: ['category'] },
       // Removed the problematic index that was causing the error
       // It will be added by the migration instead
-      { name: 'product_sku_idx', fields: ['sku'], unique: true }
+      { name: 'product_sku_idx', fields: ['sku'], unique: true },
+      { name: 'product_search_vector_idx', fields: ['search_vector'], using: 'gin' }
     ]
   });
 
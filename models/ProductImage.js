@@ -0,0 +1,177 @@
+const { Model, DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  class ProductImage extends Model {
+    static associate(models) {
+      // ProductImage belongs to a Product
+      ProductImage.belongsTo(models.Product, {
+        foreignKey: 'productId',
+        as: 'product',
+        onDelete: 'CASCADE'
+      });
+    }
+
+    // Static method to get a product's gallery in display order
+    static async getGallery(productId, options = {}) {
+      return this.findAll({
+        where: { productId },
+        order: [['position', 'ASC'], ['created_at', 'ASC']],
+        transaction: options.transaction
+      });
+    }
+
+    // Static method to add uploaded images to the end of a product's
+    // gallery. The first image a product gets becomes its primary image.
+    static async addToGallery(productId, images, options = {}) {
+      if (!options.transaction) {
+        return sequelize.transaction(transaction =>
+          this.addToGallery(productId, images, { ...options, transaction })
+        );
+      }
+
+      const { transaction } = options;
+
+      // Lock the product so concurrent uploads do not share positions
+      await sequelize.models.Product.findByPk(productId, {
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      const existing = await this.getGallery(productId, { transaction });
+      const nextPosition = existing.length > 0
+        ? Math.max(...existing.map(image => image.position)) + 1
+        : 0;
+      const hasPrimary = existing.some(image => image.isPrimary);
+
+      return this.bulkCreate(images.map((image, index) => ({
+        ...image,
+        productId,
+        position: nextPosition + index,
+        isPrimary: !hasPrimary && index === 0
+      })), { transaction });
+    }
+
+    // Static method to set the display order from a list of image IDs. The
+    // list must name every image in the gallery exactly once.
+    static async reorder(productId, imageIds, options = {}) {
+      if (!options.transaction) {
+        return sequelize.transaction(transaction =>
+          this.reorder(productId, imageIds, { ...options, transaction })
+        );
+      }
+
+      const { transaction } = options;
+      const images = await this.getGallery(productId, { transaction });
+      const currentIds = images.map(image => image.id).sort();
+      const requestedIds = [...new Set(imageIds)].sort();
+
+      if (requestedIds.length !== imageIds.length ||
+        requestedIds.join() !== currentIds.join()) {
+        const error = new Error('Image order must list every image of the product once');
+        error.statusCode = 400;
+        throw error;
+      }
+
+      for (const [position, id] of imageIds.entries()) {
+        await this.update({ position }, { where: { id, productId }, transaction });
+      }
+
+      return this.getGallery(productId, { transaction });
+    }
+
+    // Static method to map product IDs to the URL of their primary image
+    // thumbnail, for order items and listings
+    static async getPrimaryThumbnails(productIds, options = {}) {
+      const images = await this.findAll({
+        where: { productId: productIds, isPrimary: true },
+        transaction: options.transaction
+      });
+
+      return new Map(images.map(image => [image.productId, image.thumbnailUrl || image.url]));
+    }
+
+    // Instance method to make this the product's only primary image
+    async makePrimary(options = {}) {
+      if (!options.transaction) {
+        return sequelize.transaction(transaction => this.makePrimary({ ...options, transaction }));
+      }
+
+      const { transaction } = options;
+
+      await ProductImage.update({ isPrimary: false }, {
+        where: { productId: this.productId, isPrimary: true },
+        transaction
+      });
+
+      return this.update({ isPrimary: true }, { transaction });
+    }
+
+    // Instance method to get every stored URL of this image
+    getUrls() {
+      return [this.url, this.mediumUrl, this.thumbnailUrl].filter(Boolean);
+    }
+  }
+
+  ProductImage.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    productId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: 'products', key: 'id' },
+      onDelete: 'CASCADE'
+    },
+    // Original upload
+    url: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    mediumUrl: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    thumbnailUrl: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    altText: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    isPrimary: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    },
+    position: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    }
+  }, {
+    sequelize,
+    modelName: 'ProductImage',
+    tableName: 'product_images',
+    timestamps: true,
+    updatedAt: false,
+    underscored: true,
+    hooks: {
+      // Promote the next image when the primary one is deleted
+      afterDestroy: async (image, options) => {
+        if (!image.isPrimary) {
+          return;
+        }
+
+        const [next] = await ProductImage.getGallery(image.productId, {
+          transaction: options.transaction
+        });
+        if (next) {
+          await next.update({ isPrimary: true }, { transaction: options.transaction });
+        }
+      }
+    }
+  });
+
+  return ProductImage;
+};
@@ -0,0 +1,114 @@
+const { Model, DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  class ProductVariant extends Model {
+    static associate(models) {
+      // ProductVariant belongs to a Product
+      ProductVariant.belongsTo(models.Product, {
+        foreignKey: 'productId',
+        as: 'product',
+        onDelete: 'CASCADE'
+      });
+    }
+
+    // Instance method to describe the variant from its attributes, e.g.
+    // "16GB / 512GB / Black", falling back to its name
+    getLabel() {
+      const values = Object.values(this.attributes || {}).filter(Boolean);
+      return values.length > 0 ? values.join(' / ') : this.name;
+    }
+
+    // Instance method to get the units left once other shoppers' unexpired
+    // checkout holds are taken out of stock
+    async getAvailableStock({ excludeUserId = null, transaction } = {}) {
+      const reserved = await sequelize.models.StockReservation.getReservedQuantities(
+        [this.productId],
+        { excludeUserId, transaction }
+      );
+
+      return Math.max(this.stock - (reserved.get(this.id) || 0), 0);
+    }
+  }
+
+  ProductVariant.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    productId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: 'products', key: 'id' },
+      onDelete: 'CASCADE'
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      validate: {
+        notEmpty: { msg: 'Variant name is required' }
+      }
+    },
+    sku: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      unique: true,
+      validate: {
+        notEmpty: { msg: 'Variant SKU is required' }
+      }
+    },
+    price: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      validate: {
+        min: { args: [0], msg: 'Price cannot be negative' }
+      }
+    },
+    compareAtPrice: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true
+    },
+    // Stored in the quantity column that migration 002 created
+    stock: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      field: 'quantity',
+      validate: {
+        min: { args: [0], msg: 'Stock cannot be negative' }
+      }
+    },
+    // What sets this variant apart, e.g. { ram: '16GB', ssd: '512GB' }
+    attributes: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {},
+      validate: {
+        isFlatObject(value) {
+          if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            throw new Error('Variant attributes must be an object');
+          }
+          if (Object.values(value).some(entry => typeof entry === 'object' && entry !== null)) {
+            throw new Error('Variant attribute values must be plain values');
+          }
+        }
+      }
+    },
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    }
+  }, {
+    sequelize,
+    modelName: 'ProductVariant',
+    tableName: 'product_variants',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      { fields: ['product_id'] }
+    ]
+  });
+
+  return ProductVariant;
+};
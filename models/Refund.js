@@ -0,0 +1,93 @@
+const { Model, DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  class Refund extends Model {
+    static associate(models) {
+      // Refund belongs to an Order
+      Refund.belongsTo(models.Order, {
+        foreignKey: 'orderId',
+        as: 'order',
+        onDelete: 'CASCADE'
+      });
+
+      // Refund records the admin who issued it
+      Refund.belongsTo(models.User, {
+        foreignKey: 'createdBy',
+        as: 'issuer',
+        constraints: false
+      });
+    }
+  }
+
+  Refund.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    orderId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'orders',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      validate: {
+        min: {
+          args: [0.01],
+          msg: 'Refund amount must be greater than zero'
+        }
+      }
+    },
+    shippingAmount: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0
+    },
+    // [{ orderItemId, quantity, amount }]
+    items: {
+      type: DataTypes.JSONB,
+      defaultValue: []
+    },
+    reason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    provider: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    providerRefundId: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.STRING(50),
+      defaultValue: 'pending'
+    },
+    createdBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    }
+  }, {
+    sequelize,
+    modelName: 'Refund',
+    tableName: 'refunds',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      { fields: ['order_id'] }
+    ]
+  });
+
+  return Refund;
+};
@@ -0,0 +1,166 @@
+const { Model, DataTypes } = require('sequelize');
+
+// Allowed return status transitions. Terminal statuses map to an empty list.
+const STATUS_TRANSITIONS = {
+  requested: ['approved', 'rejected'],
+  approved: ['pickup_scheduled', 'rejected'],
+  pickup_scheduled: ['picked_up'],
+  picked_up: ['inspection_passed', 'inspection_failed'],
+  inspection_passed: ['refunded', 'replaced'],
+  inspection_failed: [],
+  rejected: [],
+  refunded: [],
+  replaced: []
+};
+
+const RETURN_STATUSES = Object.keys(STATUS_TRANSITIONS);
+
+// Returns in these statuses no longer hold quantity against the order item
+const CLOSED_WITHOUT_RETURN = ['rejected', 'inspection_failed'];
+
+// Refunded returns are already counted in the order item's refundedQuantity
+const OPEN_RETURN_STATUSES = RETURN_STATUSES.filter(status =>
+  !CLOSED_WITHOUT_RETURN.includes(status) && status !== 'refunded'
+);
+
+module.exports = (sequelize) => {
+  class ReturnRequest extends Model {
+    static associate(models) {
+      ReturnRequest.belongsTo(models.Order, {
+        foreignKey: 'orderId',
+        as: 'order',
+        onDelete: 'CASCADE'
+      });
+
+      ReturnRequest.belongsTo(models.OrderItem, {
+        foreignKey: 'orderItemId',
+        as: 'orderItem',
+        onDelete: 'CASCADE'
+      });
+
+      ReturnRequest.belongsTo(models.User, {
+        foreignKey: 'userId',
+        as: 'user',
+        onDelete: 'CASCADE'
+      });
+
+      ReturnRequest.belongsTo(models.Refund, {
+        foreignKey: 'refundId',
+        as: 'refund',
+        constraints: false
+      });
+    }
+
+    // Static method to count the quantity of an order item under return
+    // that has not been refunded
+    static async getReturnedQuantity(orderItemId, options = {}) {
+      const quantity = await this.sum('quantity', {
+        where: {
+          orderItemId,
+          status: OPEN_RETURN_STATUSES
+        },
+        transaction: options.transaction
+      });
+      return quantity || 0;
+    }
+
+    // Instance method to check whether the return may move to a status
+    canTransitionTo(status) {
+      return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+    }
+
+    // Instance method to move the return to a new status
+    async transitionTo(status, { changes = {}, transaction } = {}) {
+      if (!this.canTransitionTo(status)) {
+        const error = new Error(`Cannot change return status from ${this.status} to ${status}`);
+        error.statusCode = 400;
+        throw error;
+      }
+
+      return this.update({ ...changes, status }, { transaction });
+    }
+  }
+
+  ReturnRequest.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    orderId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: 'orders', key: 'id' },
+      onDelete: 'CASCADE'
+    },
+    orderItemId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: 'order_items', key: 'id' },
+      onDelete: 'CASCADE'
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: 'users', key: 'id' },
+      onDelete: 'CASCADE'
+    },
+    quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: { args: [1], msg: 'Quantity must be at least 1' }
+      }
+    },
+    reason: {
+      type: DataTypes.ENUM('defective', 'damaged', 'wrong_item', 'not_as_described', 'other'),
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.TEXT,
+      validate: {
+        len: { args: [0, 1000], msg: 'Description cannot be more than 1000 characters' }
+      }
+    },
+    photos: {
+      type: DataTypes.ARRAY(DataTypes.STRING),
+      defaultValue: []
+    },
+    resolution: {
+      type: DataTypes.ENUM('refund', 'replacement'),
+      defaultValue: 'refund'
+    },
+    status: {
+      type: DataTypes.ENUM(...RETURN_STATUSES),
+      defaultValue: 'requested'
+    },
+    adminNotes: DataTypes.TEXT,
+    pickupDate: DataTypes.DATE,
+    inspectionNotes: DataTypes.TEXT,
+    refundId: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    replacementOrderId: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    resolvedAt: DataTypes.DATE
+  }, {
+    sequelize,
+    modelName: 'ReturnRequest',
+    tableName: 'return_requests',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      { fields: ['order_id'] },
+      { fields: ['user_id'] },
+      { fields: ['status'] }
+    ]
+  });
+
+  ReturnRequest.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+  ReturnRequest.RETURN_STATUSES = RETURN_STATUSES;
+
+  return ReturnRequest;
+};
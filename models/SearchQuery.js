@@ -0,0 +1,132 @@
+const { Model, DataTypes, Op } = require('sequelize');
+const { prefixPattern } = require('../utils/sql');
+
+// Queries outside these lengths are not worth remembering
+const MIN_QUERY_LENGTH = 2;
+const MAX_QUERY_LENGTH = 100;
+
+// Trigram similarity a past query or brand needs to be offered as a
+// "did you mean" correction
+const CORRECTION_THRESHOLD = 0.3;
+
+module.exports = (sequelize) => {
+  class SearchQuery extends Model {
+    // Static method to normalize a query for logging and matching: trimmed,
+    // lowercased, single-spaced. Returns null for queries not worth keeping.
+    static normalize(query) {
+      const normalized = String(query || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+      if (normalized.length < MIN_QUERY_LENGTH || normalized.length > MAX_QUERY_LENGTH) {
+        return null;
+      }
+      return normalized;
+    }
+
+    // Static method to count a search and remember how many products it found
+    static async record(query, resultCount, options = {}) {
+      const normalized = this.normalize(query);
+      if (!normalized) {
+        return;
+      }
+
+      await sequelize.query(
+        `INSERT INTO search_queries (id, query, count, result_count, last_searched_at, created_at, updated_at)
+         VALUES (gen_random_uuid(), :query, 1, :resultCount, NOW(), NOW(), NOW())
+         ON CONFLICT (query) DO UPDATE SET
+           count = search_queries.count + 1,
+           result_count = EXCLUDED.result_count,
+           last_searched_at = NOW(),
+           updated_at = NOW()`,
+        { replacements: { query: normalized, resultCount }, transaction: options.transaction }
+      );
+    }
+
+    // Static method to get the most searched queries that start with a
+    // prefix and found something the last time they ran
+    static async getPopular(prefix, limit = 5) {
+      const normalized = this.normalize(prefix);
+      if (!normalized) {
+        return [];
+      }
+
+      return this.findAll({
+        where: {
+          query: { [Op.like]: prefixPattern(normalized) },
+          resultCount: { [Op.gt]: 0 }
+        },
+        order: [['count', 'DESC']],
+        limit
+      });
+    }
+
+    // Static method to find the closest successful past query or brand to
+    // a query, for "did you mean" corrections. Returns null when nothing is
+    // close enough or the query is already spelled that way.
+    static async getCorrection(query) {
+      const normalized = this.normalize(query);
+      if (!normalized) {
+        return null;
+      }
+
+      const [candidate] = await sequelize.query(
+        `SELECT term FROM (
+           SELECT query AS term, similarity(query, :query) AS score, count AS weight
+           FROM search_queries
+           WHERE result_count > 0 AND query % :query
+           UNION ALL
+           SELECT lower(brand), similarity(lower(brand), :query), COUNT(*)
+           FROM products
+           WHERE is_active = true AND lower(brand) % :query
+           GROUP BY lower(brand)
+         ) AS candidates
+         WHERE score >= :threshold AND term <> :query
+         ORDER BY score DESC, weight DESC
+         LIMIT 1`,
+        {
+          replacements: { query: normalized, threshold: CORRECTION_THRESHOLD },
+          type: sequelize.QueryTypes.SELECT
+        }
+      );
+
+      return candidate ? candidate.term : null;
+    }
+  }
+
+  SearchQuery.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    // Normalized query text
+    query: {
+      type: DataTypes.STRING(MAX_QUERY_LENGTH),
+      allowNull: false,
+      unique: true
+    },
+    count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1
+    },
+    // Products found the last time the query ran
+    resultCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    lastSearchedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    sequelize,
+    modelName: 'SearchQuery',
+    tableName: 'search_queries',
+    timestamps: true,
+    underscored: true
+  });
+
+  return SearchQuery;
+};
@@ -0,0 +1,169 @@
+const { Model, DataTypes } = require('sequelize');
+const { parseBoolean } = require('../utils/csv');
+
+// Orders placed after this hour (server time) are dispatched the next day
+const DISPATCH_CUTOFF_HOUR = parseInt(process.env.DISPATCH_CUTOFF_HOUR, 10) || 14;
+// Days a warehouse needs to pack an order before handing it to the courier
+const DISPATCH_DAYS = parseInt(process.env.DISPATCH_DAYS, 10) || 1;
+// Transit days quoted for every pincode until a pincode list is imported
+const DEFAULT_TRANSIT_DAYS = parseInt(process.env.DEFAULT_TRANSIT_DAYS, 10) || 5;
+
+const IMPORT_BATCH_SIZE = 1000;
+
+const serviceabilityError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Move a date forward by working days, skipping Sundays
+const addWorkingDays = (date, days) => {
+  const result = new Date(date);
+  let remaining = days;
+
+  while (remaining > 0) {
+    result.setDate(result.getDate() + 1);
+    if (result.getDay() !== 0) {
+      remaining--;
+    }
+  }
+
+  return result;
+};
+
+module.exports = (sequelize) => {
+  class ServiceablePincode extends Model {
+    // Static method to find how a pincode is served, or null when we do not
+    // deliver there. Unknown pincodes are treated as unserviceable once a
+    // pincode list has been imported; until then every pincode is served,
+    // with COD, so a new store can take orders. Such pincodes get an unsaved
+    // entry with the default transit time.
+    static async findServiceable(pincode, options = {}) {
+      const entry = await this.findByPk(pincode, { transaction: options.transaction });
+
+      if (!entry && await this.count({ transaction: options.transaction }) === 0) {
+        return this.build({
+          pincode,
+          isServiceable: true,
+          codAvailable: true,
+          transitDays: DEFAULT_TRANSIT_DAYS
+        });
+      }
+
+      return entry && entry.isServiceable ? entry : null;
+    }
+
+    // Static method to check an address can be delivered to, and with COD
+    // when that is the chosen payment method
+    static async assertServiceable(pincode, { paymentMethod } = {}, options = {}) {
+      const entry = await this.findServiceable(pincode, options);
+
+      if (!entry) {
+        throw serviceabilityError(`We do not deliver to pincode ${pincode} yet`);
+      }
+
+      if (paymentMethod === 'cod' && !entry.codAvailable) {
+        throw serviceabilityError(`Cash on delivery is not available for pincode ${pincode}`);
+      }
+
+      return entry;
+    }
+
+    // Static method to load parsed CSV rows
+    // (pincode, city, state, serviceable, cod, transit_days), replacing any
+    // existing entry for the same pincode. Invalid rows are skipped and
+    // reported with their line numbers.
+    static async importRows(rows, options = {}) {
+      const entries = new Map();
+      const errors = [];
+
+      for (const row of rows) {
+        const pincode = String(row.pincode || '').trim();
+        const isServiceable = row.serviceable === undefined || row.serviceable === ''
+          ? true
+          : parseBoolean(row.serviceable);
+        const codAvailable = row.cod === undefined || row.cod === '' ? false : parseBoolean(row.cod);
+        const transitDays = parseInt(row.transit_days, 10);
+
+        if (!/^\d{6}$/.test(pincode)) {
+          errors.push({ line: row.line, message: 'Pincode must be 6 digits' });
+        } else if (isServiceable === null || codAvailable === null) {
+          errors.push({ line: row.line, message: 'serviceable and cod must be yes or no' });
+        } else if (isServiceable && (!Number.isInteger(transitDays) || transitDays < 0)) {
+          errors.push({ line: row.line, message: 'transit_days must be a whole number of days' });
+        } else {
+          entries.set(pincode, {
+            pincode,
+            city: row.city || null,
+            state: row.state || null,
+            isServiceable,
+            codAvailable: isServiceable && codAvailable,
+            transitDays: Number.isInteger(transitDays) && transitDays >= 0 ? transitDays : 0
+          });
+        }
+      }
+
+      // Insert in batches so a full pincode directory stays within query limits
+      const values = [...entries.values()];
+      for (let start = 0; start < values.length; start += IMPORT_BATCH_SIZE) {
+        await this.bulkCreate(values.slice(start, start + IMPORT_BATCH_SIZE), {
+          updateOnDuplicate: ['city', 'state', 'isServiceable', 'codAvailable', 'transitDays', 'updated_at'],
+          transaction: options.transaction
+        });
+      }
+
+      return { imported: entries.size, errors };
+    }
+
+    // Instance method to estimate when an order placed at `from` arrives
+    estimateDelivery(from = new Date()) {
+      const dispatchDays = from.getHours() >= DISPATCH_CUTOFF_HOUR ? DISPATCH_DAYS + 1 : DISPATCH_DAYS;
+      const dispatchDate = addWorkingDays(from, dispatchDays);
+
+      return {
+        dispatchDate,
+        estimatedDeliveryDate: addWorkingDays(dispatchDate, this.transitDays)
+      };
+    }
+  }
+
+  ServiceablePincode.init({
+    pincode: {
+      type: DataTypes.STRING(6),
+      primaryKey: true,
+      validate: {
+        is: {
+          args: /^\d{6}$/,
+          msg: 'Pincode must be 6 digits'
+        }
+      }
+    },
+    city: DataTypes.STRING(100),
+    state: DataTypes.STRING(100),
+    isServiceable: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    codAvailable: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    transitDays: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: { args: [0], msg: 'Transit days cannot be negative' }
+      }
+    }
+  }, {
+    sequelize,
+    modelName: 'ServiceablePincode',
+    tableName: 'serviceable_pincodes',
+    timestamps: true,
+    underscored: true
+  });
+
+  return ServiceablePincode;
+};
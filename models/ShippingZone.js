@@ -0,0 +1,202 @@
+const { Model, DataTypes } = require('sequelize');
+const { roundCurrency, calculateShipping } = require('../services/pricingService');
+
+const shippingError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+module.exports = (sequelize) => {
+  class ShippingZone extends Model {
+    // Static method to find the zone serving a pincode. The zone with the
+    // longest matching prefix wins; the default zone catches the rest.
+    static async findForPincode(pincode, options = {}) {
+      const zones = await this.findAll({
+        where: { isActive: true },
+        transaction: options.transaction
+      });
+
+      let match = null;
+      let matchLength = 0;
+      for (const zone of zones) {
+        for (const prefix of zone.pincodePrefixes || []) {
+          if (String(pincode).startsWith(prefix) && prefix.length > matchLength) {
+            match = zone;
+            matchLength = prefix.length;
+          }
+        }
+      }
+
+      return match || zones.find(zone => zone.isDefault) || null;
+    }
+
+    // Static method to quote shipping for a set of lines to a pincode.
+    //
+    // lines: [{ product, quantity }] where product is a Product instance
+    // subtotal: order value checked against the zone's free shipping threshold
+    //
+    // Until any zone is set up every pincode gets the flat shipping estimate.
+    static async quote({ pincode, lines, subtotal }, options = {}) {
+      const zone = await this.findForPincode(pincode, options);
+      const chargeableWeight = roundCurrency(lines.reduce((total, line) =>
+        total + line.product.getChargeableWeight() * line.quantity, 0));
+
+      if (!zone) {
+        const zonesConfigured = await this.count({
+          where: { isActive: true },
+          transaction: options.transaction
+        });
+
+        if (zonesConfigured > 0) {
+          throw shippingError('Delivery is not available for this pincode');
+        }
+
+        const shipping = calculateShipping(subtotal);
+        return {
+          zone: null,
+          chargeableWeight,
+          baseRate: shipping,
+          surcharge: 0,
+          shipping,
+          freeShipping: subtotal > 0 && shipping === 0,
+          freeShippingThreshold: null,
+          estimatedDelivery: null
+        };
+      }
+      const surcharge = roundCurrency(lines.reduce((total, line) =>
+        total + zone.getCategorySurcharge(line.product.category) * line.quantity, 0));
+
+      // Free shipping waives the weight rate but not bulky item surcharges
+      const threshold = zone.freeShippingThreshold !== null
+        ? parseFloat(zone.freeShippingThreshold)
+        : null;
+      const freeShipping = threshold !== null && subtotal >= threshold;
+      const baseRate = freeShipping || lines.length === 0
+        ? 0
+        : roundCurrency(zone.getWeightRate(chargeableWeight));
+
+      return {
+        zone: { id: zone.id, name: zone.name },
+        chargeableWeight,
+        baseRate,
+        surcharge,
+        shipping: roundCurrency(baseRate + surcharge),
+        freeShipping,
+        freeShippingThreshold: threshold,
+        estimatedDelivery: zone.minDeliveryDays && zone.maxDeliveryDays
+          ? { minDays: zone.minDeliveryDays, maxDays: zone.maxDeliveryDays }
+          : null
+      };
+    }
+
+    // Instance method to get the rate for a chargeable weight in kg.
+    // Slabs are [{ maxWeight, rate }] sorted by weight; anything above the
+    // last slab pays additionalPerKg for each extra (part) kg.
+    getWeightRate(weight) {
+      const slabs = [...(this.weightSlabs || [])]
+        .sort((a, b) => a.maxWeight - b.maxWeight);
+
+      const slab = slabs.find(entry => weight <= entry.maxWeight);
+      if (slab) {
+        return parseFloat(slab.rate);
+      }
+
+      const lastSlab = slabs[slabs.length - 1];
+      if (!lastSlab) {
+        return 0;
+      }
+
+      const extraKg = Math.ceil(weight - lastSlab.maxWeight);
+      return parseFloat(lastSlab.rate) + extraKg * (parseFloat(this.additionalPerKg) || 0);
+    }
+
+    // Instance method to get the per-unit surcharge for a product category
+    getCategorySurcharge(category) {
+      return parseFloat((this.categorySurcharges || {})[category]) || 0;
+    }
+  }
+
+  ShippingZone.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      validate: {
+        notEmpty: { msg: 'Zone name is required' }
+      }
+    },
+    pincodePrefixes: {
+      type: DataTypes.ARRAY(DataTypes.STRING(6)),
+      defaultValue: [],
+      validate: {
+        isValidPrefixes(value) {
+          if ((value || []).some(prefix => !/^\d{1,6}$/.test(prefix))) {
+            throw new Error('Pincode prefixes must be 1 to 6 digits');
+          }
+        }
+      }
+    },
+    // Fallback zone for pincodes no other zone covers
+    isDefault: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    },
+    weightSlabs: {
+      type: DataTypes.JSONB,
+      defaultValue: [],
+      validate: {
+        isValidSlabs(value) {
+          const valid = Array.isArray(value) && value.every(slab =>
+            parseFloat(slab.maxWeight) > 0 && parseFloat(slab.rate) >= 0);
+          if (!valid) {
+            throw new Error('Weight slabs must be a list of { maxWeight, rate }');
+          }
+        }
+      }
+    },
+    additionalPerKg: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0,
+      validate: {
+        min: { args: [0], msg: 'Additional rate cannot be negative' }
+      }
+    },
+    // Per-unit surcharges keyed by product category, e.g. { desktops: 250 }
+    categorySurcharges: {
+      type: DataTypes.JSONB,
+      defaultValue: {}
+    },
+    freeShippingThreshold: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      validate: {
+        min: { args: [0], msg: 'Free shipping threshold cannot be negative' }
+      }
+    },
+    minDeliveryDays: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    maxDeliveryDays: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true
+    }
+  }, {
+    sequelize,
+    modelName: 'ShippingZone',
+    tableName: 'shipping_zones',
+    timestamps: true,
+    underscored: true
+  });
+
+  return ShippingZone;
+};
@@ -0,0 +1,232 @@
+const { Model, DataTypes, Op } = require('sequelize');
+
+// How long a checkout session holds stock before it is released
+const RESERVATION_TTL_MINUTES = parseInt(process.env.STOCK_RESERVATION_TTL_MINUTES, 10) || 15;
+
+module.exports = (sequelize) => {
+  class StockReservation extends Model {
+    static associate(models) {
+      // StockReservation holds units of a Product
+      StockReservation.belongsTo(models.Product, {
+        foreignKey: 'productId',
+        as: 'product',
+        onDelete: 'CASCADE'
+      });
+
+      // StockReservation holds units of one variant, when the item has one
+      StockReservation.belongsTo(models.ProductVariant, {
+        foreignKey: 'variantId',
+        as: 'variant',
+        onDelete: 'CASCADE'
+      });
+
+      // StockReservation belongs to the User checking out
+      StockReservation.belongsTo(models.User, {
+        foreignKey: 'userId',
+        as: 'user',
+        onDelete: 'CASCADE'
+      });
+    }
+
+    // Static method to total the unexpired holds for the given products.
+    // Holds on a variant are keyed by the variant ID and holds on a product
+    // without variants by the product ID. Pass excludeUserId to leave out a
+    // shopper's own holds when checking what they can buy.
+    static async getReservedQuantities(productIds, { excludeUserId = null, transaction } = {}) {
+      const where = {
+        productId: productIds,
+        expiresAt: { [Op.gt]: new Date() }
+      };
+      if (excludeUserId) {
+        where.userId = { [Op.ne]: excludeUserId };
+      }
+
+      const rows = await this.findAll({
+        where,
+        attributes: [
+          'productId',
+          'variantId',
+          [sequelize.fn('SUM', sequelize.col('quantity')), 'reserved']
+        ],
+        group: ['product_id', 'variant_id'],
+        raw: true,
+        transaction
+      });
+
+      return new Map(rows.map(row => [row.variantId || row.productId, parseInt(row.reserved, 10)]));
+    }
+
+    // Static method to lock the products and variants behind a set of cart
+    // items, in a stable order so concurrent checkouts queue up behind each
+    // other instead of deadlocking, and to list the items that cannot be
+    // covered by stock left after other shoppers' holds.
+    static async lockItems(items, { excludeUserId = null, transaction }) {
+      const { Product, ProductVariant } = sequelize.models;
+
+      const productIds = [...new Set(items.map(item => item.productId))].sort();
+      const products = await Product.findAll({
+        where: { id: productIds },
+        order: [['id', 'ASC']],
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+      const productsById = new Map(products.map(product => [product.id, product]));
+
+      const variantIds = [...new Set(items.map(item => item.variantId).filter(Boolean))].sort();
+      const variants = variantIds.length > 0
+        ? await ProductVariant.findAll({
+          where: { id: variantIds },
+          order: [['id', 'ASC']],
+          lock: transaction.LOCK.UPDATE,
+          transaction
+        })
+        : [];
+      const variantsById = new Map(variants.map(variant => [variant.id, variant]));
+
+      const reserved = await this.getReservedQuantities(productIds, { excludeUserId, transaction });
+
+      const unavailableItems = [];
+      for (const item of items) {
+        const product = productsById.get(item.productId);
+        const variant = item.variantId ? variantsById.get(item.variantId) : null;
+        // Variants carry their own stock; other products use the product's
+        const unit = item.variantId ? variant : product;
+        const isActive = Boolean(product && product.isActive && unit && unit.isActive);
+        const available = isActive
+          ? Math.max(unit.stock - (reserved.get(unit.id) || 0), 0)
+          : 0;
+
+        if (available < item.quantity) {
+          unavailableItems.push({
+            productId: item.productId,
+            variantId: item.variantId || null,
+            name: product ? product.name : null,
+            requested: item.quantity,
+            available,
+            reason: isActive ? 'insufficient_stock' : 'unavailable'
+          });
+        }
+      }
+
+      return { productsById, variantsById, unavailableItems };
+    }
+
+    // Static method to hold stock for the active items in a user's cart.
+    // Replaces the user's earlier holds and throws a 409 listing the items
+    // that other checkouts have already taken.
+    static async reserveForCart(userId, options = {}) {
+      if (!options.transaction) {
+        return sequelize.transaction(transaction =>
+          this.reserveForCart(userId, { ...options, transaction })
+        );
+      }
+
+      const { Cart, CartItem } = sequelize.models;
+      const { transaction } = options;
+
+      const cart = await Cart.findOne({
+        where: { userId },
+        include: [{ model: CartItem, as: 'items', where: { savedForLater: false } }],
+        transaction
+      });
+
+      if (!cart) {
+        throw new Error('Cart is empty');
+      }
+
+      // The user's earlier holds are replaced, so leave them out of the count
+      const { unavailableItems } = await this.lockItems(cart.items, {
+        excludeUserId: userId,
+        transaction
+      });
+
+      if (unavailableItems.length > 0) {
+        const error = new Error('Some items in your cart are out of stock');
+        error.statusCode = 409;
+        error.unavailableItems = unavailableItems;
+        throw error;
+      }
+
+      await this.destroy({ where: { userId }, transaction });
+
+      const expiresAt = new Date(Date.now() + RESERVATION_TTL_MINUTES * 60 * 1000);
+      const reservations = await this.bulkCreate(cart.items.map(item => ({
+        productId: item.productId,
+        variantId: item.variantId || null,
+        userId,
+        quantity: item.quantity,
+        expiresAt
+      })), { transaction });
+
+      return { reservations, expiresAt };
+    }
+
+    // Static method to drop a user's holds, e.g. once their order is placed
+    static async releaseForUser(userId, options = {}) {
+      return this.destroy({
+        where: { userId },
+        transaction: options.transaction
+      });
+    }
+
+    // Static method to delete holds past their expiry. Expired holds are
+    // already ignored by availability checks; this keeps the table small.
+    static async releaseExpired() {
+      return this.destroy({
+        where: { expiresAt: { [Op.lte]: new Date() } }
+      });
+    }
+  }
+
+  StockReservation.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    productId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: 'products', key: 'id' },
+      onDelete: 'CASCADE'
+    },
+    variantId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: { model: 'product_variants', key: 'id' },
+      onDelete: 'CASCADE'
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: 'users', key: 'id' },
+      onDelete: 'CASCADE'
+    },
+    quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: {
+          args: [1],
+          msg: 'Quantity must be at least 1'
+        }
+      }
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    }
+  }, {
+    sequelize,
+    modelName: 'StockReservation',
+    tableName: 'stock_reservations',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      { fields: ['product_id', 'expires_at'] },
+      { fields: ['user_id'] }
+    ]
+  });
+
+  return StockReservation;
+};
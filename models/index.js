@@ -36,12 +36,29 @@ const modelFiles = [
   'User.js',
   'Address.js',
   'Product.js',
+  'ProductVariant.js',
+  'ProductImage.js',
+  'CategoryAttribute.js',
+  'SearchQuery.js',
   'Review.js',
+  'Coupon.js',
+  'CouponUsage.js',
   'Cart.js',
   'CartItem.js',
+  'CartRecovery.js',
+  'StockReservation.js',
+  'Build.js',
+  'BuildItem.js',
   'Order.js',
   'OrderItem.js',
+  'OrderStatusHistory.js',
+  'PaymentEvent.js',
+  'Refund.js',
+  'ReturnRequest.js',
+  'Invoice.js',
   'ShippingAddress.js',
+  'ShippingZone.js',
+  'ServiceablePincode.js',
   'Wishlist.js',
   'Newsletter.js'
 ];
@@ -0,0 +1,397 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const db = require('../models');
+const { Build, BuildItem, Cart } = db;
+const { protect } = require('../middleware/auth');
+const { identifyCart } = require('../middleware/cartToken');
+const buildService = require('../services/buildService');
+
+const router = express.Router();
+
+// Helper function to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: 'Validation failed',
+      errors: errors.array().map(err => ({ field: err.param, message: err.msg }))
+    });
+  }
+  next();
+};
+
+// Helper function to send model and service errors
+const handleBuildError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      message: error.message,
+      ...(error.problems && error.problems.length > 0 && { problems: error.problems })
+    });
+  }
+  if (error.name === 'SequelizeValidationError') {
+    return res.status(400).json({
+      message: 'Validation failed',
+      errors: error.errors.map(err => ({ field: err.path, message: err.message }))
+    });
+  }
+  res.status(500).json({ message: fallbackMessage });
+};
+
+// Helper function to load one of the signed-in user's builds, or send 404
+const findOwnBuild = async (req, res) => {
+  const build = await Build.findForUser(req.params.id, req.user.id);
+  if (!build) {
+    res.status(404).json({ message: 'Build not found' });
+  }
+  return build;
+};
+
+// Helper function to send the cart a build was added to, plus a cart token
+// for guests who were just issued one
+const sendCart = async (req, res) => {
+  const cart = await Cart.getUserCart(req.cartOwner);
+
+  res.json({
+    message: 'Build added to cart successfully',
+    cart,
+    pricing: cart.getPricing(),
+    ...(req.cartToken && { cartToken: req.cartToken })
+  });
+};
+
+const buildIdValidation = param('id')
+  .isUUID()
+  .withMessage('Invalid build ID');
+
+// Builds are named 'My build' unless given a name
+const nameValidation = body('name')
+  .optional()
+  .trim()
+  .notEmpty()
+  .withMessage('Build name is required')
+  .isLength({ max: 100 })
+  .withMessage('Build name cannot be more than 100 characters');
+
+// @route   GET /api/builds/slots
+// @desc    Get the slots a build is assembled from
+// @access  Public
+router.get('/slots', (req, res) => {
+  res.json({ slots: BuildItem.SLOTS });
+});
+
+// @route   GET /api/builds
+// @desc    Get the user's builds
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const builds = await Build.findAll({
+      where: { userId: req.user.id },
+      include: Build.getItemsInclude(),
+      order: [['updated_at', 'DESC']]
+    });
+
+    res.json({ builds: builds.map(build => buildService.describe(build)) });
+  } catch (error) {
+    console.error('Get builds error:', error);
+    res.status(500).json({ message: 'Failed to fetch builds' });
+  }
+});
+
+// @route   POST /api/builds
+// @desc    Start a new build
+// @access  Private
+router.post('/', protect,
+  [nameValidation],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const build = await Build.create({
+        userId: req.user.id,
+        ...(req.body.name && { name: req.body.name })
+      });
+
+      res.status(201).json({
+        message: 'Build created successfully',
+        ...buildService.describe(await Build.findForUser(build.id, req.user.id))
+      });
+    } catch (error) {
+      console.error('Create build error:', error);
+      handleBuildError(res, error, 'Failed to create build');
+    }
+  }
+);
+
+// @route   GET /api/builds/shared/:token
+// @desc    View a build from its share link
+// @access  Public
+router.get('/shared/:token', async (req, res) => {
+  try {
+    const build = await Build.findByShareToken(req.params.token);
+
+    if (!build) {
+      return res.status(404).json({ message: 'This build link is invalid or no longer shared' });
+    }
+
+    res.json(buildService.describe(build, { shared: true }));
+  } catch (error) {
+    console.error('Get shared build error:', error);
+    res.status(500).json({ message: 'Failed to fetch build' });
+  }
+});
+
+// @route   POST /api/builds/shared/:token/copy
+// @desc    Save a copy of a shared build to the user's builds
+// @access  Private
+router.post('/shared/:token/copy', protect, async (req, res) => {
+  try {
+    const build = await Build.findByShareToken(req.params.token);
+
+    if (!build) {
+      return res.status(404).json({ message: 'This build link is invalid or no longer shared' });
+    }
+
+    const copy = await build.copyFor(req.user.id);
+
+    res.status(201).json({
+      message: 'Build copied successfully',
+      ...buildService.describe(copy)
+    });
+  } catch (error) {
+    console.error('Copy build error:', error);
+    handleBuildError(res, error, 'Failed to copy build');
+  }
+});
+
+// @route   POST /api/builds/shared/:token/cart
+// @desc    Add every part of a shared build to the cart
+// @access  Public (guests send X-Cart-Token)
+router.post('/shared/:token/cart', identifyCart, async (req, res) => {
+  try {
+    const build = await Build.findByShareToken(req.params.token);
+
+    if (!build) {
+      return res.status(404).json({ message: 'This build link is invalid or no longer shared' });
+    }
+
+    await buildService.addToCart(build, req.cartOwner);
+
+    await sendCart(req, res);
+  } catch (error) {
+    console.error('Add shared build to cart error:', error);
+    handleBuildError(res, error, 'Failed to add build to cart');
+  }
+});
+
+// @route   GET /api/builds/:id
+// @desc    Get one of the user's builds with its compatibility report
+// @access  Private
+router.get('/:id', protect,
+  [buildIdValidation],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const build = await findOwnBuild(req, res);
+      if (!build) return;
+
+      res.json(buildService.describe(build));
+    } catch (error) {
+      console.error('Get build error:', error);
+      res.status(500).json({ message: 'Failed to fetch build' });
+    }
+  }
+);
+
+// @route   PUT /api/builds/:id
+// @desc    Rename a build
+// @access  Private
+router.put('/:id', protect,
+  [buildIdValidation, nameValidation],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const build = await findOwnBuild(req, res);
+      if (!build) return;
+
+      if (req.body.name) {
+        await build.update({ name: req.body.name });
+      }
+
+      res.json({
+        message: 'Build updated successfully',
+        ...buildService.describe(build)
+      });
+    } catch (error) {
+      console.error('Update build error:', error);
+      handleBuildError(res, error, 'Failed to update build');
+    }
+  }
+);
+
+// @route   DELETE /api/builds/:id
+// @desc    Delete a build
+// @access  Private
+router.delete('/:id', protect,
+  [buildIdValidation],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const deleted = await Build.destroy({ where: { id: req.params.id, userId: req.user.id } });
+
+      if (!deleted) {
+        return res.status(404).json({ message: 'Build not found' });
+      }
+
+      res.json({ message: 'Build deleted successfully' });
+    } catch (error) {
+      console.error('Delete build error:', error);
+      res.status(500).json({ message: 'Failed to delete build' });
+    }
+  }
+);
+
+// @route   PUT /api/builds/:id/slots/:slot
+// @desc    Put a product in a build slot. Replaces the slot's product,
+//          except for storage, which holds several drives.
+// @access  Private
+router.put('/:id/slots/:slot', protect,
+  [
+    buildIdValidation,
+
+    param('slot')
+      .isIn(Object.keys(BuildItem.SLOTS))
+      .withMessage(`Slot must be one of ${Object.keys(BuildItem.SLOTS).join(', ')}`),
+
+    body('productId')
+      .isUUID()
+      .withMessage('Invalid product ID'),
+
+    body('variantId')
+      .optional({ nullable: true })
+      .isUUID()
+      .withMessage('Invalid variant ID'),
+
+    body('quantity')
+      .optional()
+      .isInt({ min: 1, max: BuildItem.MAX_QUANTITY })
+      .withMessage(`Quantity must be between 1 and ${BuildItem.MAX_QUANTITY}`)
+      .toInt()
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const build = await findOwnBuild(req, res);
+      if (!build) return;
+
+      const { productId, variantId = null, quantity = 1 } = req.body;
+      const updated = await build.setSlot(req.params.slot, { productId, variantId, quantity });
+
+      res.json({
+        message: 'Build updated successfully',
+        ...buildService.describe(updated)
+      });
+    } catch (error) {
+      console.error('Set build slot error:', error);
+      handleBuildError(res, error, 'Failed to update build');
+    }
+  }
+);
+
+// @route   DELETE /api/builds/:id/items/:itemId
+// @desc    Take a part out of a build
+// @access  Private
+router.delete('/:id/items/:itemId', protect,
+  [
+    buildIdValidation,
+
+    param('itemId')
+      .isUUID()
+      .withMessage('Invalid item ID')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const build = await findOwnBuild(req, res);
+      if (!build) return;
+
+      const updated = await build.removeItem(req.params.itemId);
+
+      res.json({
+        message: 'Part removed from build',
+        ...buildService.describe(updated)
+      });
+    } catch (error) {
+      console.error('Remove build item error:', error);
+      handleBuildError(res, error, 'Failed to remove part');
+    }
+  }
+);
+
+// @route   POST /api/builds/:id/share
+// @desc    Get a link anyone can view the build at
+// @access  Private
+router.post('/:id/share', protect,
+  [buildIdValidation],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const build = await findOwnBuild(req, res);
+      if (!build) return;
+
+      const shareToken = await build.share();
+
+      res.json({
+        message: 'Build shared successfully',
+        shareToken,
+        shareUrl: build.getShareUrl()
+      });
+    } catch (error) {
+      console.error('Share build error:', error);
+      res.status(500).json({ message: 'Failed to share build' });
+    }
+  }
+);
+
+// @route   DELETE /api/builds/:id/share
+// @desc    Stop sharing a build; its link stops working
+// @access  Private
+router.delete('/:id/share', protect,
+  [buildIdValidation],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const build = await findOwnBuild(req, res);
+      if (!build) return;
+
+      await build.unshare();
+
+      res.json({ message: 'Build is no longer shared' });
+    } catch (error) {
+      console.error('Unshare build error:', error);
+      res.status(500).json({ message: 'Failed to stop sharing build' });
+    }
+  }
+);
+
+// @route   POST /api/builds/:id/cart
+// @desc    Add every part of a build to the user's cart
+// @access  Private
+router.post('/:id/cart', protect,
+  [buildIdValidation],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const build = await findOwnBuild(req, res);
+      if (!build) return;
+
+      req.cartOwner = { userId: req.user.id };
+      await buildService.addToCart(build, req.cartOwner);
+
+      await sendCart(req, res);
+    } catch (error) {
+      console.error('Add build to cart error:', error);
+      handleBuildError(res, error, 'Failed to add build to cart');
+    }
+  }
+);
+
+module.exports = router;
@@ -1,8 +1,9 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
-const Cart = require('../models/Cart');
-const Product = require('../models/Product');
+const { body, query, validationResult } = require('express-validator');
+const { Cart, Product, ProductVariant, StockReservation } = require('../models');
 const { protect } = require('../middleware/auth');
+const { identifyCart, verifyCartToken } = require('../middleware/cartToken');
+const cartRecoveryService = require('../services/cartRecoveryService');
 
 const router = express.Router();
 
@@ -18,18 +19,55 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
-// @route   GET /api/cart
-// @desc    Get user's cart
-// @access  Private
-router.get('/', protect, async (req, res) => {
-  try {
-    const cart = await Cart.getUserCart(req.user._id);
+// Validation for picking out one variant of a product
+const variantIdValidation = [
+  body('variantId')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('Invalid variant ID'),
+
+  query('variantId')
+    .optional()
+    .isUUID()
+    .withMessage('Invalid variant ID')
+];
+
+// Helper function to load a product with its active variants
+const findProductWithVariants = (productId) => Product.findByPk(productId, {
+  include: [{
+    model: ProductVariant,
+    as: 'variants',
+    where: { isActive: true },
+    required: false
+  }]
+});
 
-    if (!cart) {
-      return res.json({ cart: { items: [], totalItems: 0, totalPrice: 0 } });
-    }
+// Helper function to send the current cart, plus a cart token for guests
+// who were just issued one. Items are refreshed against the catalogue first
+// and any price, stock or availability changes are reported as notices.
+const sendCart = async (req, res, message) => {
+  let cart = await Cart.getUserCart(req.cartOwner);
+  const notices = cart ? await cart.refreshItems() : [];
+
+  if (notices.length > 0) {
+    cart = await Cart.getUserCart(req.cartOwner);
+  }
+
+  res.json({
+    ...(message && { message }),
+    cart: cart || { items: [], totalItems: 0, totalPrice: 0 },
+    ...(cart && { pricing: cart.getPricing() }),
+    notices,
+    ...(req.cartToken && { cartToken: req.cartToken })
+  });
+};
 
-    res.json({ cart });
+// @route   GET /api/cart
+// @desc    Get the user's or guest's cart
+// @access  Public (guests send X-Cart-Token)
+router.get('/', identifyCart, async (req, res) => {
+  try {
+    await sendCart(req, res);
   } catch (error) {
     console.error('Get cart error:', error);
     res.status(500).json({ message: 'Failed to fetch cart' });
@@ -38,25 +76,28 @@ router.get('/', protect, async (req, res) => {
 
 // @route   POST /api/cart/items
 // @desc    Add item to cart
-// @access  Private
+// @access  Public (guests send X-Cart-Token)
 router.post('/items',
-  protect,
+  identifyCart,
   [
     body('productId')
-      .isMongoId()
+      .isUUID()
       .withMessage('Invalid product ID'),
 
     body('quantity')
       .isInt({ min: 1, max: 10 })
       .withMessage('Quantity must be between 1 and 10')
+      .toInt(),
+
+    ...variantIdValidation
   ],
   handleValidationErrors,
   async (req, res) => {
     try {
-      const { productId, quantity = 1 } = req.body;
+      const { productId, variantId = null, quantity = 1 } = req.body;
 
       // Check if product exists and is available
-      const product = await Product.findById(productId);
+      const product = await findProductWithVariants(productId);
 
       if (!product) {
         return res.status(404).json({ message: 'Product not found' });
@@ -66,22 +107,31 @@ router.post('/items',
         return res.status(400).json({ message: 'Product is not available' });
       }
 
-      if (product.stock < quantity) {
+      // Products sold in variants are added as one of them
+      let unit = product;
+      if (variantId) {
+        unit = product.variants.find(variant => variant.id === variantId);
+        if (!unit) {
+          return res.status(404).json({ message: 'Variant not found' });
+        }
+      } else if (product.variants.length > 0) {
+        return res.status(400).json({ message: 'Please choose a variant of this product' });
+      }
+
+      // Units held by other shoppers' checkouts cannot be added
+      const available = await unit.getAvailableStock({
+        excludeUserId: req.cartOwner.userId
+      });
+
+      if (available < quantity) {
         return res.status(400).json({
-          message: `Only ${product.stock} items available in stock`
+          message: `Only ${available} items available in stock`
         });
       }
 
-      // Add item to cart
-      const cart = await Cart.addItem(req.user._id, productId, quantity);
+      await Cart.addItem(req.cartOwner, productId, quantity, variantId);
 
-      // Update cart with current product prices
-      await updateCartPrices(cart);
-
-      res.json({
-        message: 'Item added to cart successfully',
-        cart
-      });
+      await sendCart(req, res, 'Item added to cart successfully');
     } catch (error) {
       console.error('Add to cart error:', error);
       res.status(500).json({ message: 'Failed to add item to cart' });
@@ -91,59 +141,60 @@ router.post('/items',
 
 // @route   PUT /api/cart/items/:productId
 // @desc    Update item quantity in cart
-// @access  Private
+// @access  Public (guests send X-Cart-Token)
 router.put('/items/:productId',
-  protect,
+  identifyCart,
   [
     body('quantity')
       .isInt({ min: 0, max: 10 })
       .withMessage('Quantity must be between 0 and 10')
+      .toInt(),
+
+    ...variantIdValidation
   ],
   handleValidationErrors,
   async (req, res) => {
     try {
       const { productId } = req.params;
-      const { quantity } = req.body;
+      const { quantity, variantId = null } = req.body;
 
       if (quantity === 0) {
         // Remove item if quantity is 0
-        const cart = await Cart.removeItem(req.user._id, productId);
-        await updateCartPrices(cart);
-        return res.json({
-          message: 'Item removed from cart',
-          cart
-        });
+        await Cart.removeItem(req.cartOwner, productId, variantId);
+        return sendCart(req, res, 'Item removed from cart');
       }
 
-      // Check if product exists and is available
-      const product = await Product.findById(productId);
+      // Check if product or variant exists
+      const unit = variantId
+        ? await ProductVariant.findOne({ where: { id: variantId, productId } })
+        : await Product.findByPk(productId);
 
-      if (!product) {
-        return res.status(404).json({ message: 'Product not found' });
+      if (!unit) {
+        return res.status(404).json({
+          message: variantId ? 'Variant not found' : 'Product not found'
+        });
       }
 
-      if (product.stock < quantity) {
+      // Units held by other shoppers' checkouts cannot be added
+      const available = await unit.getAvailableStock({
+        excludeUserId: req.cartOwner.userId
+      });
+
+      if (available < quantity) {
         return res.status(400).json({
-          message: `Only ${product.stock} items available in stock`
+          message: `Only ${available} items available in stock`
         });
       }
 
-      // Update item quantity
-      const cart = await Cart.updateItemQuantity(req.user._id, productId, quantity);
-
-      // Update cart with current product prices
-      await updateCartPrices(cart);
+      await Cart.updateItemQuantity(req.cartOwner, productId, quantity, variantId);
 
-      res.json({
-        message: 'Cart updated successfully',
-        cart
-      });
+      await sendCart(req, res, 'Cart updated successfully');
     } catch (error) {
       console.error('Update cart error:', error);
       if (error.message === 'Cart not found') {
         return res.status(404).json({ message: 'Cart not found' });
       }
-      if (error.message === 'Product not found in cart') {
+      if (error.message === 'Item not found in cart') {
         return res.status(404).json({ message: 'Product not found in cart' });
       }
       res.status(500).json({ message: 'Failed to update cart' });
@@ -152,36 +203,141 @@ router.put('/items/:productId',
 );
 
 // @route   DELETE /api/cart/items/:productId
-// @desc    Remove item from cart
-// @access  Private
-router.delete('/items/:productId', protect, async (req, res) => {
-  try {
-    const { productId } = req.params;
+// @desc    Remove item from cart. Pass ?variantId= for a variant item
+// @access  Public (guests send X-Cart-Token)
+router.delete('/items/:productId',
+  identifyCart,
+  variantIdValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      await Cart.removeItem(req.cartOwner, req.params.productId, req.query.variantId);
 
-    const cart = await Cart.removeItem(req.user._id, productId);
+      await sendCart(req, res, 'Item removed from cart successfully');
+    } catch (error) {
+      console.error('Remove from cart error:', error);
+      if (error.message === 'Cart not found') {
+        return res.status(404).json({ message: 'Cart not found' });
+      }
+      if (error.message === 'Item not found in cart') {
+        return res.status(404).json({ message: 'Product not found in cart' });
+      }
+      res.status(500).json({ message: 'Failed to remove item from cart' });
+    }
+  }
+);
 
-    // Update cart with current product prices
-    await updateCartPrices(cart);
+// @route   POST /api/cart/items/:productId/save-for-later
+// @desc    Move an item out of the active cart into the saved list
+// @access  Public (guests send X-Cart-Token)
+router.post('/items/:productId/save-for-later',
+  identifyCart,
+  variantIdValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      await Cart.saveForLater(req.cartOwner, req.params.productId, req.query.variantId);
+
+      await sendCart(req, res, 'Item saved for later');
+    } catch (error) {
+      console.error('Save for later error:', error);
+      if (error.message === 'Cart not found') {
+        return res.status(404).json({ message: 'Cart not found' });
+      }
+      if (error.message === 'Item not found in cart') {
+        return res.status(404).json({ message: 'Product not found in cart' });
+      }
+      res.status(500).json({ message: 'Failed to save item for later' });
+    }
+  }
+);
+
+// @route   POST /api/cart/items/:productId/move-to-cart
+// @desc    Move a saved item back into the active cart at today's price
+//          and stock
+// @access  Public (guests send X-Cart-Token)
+router.post('/items/:productId/move-to-cart',
+  identifyCart,
+  variantIdValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { changes } = await Cart.moveToCart(req.cartOwner, req.params.productId, req.query.variantId);
+      const cart = await Cart.getUserCart(req.cartOwner);
+
+      res.json({
+        message: 'Item moved to cart',
+        changes,
+        cart,
+        pricing: cart.getPricing()
+      });
+    } catch (error) {
+      console.error('Move to cart error:', error);
+      if (error.message === 'Cart not found') {
+        return res.status(404).json({ message: 'Cart not found' });
+      }
+      if (error.message === 'Item not found in cart') {
+        return res.status(404).json({ message: 'Product not found in cart' });
+      }
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message });
+      }
+      res.status(500).json({ message: 'Failed to move item to cart' });
+    }
+  }
+);
+
+// @route   POST /api/cart/checkout
+// @desc    Start a checkout session, holding stock for the cart's items
+//          until the order is placed or the hold expires
+// @access  Private
+router.post('/checkout', protect, async (req, res) => {
+  try {
+    const { reservations, expiresAt } = await StockReservation.reserveForCart(req.user.id);
 
     res.json({
-      message: 'Item removed from cart successfully',
-      cart
+      message: 'Stock reserved for checkout',
+      expiresAt,
+      reservations: reservations.map(reservation => ({
+        productId: reservation.productId,
+        quantity: reservation.quantity
+      }))
     });
   } catch (error) {
-    console.error('Remove from cart error:', error);
-    if (error.message === 'Cart not found') {
-      return res.status(404).json({ message: 'Cart not found' });
+    console.error('Start checkout error:', error);
+    if (error.message === 'Cart is empty') {
+      return res.status(400).json({ message: 'Cart is empty' });
     }
-    res.status(500).json({ message: 'Failed to remove item from cart' });
+    if (error.unavailableItems) {
+      return res.status(error.statusCode).json({
+        message: error.message,
+        unavailableItems: error.unavailableItems
+      });
+    }
+    res.status(500).json({ message: 'Failed to start checkout' });
   }
 });
 
-// @route   DELETE /api/cart
-// @desc    Clear entire cart
+// @route   DELETE /api/cart/checkout
+// @desc    Leave checkout and release the held stock
 // @access  Private
-router.delete('/', protect, async (req, res) => {
+router.delete('/checkout', protect, async (req, res) => {
   try {
-    await Cart.clearCart(req.user._id);
+    await StockReservation.releaseForUser(req.user.id);
+
+    res.json({ message: 'Stock reservation released' });
+  } catch (error) {
+    console.error('Cancel checkout error:', error);
+    res.status(500).json({ message: 'Failed to release stock reservation' });
+  }
+});
+
+// @route   DELETE /api/cart
+// @desc    Clear all items from the cart, keeping saved-for-later items
+// @access  Public (guests send X-Cart-Token)
+router.delete('/', identifyCart, async (req, res) => {
+  try {
+    await Cart.clearCart(req.cartOwner);
 
     res.json({ message: 'Cart cleared successfully' });
   } catch (error) {
@@ -193,41 +349,95 @@ router.delete('/', protect, async (req, res) => {
   }
 });
 
+// @route   POST /api/cart/merge
+// @desc    Merge a guest cart into the signed-in user's cart
+// @access  Private
+router.post('/merge',
+  protect,
+  [
+    body('cartToken')
+      .notEmpty()
+      .withMessage('Cart token is required')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const guestId = verifyCartToken(req.body.cartToken);
+
+      if (!guestId) {
+        return res.status(400).json({ message: 'Invalid or expired cart token' });
+      }
+
+      const cart = await Cart.mergeGuestCart(guestId, req.user.id);
+
+      res.json({
+        message: 'Cart merged successfully',
+        cart: cart || { items: [], totalItems: 0, totalPrice: 0 },
+        ...(cart && { pricing: cart.getPricing() })
+      });
+    } catch (error) {
+      console.error('Merge cart error:', error);
+      res.status(500).json({ message: 'Failed to merge cart' });
+    }
+  }
+);
+
+// @route   POST /api/cart/recover/:token
+// @desc    Restore a cart from an abandoned cart reminder link
+// @access  Private
+router.post('/recover/:token', protect, async (req, res) => {
+  try {
+    const cart = await cartRecoveryService.restore(req.params.token, req.user.id);
+
+    res.json({
+      message: 'Cart restored successfully',
+      cart: cart || { items: [], totalItems: 0, totalPrice: 0 },
+      ...(cart && { pricing: cart.getPricing() })
+    });
+  } catch (error) {
+    console.error('Restore cart error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Failed to restore cart' });
+  }
+});
+
 // @route   POST /api/cart/coupon
 // @desc    Apply coupon to cart
-// @access  Private
+// @access  Public (guests send X-Cart-Token)
 router.post('/coupon',
-  protect,
+  identifyCart,
   [
     body('couponCode')
       .trim()
       .notEmpty()
-      .withMessage('Coupon code is required'),
-
-    body('discount')
-      .isFloat({ min: 0, max: 100 })
-      .withMessage('Discount must be between 0 and 100'),
-
-    body('discountType')
-      .isIn(['percentage', 'fixed'])
-      .withMessage('Discount type must be percentage or fixed')
+      .withMessage('Coupon code is required')
   ],
   handleValidationErrors,
   async (req, res) => {
     try {
-      const { couponCode, discount, discountType } = req.body;
+      const { couponCode } = req.body;
 
-      const cart = await Cart.applyCoupon(req.user._id, couponCode, discount, discountType);
+      // The discount comes from the coupon record, never from the client
+      const cart = await Cart.applyCoupon(req.cartOwner, couponCode);
 
       res.json({
         message: 'Coupon applied successfully',
-        cart
+        cart,
+        pricing: cart.getPricing()
       });
     } catch (error) {
       console.error('Apply coupon error:', error);
       if (error.message === 'Cart not found') {
         return res.status(404).json({ message: 'Cart not found' });
       }
+      if (error.message === 'Cart is empty') {
+        return res.status(400).json({ message: 'Cart is empty' });
+      }
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message });
+      }
       res.status(500).json({ message: 'Failed to apply coupon' });
     }
   }
@@ -235,17 +445,10 @@ router.post('/coupon',
 
 // @route   DELETE /api/cart/coupon
 // @desc    Remove coupon from cart
-// @access  Private
-router.delete('/coupon', protect, async (req, res) => {
+// @access  Public (guests send X-Cart-Token)
+router.delete('/coupon', identifyCart, async (req, res) => {
   try {
-    const cart = await Cart.findOne({ user: req.user._id });
-
-    if (!cart) {
-      return res.status(404).json({ message: 'Cart not found' });
-    }
-
-    cart.coupon = null;
-    await cart.save();
+    const cart = await Cart.removeCoupon(req.cartOwner);
 
     res.json({
       message: 'Coupon removed successfully',
@@ -253,26 +456,11 @@ router.delete('/coupon', protect, async (req, res) => {
     });
   } catch (error) {
     console.error('Remove coupon error:', error);
+    if (error.message === 'Cart not found') {
+      return res.status(404).json({ message: 'Cart not found' });
+    }
     res.status(500).json({ message: 'Failed to remove coupon' });
   }
 });
 
-// Helper function to update cart with current product prices
-async function updateCartPrices(cart) {
-  for (let item of cart.items) {
-    const product = await Product.findById(item.product);
-
-    if (product && product.isActive) {
-      item.price = product.price;
-    } else if (product && !product.isActive) {
-      // Remove unavailable products from cart
-      cart.items = cart.items.filter(cartItem =>
-        cartItem.product.toString() !== item.product.toString()
-      );
-    }
-  }
-
-  return cart.save();
-}
-
 module.exports = router;
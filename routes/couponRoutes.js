@@ -0,0 +1,262 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { Op } = require('sequelize');
+const db = require('../models');
+const { Coupon, CouponUsage } = db;
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Fields an admin may set on a coupon
+const COUPON_FIELDS = [
+  'code', 'description', 'discountType', 'discountValue', 'minOrderAmount',
+  'maxDiscountAmount', 'startDate', 'endDate', 'usageLimit', 'perUserLimit',
+  'applicableCategories', 'applicableBrands', 'isActive'
+];
+
+// Helper function to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: 'Validation failed',
+      errors: errors.array().map(err => ({ field: err.param, message: err.msg }))
+    });
+  }
+  next();
+};
+
+// Validation rules for creating a coupon, or updating one when partial
+const couponValidation = (partial = false) => {
+  const required = (field) => (partial ? body(field).optional() : body(field));
+
+  return [
+    required('code')
+      .trim()
+      .matches(/^[A-Za-z0-9_-]{3,50}$/)
+      .withMessage('Code must be 3-50 letters, numbers, dashes or underscores'),
+
+    required('discountType')
+      .isIn(Coupon.DISCOUNT_TYPES)
+      .withMessage('Discount type must be percentage or fixed_amount'),
+
+    required('discountValue')
+      .isFloat({ gt: 0 })
+      .withMessage('Discount value must be greater than 0')
+      .toFloat(),
+
+    body('minOrderAmount')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Minimum order amount cannot be negative')
+      .toFloat(),
+
+    body('maxDiscountAmount')
+      .optional({ nullable: true })
+      .isFloat({ min: 0 })
+      .withMessage('Maximum discount cannot be negative')
+      .toFloat(),
+
+    body('startDate')
+      .optional()
+      .isISO8601()
+      .withMessage('Start date must be a valid date')
+      .toDate(),
+
+    body('endDate')
+      .optional({ nullable: true })
+      .isISO8601()
+      .withMessage('End date must be a valid date')
+      .toDate(),
+
+    body(['usageLimit', 'perUserLimit'])
+      .optional({ nullable: true })
+      .isInt({ min: 1 })
+      .withMessage('Limits must be at least 1')
+      .toInt(),
+
+    body(['applicableCategories', 'applicableBrands'])
+      .optional()
+      .isArray()
+      .withMessage('Restrictions must be arrays'),
+
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean')
+      .toBoolean()
+  ];
+};
+
+// Pick the admin-settable fields out of a request body
+const pickCouponFields = (payload) => COUPON_FIELDS.reduce((fields, field) => {
+  if (payload[field] !== undefined) {
+    fields[field] = payload[field];
+  }
+  return fields;
+}, {});
+
+// @route   GET /api/coupons
+// @desc    Get all coupons (Admin only)
+// @access  Private/Admin
+router.get('/', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { search, active, page = 1, limit = 20 } = req.query;
+
+    const where = {};
+    if (search) {
+      where.code = { [Op.iLike]: `%${search}%` };
+    }
+    if (active !== undefined) {
+      where.isActive = active === 'true';
+    }
+
+    const { rows: coupons, count: totalCoupons } = await Coupon.findAndCountAll({
+      where,
+      order: [['created_at', 'DESC']],
+      limit: parseInt(limit),
+      offset: (parseInt(page) - 1) * parseInt(limit)
+    });
+    const totalPages = Math.ceil(totalCoupons / parseInt(limit));
+
+    res.json({
+      coupons,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalCoupons,
+        hasNextPage: parseInt(page) < totalPages,
+        hasPrevPage: parseInt(page) > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get coupons error:', error);
+    res.status(500).json({ message: 'Failed to fetch coupons' });
+  }
+});
+
+// @route   GET /api/coupons/:id
+// @desc    Get a coupon with its recent usage (Admin only)
+// @access  Private/Admin
+router.get('/:id', protect, authorize('admin'), async (req, res) => {
+  try {
+    const coupon = await Coupon.findByPk(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({ message: 'Coupon not found' });
+    }
+
+    const usages = await CouponUsage.findAll({
+      where: { couponId: coupon.id },
+      include: [{ model: db.User, as: 'user', attributes: ['id', 'name', 'email'] }],
+      order: [['usedAt', 'DESC']],
+      limit: 50
+    });
+
+    res.json({ coupon, usages });
+  } catch (error) {
+    console.error('Get coupon error:', error);
+    res.status(500).json({ message: 'Failed to fetch coupon' });
+  }
+});
+
+// @route   POST /api/coupons
+// @desc    Create a coupon (Admin only)
+// @access  Private/Admin
+router.post('/', protect, authorize('admin'),
+  couponValidation(),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const existing = await Coupon.findByCode(req.body.code);
+      if (existing) {
+        return res.status(409).json({ message: 'A coupon with this code already exists' });
+      }
+
+      const coupon = await Coupon.create(pickCouponFields(req.body));
+
+      res.status(201).json({
+        message: 'Coupon created successfully',
+        coupon
+      });
+    } catch (error) {
+      console.error('Create coupon error:', error);
+      if (error.name === 'SequelizeValidationError') {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: error.errors.map(err => ({ field: err.path, message: err.message }))
+        });
+      }
+      res.status(500).json({ message: 'Failed to create coupon' });
+    }
+  }
+);
+
+// @route   PUT /api/coupons/:id
+// @desc    Update a coupon (Admin only)
+// @access  Private/Admin
+router.put('/:id', protect, authorize('admin'),
+  couponValidation(true),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const coupon = await Coupon.findByPk(req.params.id);
+
+      if (!coupon) {
+        return res.status(404).json({ message: 'Coupon not found' });
+      }
+
+      if (req.body.code && Coupon.normalizeCode(req.body.code) !== coupon.code) {
+        const existing = await Coupon.findByCode(req.body.code);
+        if (existing) {
+          return res.status(409).json({ message: 'A coupon with this code already exists' });
+        }
+      }
+
+      await coupon.update(pickCouponFields(req.body));
+
+      res.json({
+        message: 'Coupon updated successfully',
+        coupon
+      });
+    } catch (error) {
+      console.error('Update coupon error:', error);
+      if (error.name === 'SequelizeValidationError') {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: error.errors.map(err => ({ field: err.path, message: err.message }))
+        });
+      }
+      res.status(500).json({ message: 'Failed to update coupon' });
+    }
+  }
+);
+
+// @route   DELETE /api/coupons/:id
+// @desc    Delete a coupon, or deactivate it if it has been used (Admin only)
+// @access  Private/Admin
+router.delete('/:id', protect, authorize('admin'), async (req, res) => {
+  try {
+    const coupon = await Coupon.findByPk(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({ message: 'Coupon not found' });
+    }
+
+    // Keep used coupons so their redemption history survives
+    const usageCount = await CouponUsage.count({ where: { couponId: coupon.id } });
+    if (usageCount > 0) {
+      await coupon.update({ isActive: false });
+      return res.json({ message: 'Coupon has been used and was deactivated instead', coupon });
+    }
+
+    await coupon.destroy();
+
+    res.json({ message: 'Coupon deleted successfully' });
+  } catch (error) {
+    console.error('Delete coupon error:', error);
+    res.status(500).json({ message: 'Failed to delete coupon' });
+  }
+});
+
+module.exports = router;
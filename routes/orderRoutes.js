@@ -1,15 +1,21 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
-const Order = require('../models/Order');
-const Cart = require('../models/Cart');
-const Product = require('../models/Product');
-const User = require('../models/User');
+const { body, param, validationResult } = require('express-validator');
+const db = require('../models');
+const { Order } = db;
 const { protect } = require('../middleware/auth');
 const emailService = require('../services/emailService');
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const { getProvider, getProviderForMethod } = require('../services/payments');
+const refundService = require('../services/refundService');
+const returnService = require('../services/returnService');
+const invoiceService = require('../services/invoiceService');
+const { getStateCode } = require('../utils/gstStates');
+const { createImageUpload, handleUpload } = require('../middleware/upload');
+const { saveImage, removeImages } = require('../services/imageService');
 
 const router = express.Router();
 
+const returnPhotoUpload = createImageUpload({ maxFiles: 5 });
+
 // Helper function to handle validation errors
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
@@ -22,6 +28,67 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Stream a rendered invoice or credit note as a PDF download
+const sendPdf = (res, pdf, documentNumber) => {
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${documentNumber.replace(/\//g, '-')}.pdf"`,
+    'Content-Length': pdf.length
+  });
+  res.send(pdf);
+};
+
+// Issue (or reuse) the tax invoice and email it to the customer
+const sendInvoiceEmail = async (order) => {
+  const invoice = await invoiceService.getOrIssueInvoice(order);
+  const pdf = await invoiceService.renderPdf(invoice, order);
+  const user = await db.User.findByPk(order.userId);
+
+  await emailService.sendInvoice(order, user, {
+    invoiceNumber: invoice.invoiceNumber,
+    pdf
+  });
+};
+
+// Create the gateway payment for an order placed with an online method and
+// store its reference on the order
+const startPayment = async (order, customer) => {
+  const payment = await getProvider(order.paymentProvider).createPayment({
+    order,
+    amount: order.totalPrice,
+    currency: 'INR',
+    paymentMethod: order.paymentMethod,
+    customer
+  });
+
+  await order.update({ paymentReference: payment.reference });
+  return payment;
+};
+
+// Shape the checkout response: the order summary plus what the client
+// needs to complete an online payment
+const describeCheckout = (order, payment) => ({
+  order: {
+    id: order.id,
+    orderNumber: order.orderNumber,
+    total: order.totalPrice,
+    paymentStatus: order.paymentStatus,
+    orderStatus: order.status,
+    paymentMethod: order.paymentMethod,
+    requiresPayment: Boolean(order.paymentProvider)
+  },
+  ...(payment && {
+    payment: {
+      provider: order.paymentProvider,
+      reference: order.paymentReference,
+      ...payment.clientData
+    }
+  }),
+  ...(payment && payment.clientData.clientSecret && {
+    clientSecret: payment.clientData.clientSecret
+  })
+});
+
 // @route   GET /api/orders
 // @desc    Get user's orders
 // @access  Private
@@ -55,29 +122,30 @@ router.get('/', protect, async (req, res) => {
 });
 
 // @route   GET /api/orders/:id
-// @desc    Get single order
+// @desc    Get single order by ID or order number
 // @access  Private
 router.get('/:id', protect, async (req, res) => {
   try {
-    const order = await Order.findById(req.params.id)
-      .populate('items.product')
-      .populate('user', 'name email');
+    const order = await Order.findByIdOrNumber(req.params.id, {
+      include: [
+        { model: db.OrderItem, as: 'items' },
+        { model: db.ShippingAddress, as: 'shippingAddress' },
+        { model: db.User, as: 'user', attributes: ['id', 'name', 'email'] }
+      ]
+    });
 
     if (!order) {
       return res.status(404).json({ message: 'Order not found' });
     }
 
     // Check if user owns the order or is admin
-    if (order.user._id.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    if (order.userId !== req.user.id && req.user.role !== 'admin') {
       return res.status(403).json({ message: 'Not authorized to view this order' });
     }
 
     res.json({ order });
   } catch (error) {
     console.error('Get order error:', error);
-    if (error.name === 'CastError') {
-      return res.status(400).json({ message: 'Invalid order ID' });
-    }
     res.status(500).json({ message: 'Failed to fetch order' });
   }
 });
@@ -105,7 +173,10 @@ router.post('/',
     body('shippingAddress.state')
       .trim()
       .notEmpty()
-      .withMessage('State is required'),
+      .withMessage('State is required')
+      // GST is split by the place of supply, so it must resolve to a state
+      .custom(value => Boolean(getStateCode(value)))
+      .withMessage('Please provide a valid Indian state or union territory'),
 
     body('shippingAddress.pincode')
       .matches(/^\d{6}$/)
@@ -118,7 +189,20 @@ router.post('/',
     body('billingAddress')
       .optional()
       .isObject()
-      .withMessage('Billing address must be an object')
+      .withMessage('Billing address must be an object'),
+
+    body('buyerGstin')
+      .optional({ checkFalsy: true })
+      .trim()
+      .toUpperCase()
+      .matches(Order.GSTIN_PATTERN)
+      .withMessage('Please provide a valid GSTIN'),
+
+    body('acceptPriceChanges')
+      .optional()
+      .isBoolean()
+      .withMessage('acceptPriceChanges must be a boolean')
+      .toBoolean()
   ],
   handleValidationErrors,
   async (req, res) => {
@@ -127,217 +211,293 @@ router.post('/',
         shippingAddress,
         billingAddress,
         paymentMethod,
-        couponCode,
+        buyerGstin,
+        acceptPriceChanges,
         notes
       } = req.body;
 
-      // Get user's cart
-      const cart = await Cart.findOne({ user: req.user._id }).populate('items.product');
-
-      if (!cart || cart.items.length === 0) {
-        return res.status(400).json({ message: 'Cart is empty' });
-      }
-
-      // Check product availability and stock
-      for (const item of cart.items) {
-        if (!item.product.isActive) {
-          return res.status(400).json({
-            message: `${item.product.name} is no longer available`
-          });
-        }
+      // Place the order in its own transaction. The gateway is only called
+      // once it has committed, so a slow gateway never holds the stock and
+      // coupon locks and a failed commit never leaves a stray payment.
+      const provider = getProviderForMethod(paymentMethod);
+      const order = await db.sequelize.transaction(async (transaction) => {
+        const placedOrder = await Order.placeFromCart(req.user.id, {
+          shippingAddress,
+          billingAddress,
+          paymentMethod,
+          buyerGstin,
+          acceptPriceChanges,
+          notes
+        }, { transaction });
 
-        if (item.product.stock < item.quantity) {
-          return res.status(400).json({
-            message: `${item.product.name} only has ${item.product.stock} items in stock`
-          });
+        if (provider) {
+          await placedOrder.update({ paymentProvider: provider.name }, { transaction });
         }
-      }
 
-      // Calculate totals
-      const subtotal = cart.subtotal;
-      const discount = cart.discountAmount;
-      const tax = subtotal * 0.18; // 18% GST
-      const shipping = subtotal > 1000 ? 0 : 100; // Free shipping over ₹1000
-      const total = subtotal - discount + tax + shipping;
-
-      // Create order items
-      const orderItems = cart.items.map(item => ({
-        product: item.product._id,
-        quantity: item.quantity,
-        price: item.product.price,
-        name: item.product.name,
-        image: item.product.images[0]?.url || ''
-      }));
-
-      // Create order
-      const order = new Order({
-        user: req.user._id,
-        items: orderItems,
-        shippingAddress,
-        billingAddress: billingAddress || shippingAddress,
-        paymentMethod,
-        subtotal,
-        tax,
-        shipping,
-        discount,
-        total,
-        coupon: cart.coupon,
-        notes
+        return placedOrder;
       });
 
-      // Handle payment based on payment method
-      if (paymentMethod === 'card') {
-        // Create Stripe payment intent
-        const paymentIntent = await stripe.paymentIntents.create({
-          amount: Math.round(total * 100), // Convert to paise
-          currency: 'inr',
-          metadata: {
-            orderId: order._id.toString(),
-            userId: req.user._id.toString()
-          }
-        });
-
-        order.stripePaymentIntentId = paymentIntent.id;
-        order.paymentStatus = 'pending';
-      } else {
-        order.paymentStatus = paymentMethod === 'cod' ? 'pending' : 'completed';
-      }
-
-      await order.save();
-
-      // Update product stock
-      for (const item of orderItems) {
-        await Product.findByIdAndUpdate(item.product, {
-          $inc: { stock: -item.quantity }
-        });
+      let payment = null;
+      if (provider) {
+        try {
+          payment = await startPayment(order, req.user);
+        } catch (error) {
+          // The order stands; payment can be started again from the order
+          console.error('Start payment error:', error);
+          return res.status(502).json({
+            message: 'Your order was placed but payment could not be started. Please retry payment.',
+            ...describeCheckout(order, null)
+          });
+        }
       }
 
-      // Clear cart
-      await Cart.clearCart(req.user._id);
-
       // Send confirmation email
-      await emailService.sendOrderConfirmation(order, req.user);
+      emailService.sendOrderConfirmation(order, req.user).catch(error => {
+        console.error('Order confirmation email error:', error);
+      });
 
       res.status(201).json({
         message: 'Order placed successfully',
-        order: {
-          id: order._id,
-          orderNumber: order.orderNumber,
-          total,
-          paymentStatus: order.paymentStatus,
-          orderStatus: order.orderStatus,
-          paymentMethod,
-          requiresPayment: paymentMethod === 'card'
-        },
-        ...(paymentMethod === 'card' && {
-          clientSecret: order.stripePaymentIntentId
-        })
+        ...describeCheckout(order, payment)
       });
     } catch (error) {
       console.error('Create order error:', error);
+      if (error.message === 'Cart is empty') {
+        return res.status(400).json({ message: 'Cart is empty' });
+      }
+      if (error.unavailableItems) {
+        return res.status(error.statusCode).json({
+          message: error.message,
+          unavailableItems: error.unavailableItems
+        });
+      }
+      if (error.priceIncreases) {
+        return res.status(error.statusCode).json({
+          message: error.message,
+          priceIncreases: error.priceIncreases
+        });
+      }
+      // Coupon, serviceability and shipping errors
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message });
+      }
       res.status(500).json({ message: 'Failed to place order' });
     }
   }
 );
 
+// @route   POST /api/orders/:id/payment/start
+// @desc    Start (or restart) the online payment for a placed order, e.g.
+//          when the gateway could not be reached at checkout
+// @access  Private
+router.post('/:id/payment/start', protect, async (req, res) => {
+  try {
+    const order = await Order.findByIdOrNumber(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    if (order.userId !== req.user.id) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    if (!order.paymentProvider) {
+      return res.status(400).json({ message: 'Order does not require online payment' });
+    }
+
+    if (order.paymentStatus === 'completed') {
+      return res.status(400).json({ message: 'Order already paid' });
+    }
+
+    if (order.status !== 'pending') {
+      return res.status(400).json({ message: 'Payment can only be started for pending orders' });
+    }
+
+    const payment = await startPayment(order, req.user);
+
+    res.json({
+      message: 'Payment started',
+      ...describeCheckout(order, payment)
+    });
+  } catch (error) {
+    console.error('Start payment error:', error);
+    res.status(502).json({ message: 'Payment could not be started. Please try again.' });
+  }
+});
+
 // @route   POST /api/orders/:id/payment
 // @desc    Process payment for order
 // @access  Private
-router.post('/:id/payment',
-  protect,
-  [
-    body('paymentIntentId')
-      .notEmpty()
-      .withMessage('Payment intent ID is required')
-  ],
-  handleValidationErrors,
-  async (req, res) => {
-    try {
-      const { paymentIntentId } = req.body;
+router.post('/:id/payment', protect, async (req, res) => {
+  try {
+    const order = await Order.findByIdOrNumber(req.params.id);
 
-      const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
 
-      if (!order) {
-        return res.status(404).json({ message: 'Order not found' });
-      }
+    if (order.userId !== req.user.id) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
 
-      if (order.user.toString() !== req.user._id.toString()) {
-        return res.status(403).json({ message: 'Not authorized' });
-      }
+    if (order.paymentStatus === 'completed') {
+      return res.status(400).json({ message: 'Order already paid' });
+    }
 
-      if (order.paymentStatus === 'completed') {
-        return res.status(400).json({ message: 'Order already paid' });
-      }
+    if (!order.paymentProvider || !order.paymentReference) {
+      return res.status(400).json({ message: 'Order does not require online payment' });
+    }
 
-      // Retrieve payment intent from Stripe
-      const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+    // Ask the gateway whether the payment went through; the client payload
+    // only carries provider-specific proof such as a Razorpay signature
+    const result = await getProvider(order.paymentProvider).confirmPayment({
+      reference: order.paymentReference,
+      payload: req.body
+    });
 
-      if (paymentIntent.status === 'succeeded') {
-        order.paymentStatus = 'completed';
-        order.paymentId = paymentIntentId;
-        await order.save();
+    if (result.status !== 'succeeded') {
+      return res.status(400).json({
+        message: result.status === 'pending' ? 'Payment is still pending' : 'Payment failed',
+        paymentStatus: result.status
+      });
+    }
 
-        // Send confirmation email
-        await emailService.sendOrderConfirmation(order, req.user);
+    await db.sequelize.transaction(async (transaction) => {
+      await order.reload({ lock: transaction.LOCK.UPDATE, transaction });
+      await order.markPaymentSucceeded(result.paymentId, {
+        actorId: req.user.id,
+        comment: `Payment confirmed via ${order.paymentProvider}`,
+        transaction
+      });
+    });
 
-        res.json({
-          message: 'Payment successful',
-          order: {
-            id: order._id,
-            orderNumber: order.orderNumber,
-            paymentStatus: order.paymentStatus
-          }
-        });
-      } else {
-        res.status(400).json({ message: 'Payment failed' });
+    // Send confirmation email
+    emailService.sendOrderConfirmation(order, req.user).catch(error => {
+      console.error('Order confirmation email error:', error);
+    });
+
+    res.json({
+      message: 'Payment successful',
+      order: {
+        id: order.id,
+        orderNumber: order.orderNumber,
+        paymentStatus: order.paymentStatus,
+        orderStatus: order.status
       }
-    } catch (error) {
-      console.error('Payment processing error:', error);
-      res.status(500).json({ message: 'Payment processing failed' });
-    }
+    });
+  } catch (error) {
+    console.error('Payment processing error:', error);
+    res.status(500).json({ message: 'Payment processing failed' });
   }
-);
+});
 
-// @route   PUT /api/orders/:id/cancel
-// @desc    Cancel order
+// @route   GET /api/orders/:id/timeline
+// @desc    Get order status history
 // @access  Private
-router.put('/:id/cancel', protect, async (req, res) => {
+router.get('/:id/timeline', protect, async (req, res) => {
   try {
-    const order = await Order.findById(req.params.id);
+    const order = await Order.findByIdOrNumber(req.params.id);
 
     if (!order) {
       return res.status(404).json({ message: 'Order not found' });
     }
 
-    if (order.user.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ message: 'Not authorized' });
+    if (order.userId !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Not authorized to view this order' });
     }
 
-    if (order.orderStatus === 'delivered') {
-      return res.status(400).json({ message: 'Cannot cancel delivered order' });
-    }
+    const history = await db.OrderStatusHistory.getTimeline(order.id);
 
-    if (order.orderStatus === 'cancelled') {
-      return res.status(400).json({ message: 'Order already cancelled' });
-    }
+    res.json({
+      orderId: order.id,
+      currentStatus: order.status,
+      nextStatuses: order.getAllowedTransitions(),
+      timeline: history.map(entry => ({
+        status: entry.status,
+        fromStatus: entry.fromStatus,
+        comment: entry.comment,
+        actor: entry.actor
+          ? { id: entry.actor.id, name: entry.actor.name, role: entry.actor.role }
+          : null,
+        timestamp: entry.created_at
+      }))
+    });
+  } catch (error) {
+    console.error('Get order timeline error:', error);
+    res.status(500).json({ message: 'Failed to fetch order timeline' });
+  }
+});
 
-    // Update order status
-    order.orderStatus = 'cancelled';
-    await order.save();
+// @route   PUT /api/orders/:id/cancel
+// @desc    Cancel order. Paid orders are refunded in full.
+// @access  Private
+router.put('/:id/cancel', protect, async (req, res) => {
+  try {
+    const cancelled = await db.sequelize.transaction(async (transaction) => {
+      const lockedOrder = await Order.findLockedWithItems(req.params.id, { transaction });
+
+      if (!lockedOrder) {
+        return null;
+      }
 
-    // Restore product stock
-    for (const item of order.items) {
-      await Product.findByIdAndUpdate(item.product, {
-        $inc: { stock: item.quantity }
+      if (lockedOrder.userId !== req.user.id) {
+        const error = new Error('Not authorized');
+        error.statusCode = 403;
+        throw error;
+      }
+
+      await lockedOrder.transitionTo('cancelled', {
+        actorId: req.user.id,
+        comment: req.body.reason || 'Cancelled by customer',
+        transaction
       });
+
+      // Restore product or variant stock
+      for (const item of lockedOrder.items) {
+        await item.restock(item.quantity, { transaction });
+      }
+
+      // Record the refund with the cancellation; it is sent to the gateway
+      // once the cancellation commits
+      const pendingRefund = lockedOrder.paymentStatus === 'completed'
+        ? await refundService.recordRefund(lockedOrder.id, {
+          reason: 'Order cancelled',
+          actorId: req.user.id,
+          transaction
+        })
+        : null;
+
+      return { order: lockedOrder, pendingRefund };
+    });
+
+    if (!cancelled) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    const { order } = cancelled;
+    let refund = cancelled.pendingRefund;
+
+    if (refund) {
+      try {
+        ({ refund } = await refundService.submitRefund(refund.id));
+        await order.reload();
+      } catch (error) {
+        // The refund stays pending for an admin to retry
+        console.error('Cancel order refund error:', error);
+      }
     }
 
     res.json({
       message: 'Order cancelled successfully',
-      order
+      order,
+      ...(refund && { refund })
     });
   } catch (error) {
     console.error('Cancel order error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Failed to cancel order' });
   }
 });
@@ -392,39 +552,377 @@ router.put('/:id/status', protect, async (req, res) => {
       return res.status(403).json({ message: 'Admin access required' });
     }
 
-    const { status, trackingNumber } = req.body;
-
-    const validStatuses = [
-      'pending', 'confirmed', 'processing', 'shipped',
-      'out_for_delivery', 'delivered', 'cancelled', 'returned', 'refunded'
-    ];
+    const { status, trackingNumber, comment } = req.body;
 
-    if (!validStatuses.includes(status)) {
+    if (!Order.ORDER_STATUSES.includes(status)) {
       return res.status(400).json({ message: 'Invalid order status' });
     }
 
-    const order = await Order.findByIdAndUpdate(
-      req.params.id,
-      {
-        orderStatus: status,
-        ...(trackingNumber && { trackingNumber }),
-        ...(status === 'delivered' && { deliveredAt: new Date() })
-      },
-      { new: true }
-    );
+    const order = await db.sequelize.transaction(async (transaction) => {
+      const lockedOrder = await Order.findByIdOrNumber(req.params.id, {
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      if (!lockedOrder) {
+        return null;
+      }
+
+      return lockedOrder.transitionTo(status, {
+        actorId: req.user.id,
+        comment,
+        changes: trackingNumber ? { trackingNumber } : {},
+        transaction
+      });
+    });
 
     if (!order) {
       return res.status(404).json({ message: 'Order not found' });
     }
 
+    // Email the tax invoice once the order ships
+    if (status === 'shipped') {
+      sendInvoiceEmail(order).catch(error => {
+        console.error('Invoice email error:', error);
+      });
+    }
+
     res.json({
       message: 'Order status updated successfully',
       order
     });
   } catch (error) {
     console.error('Update order status error:', error);
+    if (error.allowedStatuses) {
+      return res.status(error.statusCode).json({
+        message: error.message,
+        allowedStatuses: error.allowedStatuses
+      });
+    }
     res.status(500).json({ message: 'Failed to update order status' });
   }
 });
 
+// @route   POST /api/orders/:id/refunds
+// @desc    Refund a whole order or selected items (Admin only)
+// @access  Private/Admin
+router.post('/:id/refunds',
+  protect,
+  [
+    body('items')
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage('Items must be a non-empty array'),
+
+    body('items.*.orderItemId')
+      .isUUID()
+      .withMessage('Invalid order item ID'),
+
+    body('items.*.quantity')
+      .isInt({ min: 1 })
+      .withMessage('Quantity must be at least 1')
+      .toInt(),
+
+    body('refundShipping')
+      .optional()
+      .isBoolean()
+      .withMessage('refundShipping must be a boolean')
+      .toBoolean(),
+
+    body('reason')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Reason cannot be more than 500 characters')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      if (req.user.role !== 'admin') {
+        return res.status(403).json({ message: 'Admin access required' });
+      }
+
+      const order = await Order.findByIdOrNumber(req.params.id);
+
+      if (!order) {
+        return res.status(404).json({ message: 'Order not found' });
+      }
+
+      const { items, refundShipping, reason } = req.body;
+
+      const result = await refundService.refundOrder(order.id, {
+        items,
+        refundShipping,
+        reason,
+        actorId: req.user.id
+      });
+
+      res.status(201).json({
+        message: 'Refund issued successfully',
+        refund: result.refund,
+        order: {
+          id: result.order.id,
+          orderNumber: result.order.orderNumber,
+          paymentStatus: result.order.paymentStatus,
+          orderStatus: result.order.status,
+          refundedAmount: result.order.refundedAmount
+        }
+      });
+    } catch (error) {
+      console.error('Refund order error:', error);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message });
+      }
+      res.status(500).json({ message: 'Failed to refund order' });
+    }
+  }
+);
+
+// @route   GET /api/orders/:id/refunds
+// @desc    List refunds issued for an order
+// @access  Private
+router.get('/:id/refunds', protect, async (req, res) => {
+  try {
+    const order = await Order.findByIdOrNumber(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    if (order.userId !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Not authorized to view this order' });
+    }
+
+    const refunds = await db.Refund.findAll({
+      where: { orderId: order.id },
+      order: [['created_at', 'ASC']]
+    });
+
+    res.json({
+      refunds,
+      refundedAmount: order.refundedAmount,
+      paymentStatus: order.paymentStatus
+    });
+  } catch (error) {
+    console.error('Get refunds error:', error);
+    res.status(500).json({ message: 'Failed to fetch refunds' });
+  }
+});
+
+// @route   POST /api/orders/:id/refunds/:refundId/retry
+// @desc    Resend a refund the payment provider did not accept (Admin only)
+// @access  Private/Admin
+router.post('/:id/refunds/:refundId/retry',
+  protect,
+  [
+    param('refundId')
+      .isUUID()
+      .withMessage('Invalid refund ID')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      if (req.user.role !== 'admin') {
+        return res.status(403).json({ message: 'Admin access required' });
+      }
+
+      const order = await Order.findByIdOrNumber(req.params.id);
+      const refund = order && await db.Refund.findOne({
+        where: { id: req.params.refundId, orderId: order.id }
+      });
+
+      if (!refund) {
+        return res.status(404).json({ message: 'Refund not found' });
+      }
+
+      const result = await refundService.submitRefund(refund.id);
+
+      res.json({
+        message: 'Refund issued successfully',
+        refund: result.refund,
+        order: {
+          id: result.order.id,
+          orderNumber: result.order.orderNumber,
+          paymentStatus: result.order.paymentStatus,
+          orderStatus: result.order.status,
+          refundedAmount: result.order.refundedAmount
+        }
+      });
+    } catch (error) {
+      console.error('Retry refund error:', error);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message });
+      }
+      res.status(500).json({ message: 'Failed to retry refund' });
+    }
+  }
+);
+
+// @route   GET /api/orders/:id/invoice
+// @desc    Download the GST tax invoice for an order as a PDF
+// @access  Private
+router.get('/:id/invoice', protect, async (req, res) => {
+  try {
+    const order = await Order.findByIdOrNumber(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    if (order.userId !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Not authorized to view this order' });
+    }
+
+    const invoice = await invoiceService.getOrIssueInvoice(order);
+    const pdf = await invoiceService.renderPdf(invoice, order);
+
+    sendPdf(res, pdf, invoice.invoiceNumber);
+  } catch (error) {
+    console.error('Get invoice error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Failed to generate invoice' });
+  }
+});
+
+// @route   GET /api/orders/:id/credit-notes
+// @desc    List credit notes issued against an order's refunds
+// @access  Private
+router.get('/:id/credit-notes', protect, async (req, res) => {
+  try {
+    const order = await Order.findByIdOrNumber(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    if (order.userId !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Not authorized to view this order' });
+    }
+
+    const creditNotes = await db.Invoice.findAll({
+      where: { orderId: order.id, type: 'credit_note' },
+      attributes: ['id', 'invoiceNumber', 'refundId', 'totals', 'issuedAt'],
+      order: [['issuedAt', 'ASC']]
+    });
+
+    res.json({ creditNotes });
+  } catch (error) {
+    console.error('Get credit notes error:', error);
+    res.status(500).json({ message: 'Failed to fetch credit notes' });
+  }
+});
+
+// @route   GET /api/orders/:id/credit-notes/:creditNoteId
+// @desc    Download a credit note as a PDF
+// @access  Private
+router.get('/:id/credit-notes/:creditNoteId', protect, async (req, res) => {
+  try {
+    const order = await Order.findByIdOrNumber(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    if (order.userId !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Not authorized to view this order' });
+    }
+
+    const creditNote = await db.Invoice.findOne({
+      where: { id: req.params.creditNoteId, orderId: order.id, type: 'credit_note' }
+    });
+
+    if (!creditNote) {
+      return res.status(404).json({ message: 'Credit note not found' });
+    }
+
+    const pdf = await invoiceService.renderPdf(creditNote, order);
+
+    sendPdf(res, pdf, creditNote.invoiceNumber);
+  } catch (error) {
+    console.error('Get credit note error:', error);
+    res.status(500).json({ message: 'Failed to generate credit note' });
+  }
+});
+
+// @route   POST /api/orders/:id/returns
+// @desc    Request a return for a delivered order item (multipart, up to 5 photos)
+// @access  Private
+router.post('/:id/returns',
+  protect,
+  handleUpload(returnPhotoUpload.array('photos', 5)),
+  [
+    body('orderItemId')
+      .isUUID()
+      .withMessage('Invalid order item ID'),
+
+    body('quantity')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Quantity must be at least 1')
+      .toInt(),
+
+    body('reason')
+      .isIn(['defective', 'damaged', 'wrong_item', 'not_as_described', 'other'])
+      .withMessage('Invalid return reason'),
+
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Description cannot be more than 1000 characters'),
+
+    body('resolution')
+      .optional()
+      .isIn(['refund', 'replacement'])
+      .withMessage('Resolution must be refund or replacement')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    const photos = [];
+
+    try {
+      const order = await Order.findByIdOrNumber(req.params.id);
+
+      if (!order) {
+        return res.status(404).json({ message: 'Order not found' });
+      }
+
+      if (order.userId !== req.user.id) {
+        return res.status(403).json({ message: 'Not authorized' });
+      }
+
+      const { orderItemId, quantity = 1, reason, description, resolution = 'refund' } = req.body;
+
+      // Return photos are private; only their storage keys are kept
+      for (const file of req.files || []) {
+        const { original } = await saveImage('returns', file.buffer);
+        photos.push(original);
+      }
+
+      const returnRequest = await returnService.createReturn(order, req.user.id, {
+        orderItemId,
+        quantity,
+        reason,
+        description,
+        resolution,
+        photos
+      });
+
+      res.status(201).json({
+        message: 'Return requested successfully',
+        returnRequest: await returnService.withPhotoUrls(returnRequest)
+      });
+    } catch (error) {
+      console.error('Create return error:', error);
+      await removeImages(photos);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message });
+      }
+      res.status(500).json({ message: 'Failed to request return' });
+    }
+  }
+);
+
 module.exports = router;
@@ -0,0 +1,37 @@
+const express = require('express');
+const paymentWebhookService = require('../services/paymentWebhookService');
+const { getWebhookProviders } = require('../services/payments');
+
+const router = express.Router();
+
+// @route   POST /api/payments/:provider/webhook
+// @desc    Receive payment gateway events (stripe, razorpay)
+// @access  Public (verified by provider signature)
+router.post('/:provider/webhook', async (req, res) => {
+  const { provider } = req.params;
+
+  if (!getWebhookProviders().includes(provider)) {
+    return res.status(404).json({ message: 'Unknown payment provider' });
+  }
+
+  let event;
+
+  try {
+    event = paymentWebhookService.parseEvent(provider, req.rawBody, req.headers);
+  } catch (error) {
+    console.error(`${provider} webhook signature error:`, error.message);
+    return res.status(400).json({ message: 'Invalid webhook signature' });
+  }
+
+  try {
+    const result = await paymentWebhookService.handleEvent(provider, event);
+
+    res.json({ received: true, ...result });
+  } catch (error) {
+    console.error(`${provider} webhook processing error:`, error);
+    // Non-2xx tells the gateway to retry the delivery later
+    res.status(500).json({ message: 'Failed to process webhook' });
+  }
+});
+
+module.exports = router;
@@ -1,11 +1,185 @@
 const express = require('express');
+const { Op } = require('sequelize');
+const { body, param, query, validationResult } = require('express-validator');
 const Product = require('../models/Product');
+const db = require('../models');
 const { protect, authorize, optionalAuth } = require('../middleware/auth');
+const { createImageUpload, handleUpload } = require('../middleware/upload');
+const { saveImage, removeImages } = require('../services/imageService');
+const { getStorage } = require('../services/storage');
+const searchSuggestionService = require('../services/searchSuggestionService');
+const comparisonService = require('../services/comparisonService');
 
 const router = express.Router();
 
+const productImageUpload = createImageUpload({ maxFiles: 10 });
+
+// Columns GET /api/products can sort by, keyed by the sortBy parameter
+const SORT_FIELDS = {
+  createdAt: 'created_at',
+  price: 'price',
+  rating: 'ratingsAverage',
+  name: 'name'
+};
+
+// Fields an admin may set on a product variant
+const VARIANT_FIELDS = ['name', 'sku', 'price', 'compareAtPrice', 'stock', 'attributes', 'isActive'];
+
+// Fields an admin may set on a category attribute definition
+const ATTRIBUTE_FIELDS = ['key', 'label', 'type', 'unit', 'options', 'prefer', 'position'];
+
+// Helper function to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: 'Validation failed',
+      errors: errors.array().map(err => ({ field: err.param, message: err.msg }))
+    });
+  }
+  next();
+};
+
+// Validation rules for creating a variant, or updating one when partial
+const variantValidation = (partial = false) => [
+  (partial ? body('name').optional() : body('name'))
+    .trim()
+    .notEmpty()
+    .withMessage('Variant name is required'),
+
+  (partial ? body('sku').optional() : body('sku'))
+    .trim()
+    .notEmpty()
+    .withMessage('Variant SKU is required'),
+
+  (partial ? body('price').optional() : body('price'))
+    .isFloat({ min: 0 })
+    .withMessage('Price cannot be negative')
+    .toFloat(),
+
+  body('compareAtPrice')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Compare-at price cannot be negative')
+    .toFloat(),
+
+  body('stock')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Stock cannot be negative')
+    .toInt(),
+
+  body('attributes')
+    .optional()
+    .isObject()
+    .withMessage('Attributes must be an object, e.g. { "ram": "16GB" }'),
+
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+    .toBoolean()
+];
+
+// Pick the admin-settable fields out of a request body
+const pickFields = (allowed, payload) => allowed.reduce((fields, field) => {
+  if (payload[field] !== undefined) {
+    fields[field] = payload[field];
+  }
+  return fields;
+}, {});
+
+const pickVariantFields = (payload) => pickFields(VARIANT_FIELDS, payload);
+
+const pickAttributeFields = (payload) => pickFields(ATTRIBUTE_FIELDS, payload);
+
+// Validation rules for the :id, :variantId and :imageId route parameters
+const productIdValidation = param('id')
+  .isUUID()
+  .withMessage('Invalid product ID');
+
+const variantIdValidation = param('variantId')
+  .isUUID()
+  .withMessage('Invalid variant ID');
+
+const imageIdValidation = param('imageId')
+  .isUUID()
+  .withMessage('Invalid image ID');
+
+// Validation rule for a :category route parameter
+const categoryParamValidation = param('category')
+  .custom(value => db.Product.rawAttributes.category.values.includes(value))
+  .withMessage('Please select a valid category');
+
+// Validation rules for creating an attribute definition, or updating one
+// when partial. The key is fixed once created.
+const attributeValidation = (partial = false) => [
+  categoryParamValidation,
+
+  ...(partial ? [] : [
+    body('key')
+      .matches(/^[a-zA-Z][a-zA-Z0-9_]*$/)
+      .withMessage('Key must start with a letter and contain only letters, digits and underscores')
+  ]),
+
+  (partial ? body('label').optional() : body('label'))
+    .trim()
+    .notEmpty()
+    .withMessage('Label is required'),
+
+  (partial ? body('type').optional() : body('type'))
+    .isIn(db.CategoryAttribute.ATTRIBUTE_TYPES)
+    .withMessage(`Type must be one of ${db.CategoryAttribute.ATTRIBUTE_TYPES.join(', ')}`),
+
+  body('unit')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 20 })
+    .withMessage('Unit cannot be more than 20 characters'),
+
+  body('options')
+    .optional()
+    .isArray()
+    .withMessage('Options must be an array of values'),
+
+  body('options.*')
+    .isString()
+    .withMessage('Options must be strings')
+    .trim()
+    .notEmpty()
+    .withMessage('Options cannot be empty'),
+
+  body('prefer')
+    .optional({ nullable: true })
+    .isIn(db.CategoryAttribute.PREFERENCES)
+    .withMessage(`Prefer must be one of ${db.CategoryAttribute.PREFERENCES.join(', ')}`),
+
+  body('position')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Position cannot be negative')
+    .toInt()
+];
+
+// Helper function to send a variant or attribute save error
+const sendSaveError = (res, error, { duplicateMessage, fallbackMessage }) => {
+  if (error.name === 'SequelizeUniqueConstraintError') {
+    return res.status(400).json({ message: duplicateMessage });
+  }
+  if (error.name === 'SequelizeValidationError') {
+    return res.status(400).json({
+      message: 'Validation failed',
+      errors: error.errors.map(err => ({ field: err.path, message: err.message }))
+    });
+  }
+  res.status(500).json({ message: fallbackMessage });
+};
+
 // @route   GET /api/products
-// @desc    Get all products with optional filters
+// @desc    Get all products with optional filters. With `search`, results
+//          default to relevance order (sortBy=relevance). Within a category,
+//          spec[key]=value filters on specifications (spec[ram][gte]=16,
+//          spec[cpu]=Ryzen 7,Ryzen 9) and the response carries facet counts.
 // @access  Public
 router.get('/', optionalAuth, async (req, res) => {
   try {
@@ -15,71 +189,109 @@ router.get('/', optionalAuth, async (req, res) => {
       minPrice,
       maxPrice,
       search,
-      sortBy = 'createdAt',
-      sortOrder = 'desc',
-      page = 1,
-      limit = 20
+      spec,
+      sortOrder = 'desc'
     } = req.query;
+    const sortBy = req.query.sortBy || (search ? 'relevance' : 'createdAt');
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    if (sortBy === 'relevance' ? !search : !SORT_FIELDS[sortBy]) {
+      return res.status(400).json({ message: `Cannot sort by ${sortBy}` });
+    }
 
     // Build query
-    let query = { isActive: true };
+    const where = {};
 
     if (category) {
-      query.category = category;
+      where.category = category;
     }
 
     if (brand) {
-      query.brand = new RegExp(brand, 'i');
+      where.brand = { [Op.iLike]: `%${brand}%` };
     }
 
     if (minPrice || maxPrice) {
-      query.price = {};
-      if (minPrice) query.price.$gte = parseFloat(minPrice);
-      if (maxPrice) query.price.$lte = parseFloat(maxPrice);
+      where.price = {};
+      if (minPrice) where.price[Op.gte] = parseFloat(minPrice);
+      if (maxPrice) where.price[Op.lte] = parseFloat(maxPrice);
     }
 
-    if (search) {
-      query.$or = [
-        { name: new RegExp(search, 'i') },
-        { description: new RegExp(search, 'i') },
-        { brand: new RegExp(search, 'i') },
-        { tags: { $in: [new RegExp(search, 'i')] } }
-      ];
+    // Specification filters are checked against the category's definitions
+    if (spec && !category) {
+      return res.status(400).json({ message: 'Filtering on specifications needs a category' });
     }
 
-    // Sort options
-    const sortOptions = {};
-    sortOptions[sortBy] = sortOrder === 'desc' ? -1 : 1;
+    const definitions = category ? await db.CategoryAttribute.getForCategory(category) : [];
+    const specFilters = spec ? db.CategoryAttribute.parseFilters(definitions, spec) : [];
+    const productWhere = {
+      [Op.and]: [where, ...specFilters.map(filter => filter.definition.getCondition(filter))]
+    };
+
+    // Relevance order comes from the search itself
+    const order = sortBy === 'relevance'
+      ? []
+      : [[SORT_FIELDS[sortBy], sortOrder === 'asc' ? 'ASC' : 'DESC']];
+    const offset = (page - 1) * limit;
 
-    // Pagination
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+    let products;
+    let totalProducts;
+    let matchedBy = null;
+
+    if (search) {
+      ({ products, total: totalProducts, matchedBy } = await db.Product.search(search, {
+        where: productWhere,
+        order,
+        limit,
+        offset
+      }));
+
+      // Count each search once, not once per page
+      if (page === 1) {
+        searchSuggestionService.recordSearch(search, totalProducts);
+      }
+    } else {
+      ({ rows: products, count: totalProducts } = await db.Product.findAndCountAll({
+        where: { [Op.and]: [{ isActive: true }, productWhere] },
+        order,
+        limit,
+        offset
+      }));
+    }
 
-    const products = await Product.find(query)
-      .sort(sortOptions)
-      .limit(parseInt(limit))
-      .skip(skip);
+    const totalPages = Math.ceil(totalProducts / limit);
 
-    const totalProducts = await Product.countDocuments(query);
-    const totalPages = Math.ceil(totalProducts / parseInt(limit));
+    // Facets cover the same products as the listing, search included
+    const facets = await db.CategoryAttribute.getFacets(definitions, {
+      where: search
+        ? { [Op.and]: [where, db.Product.getSearchCondition(search, matchedBy)] }
+        : where,
+      filters: specFilters
+    });
 
     // Add wishlist status if user is logged in
     let productsWithWishlist = products;
     if (req.user) {
-      const userWishlist = req.user.wishlist.map(item => item.product.toString());
+      const wishlisted = await db.Wishlist.findAll({
+        where: { userId: req.user.id, productId: products.map(product => product.id) },
+        attributes: ['productId']
+      });
+      const wishlistedIds = new Set(wishlisted.map(item => item.productId));
+
       productsWithWishlist = products.map(product => ({
-        ...product.toObject(),
-        isInWishlist: userWishlist.includes(product._id.toString())
+        ...product.toJSON(),
+        isInWishlist: wishlistedIds.has(product.id)
       }));
     }
 
     res.json({
       products: productsWithWishlist,
       pagination: {
-        currentPage: parseInt(page),
+        currentPage: page,
         totalPages,
         totalProducts,
-        hasNextPage: parseInt(page) < totalPages,
-        hasPrevPage: parseInt(page) > 1
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
       },
       filters: {
         category,
@@ -87,12 +299,18 @@ router.get('/', optionalAuth, async (req, res) => {
         minPrice,
         maxPrice,
         search,
+        spec,
         sortBy,
         sortOrder
-      }
+      },
+      facets,
+      ...(search && { matchedBy })
     });
   } catch (error) {
     console.error('Get products error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Failed to fetch products' });
   }
 });
@@ -144,6 +362,106 @@ router.get('/categories', async (req, res) => {
   }
 });
 
+// @route   GET /api/products/categories/:category/attributes
+// @desc    Get the specification attributes products in a category are
+//          filtered and faceted on
+// @access  Public
+router.get('/categories/:category/attributes',
+  categoryParamValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const attributes = await db.CategoryAttribute.getForCategory(req.params.category);
+
+      res.json({ attributes });
+    } catch (error) {
+      console.error('Get category attributes error:', error);
+      res.status(500).json({ message: 'Failed to fetch category attributes' });
+    }
+  }
+);
+
+// @route   POST /api/products/categories/:category/attributes
+// @desc    Define a specification attribute for a category (Admin only)
+// @access  Private/Admin
+router.post('/categories/:category/attributes', protect, authorize('admin'),
+  attributeValidation(),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const attribute = await db.CategoryAttribute.create({
+        ...pickAttributeFields(req.body),
+        category: req.params.category
+      });
+
+      res.status(201).json({
+        message: 'Attribute created successfully',
+        attribute
+      });
+    } catch (error) {
+      console.error('Create category attribute error:', error);
+      sendSaveError(res, error, {
+        duplicateMessage: 'This category already has an attribute with that key',
+        fallbackMessage: 'Failed to create attribute'
+      });
+    }
+  }
+);
+
+// @route   PUT /api/products/categories/:category/attributes/:key
+// @desc    Update a category attribute definition (Admin only)
+// @access  Private/Admin
+router.put('/categories/:category/attributes/:key', protect, authorize('admin'),
+  attributeValidation(true),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const attribute = await db.CategoryAttribute.findOne({
+        where: { category: req.params.category, key: req.params.key }
+      });
+
+      if (!attribute) {
+        return res.status(404).json({ message: 'Attribute not found' });
+      }
+
+      const { key, ...changes } = pickAttributeFields(req.body);
+      await attribute.update(changes);
+
+      res.json({
+        message: 'Attribute updated successfully',
+        attribute
+      });
+    } catch (error) {
+      console.error('Update category attribute error:', error);
+      sendSaveError(res, error, {
+        duplicateMessage: 'This category already has an attribute with that key',
+        fallbackMessage: 'Failed to update attribute'
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/products/categories/:category/attributes/:key
+// @desc    Delete a category attribute definition (Admin only). Product
+//          specifications are left as they are.
+// @access  Private/Admin
+router.delete('/categories/:category/attributes/:key', protect, authorize('admin'), async (req, res) => {
+  try {
+    const deleted = await db.CategoryAttribute.destroy({
+      where: { category: req.params.category, key: req.params.key }
+    });
+
+    if (!deleted) {
+      return res.status(404).json({ message: 'Attribute not found' });
+    }
+
+    res.json({ message: 'Attribute deleted successfully' });
+  } catch (error) {
+    console.error('Delete category attribute error:', error);
+    res.status(500).json({ message: 'Failed to delete attribute' });
+  }
+});
+
 // @route   GET /api/products/brands
 // @desc    Get all product brands with counts
 // @access  Public
@@ -180,21 +498,446 @@ router.get('/brands', async (req, res) => {
 // @access  Public
 router.get('/search', async (req, res) => {
   try {
-    const { q: query, limit = 20 } = req.query;
+    const { q: query } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
 
-    if (!query) {
+    if (!query || !query.trim()) {
       return res.status(400).json({ message: 'Search query is required' });
     }
 
-    const products = await Product.search(query, parseInt(limit));
+    // matchedBy is 'similarity' when only the typo-tolerant fallback matched
+    const { products, total, matchedBy } = await db.Product.search(query.trim(), { limit });
+
+    // Counted in the background so popular queries can be suggested
+    searchSuggestionService.recordSearch(query, total);
 
-    res.json({ products, query });
+    res.json({ products, query, matchedBy });
   } catch (error) {
     console.error('Search products error:', error);
     res.status(500).json({ message: 'Search failed' });
   }
 });
 
+// @route   GET /api/products/suggest
+// @desc    Suggest popular queries, products, brands and categories as a
+//          search is typed, with a "did you mean" correction when nothing
+//          matches
+// @access  Public
+router.get('/suggest', async (req, res) => {
+  try {
+    const { q: query } = req.query;
+
+    if (typeof query !== 'string' || !query.trim()) {
+      return res.status(400).json({ message: 'Search query is required' });
+    }
+
+    const { suggestions, didYouMean } = await searchSuggestionService.suggest(query);
+
+    // Keystrokes repeat; let browsers and CDNs reuse answers briefly
+    res.set('Cache-Control', 'public, max-age=60');
+    res.json({ query, suggestions, didYouMean });
+  } catch (error) {
+    console.error('Suggest error:', error);
+    res.status(500).json({ message: 'Failed to fetch suggestions' });
+  }
+});
+
+// @route   GET /api/products/compare
+// @desc    Compare 2 to 4 products from the same category side by side,
+//          e.g. ?ids=a,b,c. Rows cover price, warranty, rating,
+//          specifications and features, flag where the products differ and
+//          mark the best value of number rows that prefer higher or lower.
+// @access  Public
+router.get('/compare',
+  [
+    query('ids')
+      .customSanitizer(value => (Array.isArray(value) ? value : String(value || '').split(','))
+        .map(id => String(id).trim())
+        .filter(Boolean))
+      .isArray({ min: 1 })
+      .withMessage('ids must be a comma separated list of product IDs'),
+
+    query('ids.*')
+      .isUUID()
+      .withMessage('Invalid product ID')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const comparison = await comparisonService.compare(req.query.ids);
+
+      res.json(comparison);
+    } catch (error) {
+      console.error('Compare products error:', error);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message });
+      }
+      res.status(500).json({ message: 'Failed to compare products' });
+    }
+  }
+);
+
+// @route   GET /api/products/:id/delivery-estimate
+// @desc    Estimate when a product would be delivered to a pincode
+// @access  Public
+router.get('/:id/delivery-estimate',
+  [productIdValidation],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { pincode } = req.query;
+
+      if (!/^\d{6}$/.test(pincode || '')) {
+        return res.status(400).json({ message: 'Pincode must be 6 digits' });
+      }
+
+      const product = await db.Product.findByPk(req.params.id);
+
+      if (!product || !product.isActive) {
+        return res.status(404).json({ message: 'Product not found' });
+      }
+
+      const entry = await db.ServiceablePincode.findServiceable(pincode);
+
+      if (!entry) {
+        return res.json({
+          pincode,
+          serviceable: false,
+          message: 'We do not deliver to this pincode yet'
+        });
+      }
+
+      const { dispatchDate, estimatedDeliveryDate } = entry.estimateDelivery();
+      const availableStock = await product.getAvailableStock();
+
+      res.json({
+        pincode,
+        serviceable: true,
+        codAvailable: entry.codAvailable,
+        inStock: availableStock > 0,
+        transitDays: entry.transitDays,
+        dispatchDate: dispatchDate.toISOString().slice(0, 10),
+        estimatedDeliveryDate: estimatedDeliveryDate.toISOString().slice(0, 10)
+      });
+    } catch (error) {
+      console.error('Delivery estimate error:', error);
+      res.status(500).json({ message: 'Failed to estimate delivery' });
+    }
+  }
+);
+
+// @route   GET /api/products/:id/variants
+// @desc    Get a product's variants
+// @access  Public
+router.get('/:id/variants',
+  [productIdValidation],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const product = await db.Product.findByPk(req.params.id);
+
+      if (!product || !product.isActive) {
+        return res.status(404).json({ message: 'Product not found' });
+      }
+
+      const variants = await db.ProductVariant.findAll({
+        where: { productId: product.id, isActive: true },
+        order: [['price', 'ASC']]
+      });
+
+      // Stock held by checkouts in progress is not for sale
+      const reserved = await db.StockReservation.getReservedQuantities([product.id]);
+
+      res.json({
+        variants: variants.map(variant => ({
+          ...variant.toJSON(),
+          label: variant.getLabel(),
+          inStock: variant.stock - (reserved.get(variant.id) || 0) > 0
+        }))
+      });
+    } catch (error) {
+      console.error('Get variants error:', error);
+      res.status(500).json({ message: 'Failed to fetch variants' });
+    }
+  }
+);
+
+// @route   POST /api/products/:id/variants
+// @desc    Add a variant to a product (Admin only)
+// @access  Private/Admin
+router.post('/:id/variants', protect, authorize('admin'),
+  [productIdValidation, ...variantValidation()],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const product = await db.Product.findByPk(req.params.id);
+
+      if (!product) {
+        return res.status(404).json({ message: 'Product not found' });
+      }
+
+      const variant = await db.ProductVariant.create({
+        ...pickVariantFields(req.body),
+        productId: product.id
+      });
+
+      res.status(201).json({
+        message: 'Variant created successfully',
+        variant
+      });
+    } catch (error) {
+      console.error('Create variant error:', error);
+      sendSaveError(res, error, {
+        duplicateMessage: 'Variant SKU already exists',
+        fallbackMessage: 'Failed to create variant'
+      });
+    }
+  }
+);
+
+// @route   PUT /api/products/:id/variants/:variantId
+// @desc    Update a product variant (Admin only)
+// @access  Private/Admin
+router.put('/:id/variants/:variantId', protect, authorize('admin'),
+  [productIdValidation, variantIdValidation, ...variantValidation(true)],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const variant = await db.ProductVariant.findOne({
+        where: { id: req.params.variantId, productId: req.params.id }
+      });
+
+      if (!variant) {
+        return res.status(404).json({ message: 'Variant not found' });
+      }
+
+      await variant.update(pickVariantFields(req.body));
+
+      res.json({
+        message: 'Variant updated successfully',
+        variant
+      });
+    } catch (error) {
+      console.error('Update variant error:', error);
+      sendSaveError(res, error, {
+        duplicateMessage: 'Variant SKU already exists',
+        fallbackMessage: 'Failed to update variant'
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/products/:id/variants/:variantId
+// @desc    Delete a product variant (Admin only). Variants that have been
+//          ordered are deactivated instead so order history stays intact.
+// @access  Private/Admin
+router.delete('/:id/variants/:variantId', protect, authorize('admin'),
+  [productIdValidation, variantIdValidation],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const variant = await db.ProductVariant.findOne({
+        where: { id: req.params.variantId, productId: req.params.id }
+      });
+
+      if (!variant) {
+        return res.status(404).json({ message: 'Variant not found' });
+      }
+
+      const orderCount = await db.OrderItem.count({ where: { variantId: variant.id } });
+
+      if (orderCount > 0) {
+        await variant.update({ isActive: false });
+        return res.json({ message: 'Variant has been ordered, so it was deactivated instead' });
+      }
+
+      await variant.destroy();
+
+      res.json({ message: 'Variant deleted successfully' });
+    } catch (error) {
+      console.error('Delete variant error:', error);
+      res.status(500).json({ message: 'Failed to delete variant' });
+    }
+  }
+);
+
+// @route   GET /api/products/:id/images
+// @desc    Get a product's image gallery in display order
+// @access  Public
+router.get('/:id/images',
+  [productIdValidation],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const product = await db.Product.findByPk(req.params.id);
+
+      if (!product || !product.isActive) {
+        return res.status(404).json({ message: 'Product not found' });
+      }
+
+      const images = await db.ProductImage.getGallery(product.id);
+
+      res.json({ images });
+    } catch (error) {
+      console.error('Get images error:', error);
+      res.status(500).json({ message: 'Failed to fetch images' });
+    }
+  }
+);
+
+// @route   POST /api/products/:id/images
+// @desc    Upload images to a product's gallery (Admin only, multipart, up to
+//          10 images). Thumbnail and medium sizes are generated for each.
+// @access  Private/Admin
+router.post('/:id/images', protect, authorize('admin'),
+  handleUpload(productImageUpload.array('images', 10)),
+  [
+    productIdValidation,
+
+    body('altText')
+      .optional()
+      .trim()
+      .isLength({ max: 255 })
+      .withMessage('Alt text cannot be more than 255 characters')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    const files = req.files || [];
+    const storedKeys = [];
+
+    try {
+      if (files.length === 0) {
+        return res.status(400).json({ message: 'At least one image is required' });
+      }
+
+      const product = await db.Product.findByPk(req.params.id);
+
+      if (!product) {
+        return res.status(404).json({ message: 'Product not found' });
+      }
+
+      const storage = getStorage();
+      const images = [];
+      for (const file of files) {
+        const keys = await saveImage('products', file.buffer, { sizes: ['thumbnail', 'medium'] });
+        storedKeys.push(...Object.values(keys));
+
+        images.push({
+          url: storage.getPublicUrl(keys.original),
+          mediumUrl: storage.getPublicUrl(keys.medium),
+          thumbnailUrl: storage.getPublicUrl(keys.thumbnail),
+          altText: req.body.altText || product.name
+        });
+      }
+
+      const created = await db.ProductImage.addToGallery(product.id, images);
+
+      res.status(201).json({
+        message: 'Images uploaded successfully',
+        images: created
+      });
+    } catch (error) {
+      console.error('Upload images error:', error);
+      await removeImages(storedKeys);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message });
+      }
+      res.status(500).json({ message: 'Failed to upload images' });
+    }
+  }
+);
+
+// @route   PUT /api/products/:id/images/order
+// @desc    Reorder a product's gallery (Admin only)
+// @access  Private/Admin
+router.put('/:id/images/order', protect, authorize('admin'),
+  [
+    productIdValidation,
+
+    body('imageIds')
+      .isArray({ min: 1 })
+      .withMessage('imageIds must be a non-empty array'),
+
+    body('imageIds.*')
+      .isUUID()
+      .withMessage('Invalid image ID')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const images = await db.ProductImage.reorder(req.params.id, req.body.imageIds);
+
+      res.json({
+        message: 'Images reordered successfully',
+        images
+      });
+    } catch (error) {
+      console.error('Reorder images error:', error);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message });
+      }
+      res.status(500).json({ message: 'Failed to reorder images' });
+    }
+  }
+);
+
+// @route   PUT /api/products/:id/images/:imageId/primary
+// @desc    Make an image the product's primary image (Admin only)
+// @access  Private/Admin
+router.put('/:id/images/:imageId/primary', protect, authorize('admin'),
+  [productIdValidation, imageIdValidation],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const image = await db.ProductImage.findOne({
+        where: { id: req.params.imageId, productId: req.params.id }
+      });
+
+      if (!image) {
+        return res.status(404).json({ message: 'Image not found' });
+      }
+
+      await image.makePrimary();
+
+      res.json({
+        message: 'Primary image updated successfully',
+        image
+      });
+    } catch (error) {
+      console.error('Set primary image error:', error);
+      res.status(500).json({ message: 'Failed to set primary image' });
+    }
+  }
+);
+
+// @route   DELETE /api/products/:id/images/:imageId
+// @desc    Delete a product image and its generated sizes (Admin only)
+// @access  Private/Admin
+router.delete('/:id/images/:imageId', protect, authorize('admin'),
+  [productIdValidation, imageIdValidation],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const image = await db.ProductImage.findOne({
+        where: { id: req.params.imageId, productId: req.params.id }
+      });
+
+      if (!image) {
+        return res.status(404).json({ message: 'Image not found' });
+      }
+
+      await db.sequelize.transaction(transaction => image.destroy({ transaction }));
+      const storage = getStorage();
+      await removeImages(image.getUrls().map(url => storage.keyFromUrl(url)));
+
+      res.json({ message: 'Image deleted successfully' });
+    } catch (error) {
+      console.error('Delete image error:', error);
+      res.status(500).json({ message: 'Failed to delete image' });
+    }
+  }
+);
+
 // @route   GET /api/products/:id
 // @desc    Get single product
 // @access  Public
@@ -0,0 +1,247 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const db = require('../models');
+const { ReturnRequest } = db;
+const { protect, authorize } = require('../middleware/auth');
+const returnService = require('../services/returnService');
+
+const router = express.Router();
+
+// Helper function to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: 'Validation failed',
+      errors: errors.array().map(err => ({ field: err.param, message: err.msg }))
+    });
+  }
+  next();
+};
+
+// Helper function to send service errors
+const handleReturnError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      message: error.message,
+      ...(error.unavailableItems && { unavailableItems: error.unavailableItems })
+    });
+  }
+  res.status(500).json({ message: fallbackMessage });
+};
+
+// @route   GET /api/returns
+// @desc    Get user's return requests
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const returns = await ReturnRequest.findAll({
+      where: { userId: req.user.id },
+      include: [{ model: db.OrderItem, as: 'orderItem' }],
+      order: [['created_at', 'DESC']]
+    });
+
+    res.json({
+      returns: await Promise.all(returns.map(returnRequest => returnService.withPhotoUrls(returnRequest)))
+    });
+  } catch (error) {
+    console.error('Get returns error:', error);
+    res.status(500).json({ message: 'Failed to fetch returns' });
+  }
+});
+
+// @route   GET /api/returns/admin/all
+// @desc    Get all return requests (Admin only)
+// @access  Private/Admin
+router.get('/admin/all', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+
+    const where = {};
+    if (status) {
+      where.status = status;
+    }
+
+    const { rows: returns, count: totalReturns } = await ReturnRequest.findAndCountAll({
+      where,
+      include: [
+        { model: db.OrderItem, as: 'orderItem' },
+        { model: db.User, as: 'user', attributes: ['id', 'name', 'email', 'mobile'] }
+      ],
+      order: [['created_at', 'DESC']],
+      limit: parseInt(limit),
+      offset: (parseInt(page) - 1) * parseInt(limit)
+    });
+    const totalPages = Math.ceil(totalReturns / parseInt(limit));
+
+    res.json({
+      returns: await Promise.all(returns.map(returnRequest => returnService.withPhotoUrls(returnRequest))),
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalReturns,
+        hasNextPage: parseInt(page) < totalPages,
+        hasPrevPage: parseInt(page) > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get all returns error:', error);
+    res.status(500).json({ message: 'Failed to fetch returns' });
+  }
+});
+
+// @route   GET /api/returns/:id
+// @desc    Get single return request
+// @access  Private
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const returnRequest = await ReturnRequest.findByPk(req.params.id, {
+      include: [
+        { model: db.OrderItem, as: 'orderItem' },
+        { model: db.Refund, as: 'refund' }
+      ]
+    });
+
+    if (!returnRequest) {
+      return res.status(404).json({ message: 'Return request not found' });
+    }
+
+    if (returnRequest.userId !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Not authorized to view this return' });
+    }
+
+    res.json({ returnRequest: await returnService.withPhotoUrls(returnRequest) });
+  } catch (error) {
+    console.error('Get return error:', error);
+    res.status(500).json({ message: 'Failed to fetch return' });
+  }
+});
+
+// @route   PUT /api/returns/:id/approve
+// @desc    Approve a return request (Admin only)
+// @access  Private/Admin
+router.put('/:id/approve', protect, authorize('admin'), async (req, res) => {
+  try {
+    const returnRequest = await returnService.updateStatus(req.params.id, 'approved', {
+      adminNotes: req.body.notes
+    });
+
+    res.json({
+      message: 'Return approved',
+      returnRequest: await returnService.withPhotoUrls(returnRequest)
+    });
+  } catch (error) {
+    console.error('Approve return error:', error);
+    handleReturnError(res, error, 'Failed to approve return');
+  }
+});
+
+// @route   PUT /api/returns/:id/reject
+// @desc    Reject a return request (Admin only)
+// @access  Private/Admin
+router.put('/:id/reject', protect, authorize('admin'),
+  [
+    body('notes')
+      .trim()
+      .notEmpty()
+      .withMessage('A rejection reason is required')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const returnRequest = await returnService.updateStatus(req.params.id, 'rejected', {
+        adminNotes: req.body.notes,
+        resolvedAt: new Date()
+      });
+
+      res.json({
+        message: 'Return rejected',
+        returnRequest: await returnService.withPhotoUrls(returnRequest)
+      });
+    } catch (error) {
+      console.error('Reject return error:', error);
+      handleReturnError(res, error, 'Failed to reject return');
+    }
+  }
+);
+
+// @route   PUT /api/returns/:id/pickup
+// @desc    Schedule pickup for an approved return (Admin only)
+// @access  Private/Admin
+router.put('/:id/pickup', protect, authorize('admin'),
+  [
+    body('pickupDate')
+      .isISO8601()
+      .withMessage('Pickup date must be a valid date')
+      .toDate()
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const returnRequest = await returnService.updateStatus(req.params.id, 'pickup_scheduled', {
+        pickupDate: req.body.pickupDate
+      });
+
+      res.json({
+        message: 'Pickup scheduled',
+        returnRequest: await returnService.withPhotoUrls(returnRequest)
+      });
+    } catch (error) {
+      console.error('Schedule pickup error:', error);
+      handleReturnError(res, error, 'Failed to schedule pickup');
+    }
+  }
+);
+
+// @route   PUT /api/returns/:id/picked-up
+// @desc    Mark a return as collected (Admin only)
+// @access  Private/Admin
+router.put('/:id/picked-up', protect, authorize('admin'), async (req, res) => {
+  try {
+    const returnRequest = await returnService.updateStatus(req.params.id, 'picked_up');
+
+    res.json({
+      message: 'Return marked as picked up',
+      returnRequest: await returnService.withPhotoUrls(returnRequest)
+    });
+  } catch (error) {
+    console.error('Mark picked up error:', error);
+    handleReturnError(res, error, 'Failed to update return');
+  }
+});
+
+// @route   PUT /api/returns/:id/inspection
+// @desc    Record inspection outcome and resolve the return (Admin only)
+// @access  Private/Admin
+router.put('/:id/inspection', protect, authorize('admin'),
+  [
+    body('passed')
+      .isBoolean()
+      .withMessage('Inspection outcome is required')
+      .toBoolean(),
+
+    body('notes')
+      .optional()
+      .trim()
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await returnService.inspect(req.params.id, {
+        passed: req.body.passed,
+        notes: req.body.notes,
+        actorId: req.user.id
+      });
+
+      res.json({
+        message: req.body.passed ? 'Inspection passed' : 'Inspection failed',
+        ...result
+      });
+    } catch (error) {
+      console.error('Return inspection error:', error);
+      handleReturnError(res, error, 'Failed to record inspection');
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,346 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const db = require('../models');
+const { Cart, Product, ShippingZone, ServiceablePincode } = db;
+const { protect, authorize } = require('../middleware/auth');
+const { identifyCart } = require('../middleware/cartToken');
+const { createCsvUpload, handleUpload } = require('../middleware/upload');
+const { parseCsv } = require('../utils/csv');
+
+const router = express.Router();
+
+const pincodeCsvUpload = createCsvUpload();
+
+// Fields an admin may set on a shipping zone
+const ZONE_FIELDS = [
+  'name', 'pincodePrefixes', 'isDefault', 'weightSlabs', 'additionalPerKg',
+  'categorySurcharges', 'freeShippingThreshold', 'minDeliveryDays',
+  'maxDeliveryDays', 'isActive'
+];
+
+// Helper function to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: 'Validation failed',
+      errors: errors.array().map(err => ({ field: err.param, message: err.msg }))
+    });
+  }
+  next();
+};
+
+// Validation rules for creating a zone, or updating one when partial
+const zoneValidation = (partial = false) => [
+  (partial ? body('name').optional() : body('name'))
+    .trim()
+    .notEmpty()
+    .withMessage('Zone name is required'),
+
+  body('pincodePrefixes')
+    .optional()
+    .isArray()
+    .withMessage('Pincode prefixes must be an array'),
+
+  body('pincodePrefixes.*')
+    .matches(/^\d{1,6}$/)
+    .withMessage('Pincode prefixes must be 1 to 6 digits'),
+
+  (partial ? body('weightSlabs').optional() : body('weightSlabs'))
+    .isArray({ min: 1 })
+    .withMessage('At least one weight slab is required'),
+
+  body('weightSlabs.*.maxWeight')
+    .isFloat({ gt: 0 })
+    .withMessage('Slab weight must be greater than 0')
+    .toFloat(),
+
+  body('weightSlabs.*.rate')
+    .isFloat({ min: 0 })
+    .withMessage('Slab rate cannot be negative')
+    .toFloat(),
+
+  body(['additionalPerKg', 'freeShippingThreshold'])
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Rates cannot be negative')
+    .toFloat(),
+
+  body('categorySurcharges')
+    .optional()
+    .isObject()
+    .withMessage('Category surcharges must be an object'),
+
+  body(['minDeliveryDays', 'maxDeliveryDays'])
+    .optional({ nullable: true })
+    .isInt({ min: 0 })
+    .withMessage('Delivery days cannot be negative')
+    .toInt(),
+
+  body(['isDefault', 'isActive'])
+    .optional()
+    .isBoolean()
+    .withMessage('Flags must be booleans')
+    .toBoolean()
+];
+
+// Pick the admin-settable fields out of a request body
+const pickZoneFields = (payload) => ZONE_FIELDS.reduce((fields, field) => {
+  if (payload[field] !== undefined) {
+    fields[field] = payload[field];
+  }
+  return fields;
+}, {});
+
+// Only one zone may be the fallback for unmatched pincodes
+const saveZone = (zone, fields) => db.sequelize.transaction(async (transaction) => {
+  if (fields.isDefault) {
+    await ShippingZone.update({ isDefault: false }, {
+      where: { isDefault: true },
+      transaction
+    });
+  }
+
+  return zone ? zone.update(fields, { transaction }) : ShippingZone.create(fields, { transaction });
+});
+
+// @route   GET /api/shipping/quote
+// @desc    Quote shipping to a pincode for the cart, or for a single
+//          product when productId is given
+// @access  Public (guests send X-Cart-Token)
+router.get('/quote',
+  identifyCart,
+  [
+    query('pincode')
+      .matches(/^\d{6}$/)
+      .withMessage('Pincode must be 6 digits'),
+
+    query('productId')
+      .optional()
+      .isUUID()
+      .withMessage('Invalid product ID'),
+
+    query('quantity')
+      .optional()
+      .isInt({ min: 1, max: 10 })
+      .withMessage('Quantity must be between 1 and 10')
+      .toInt()
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { pincode, productId, quantity = 1, state } = req.query;
+
+      if (productId) {
+        const product = await Product.findByPk(productId);
+
+        if (!product || !product.isActive) {
+          return res.status(404).json({ message: 'Product not found' });
+        }
+
+        const quote = await ShippingZone.quote({
+          pincode,
+          lines: [{ product, quantity }],
+          subtotal: parseFloat(product.price) * quantity
+        });
+
+        return res.json({ quote });
+      }
+
+      const cart = await Cart.getUserCart(req.cartOwner);
+
+      if (!cart || cart.getActiveItems().length === 0) {
+        return res.status(400).json({ message: 'Cart is empty' });
+      }
+
+      const quote = await ShippingZone.quote({
+        pincode,
+        lines: cart.getActiveItems()
+          .filter(item => item.product)
+          .map(item => ({ product: item.product, quantity: item.quantity })),
+        subtotal: cart.calculateSubtotal()
+      });
+
+      res.json({
+        quote,
+        pricing: cart.getPricing({ shippingState: state || null, shipping: quote.shipping })
+      });
+    } catch (error) {
+      console.error('Shipping quote error:', error);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message });
+      }
+      res.status(500).json({ message: 'Failed to quote shipping' });
+    }
+  }
+);
+
+// @route   GET /api/shipping/zones
+// @desc    Get all shipping zones (Admin only)
+// @access  Private/Admin
+router.get('/zones', protect, authorize('admin'), async (req, res) => {
+  try {
+    const zones = await ShippingZone.findAll({
+      order: [['isDefault', 'DESC'], ['name', 'ASC']]
+    });
+
+    res.json({ zones });
+  } catch (error) {
+    console.error('Get shipping zones error:', error);
+    res.status(500).json({ message: 'Failed to fetch shipping zones' });
+  }
+});
+
+// @route   POST /api/shipping/zones
+// @desc    Create a shipping zone (Admin only)
+// @access  Private/Admin
+router.post('/zones', protect, authorize('admin'),
+  zoneValidation(),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const zone = await saveZone(null, pickZoneFields(req.body));
+
+      res.status(201).json({
+        message: 'Shipping zone created successfully',
+        zone
+      });
+    } catch (error) {
+      console.error('Create shipping zone error:', error);
+      if (error.name === 'SequelizeValidationError') {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: error.errors.map(err => ({ field: err.path, message: err.message }))
+        });
+      }
+      res.status(500).json({ message: 'Failed to create shipping zone' });
+    }
+  }
+);
+
+// @route   PUT /api/shipping/zones/:id
+// @desc    Update a shipping zone (Admin only)
+// @access  Private/Admin
+router.put('/zones/:id', protect, authorize('admin'),
+  zoneValidation(true),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const zone = await ShippingZone.findByPk(req.params.id);
+
+      if (!zone) {
+        return res.status(404).json({ message: 'Shipping zone not found' });
+      }
+
+      await saveZone(zone, pickZoneFields(req.body));
+
+      res.json({
+        message: 'Shipping zone updated successfully',
+        zone
+      });
+    } catch (error) {
+      console.error('Update shipping zone error:', error);
+      if (error.name === 'SequelizeValidationError') {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: error.errors.map(err => ({ field: err.path, message: err.message }))
+        });
+      }
+      res.status(500).json({ message: 'Failed to update shipping zone' });
+    }
+  }
+);
+
+// @route   DELETE /api/shipping/zones/:id
+// @desc    Delete a shipping zone (Admin only)
+// @access  Private/Admin
+router.delete('/zones/:id', protect, authorize('admin'), async (req, res) => {
+  try {
+    const zone = await ShippingZone.findByPk(req.params.id);
+
+    if (!zone) {
+      return res.status(404).json({ message: 'Shipping zone not found' });
+    }
+
+    await zone.destroy();
+
+    res.json({ message: 'Shipping zone deleted successfully' });
+  } catch (error) {
+    console.error('Delete shipping zone error:', error);
+    res.status(500).json({ message: 'Failed to delete shipping zone' });
+  }
+});
+
+// @route   GET /api/shipping/pincodes/:pincode
+// @desc    Check whether a pincode is serviceable and supports COD
+// @access  Public
+router.get('/pincodes/:pincode', async (req, res) => {
+  try {
+    const { pincode } = req.params;
+
+    if (!/^\d{6}$/.test(pincode)) {
+      return res.status(400).json({ message: 'Pincode must be 6 digits' });
+    }
+
+    const entry = await ServiceablePincode.findServiceable(pincode);
+
+    if (!entry) {
+      return res.json({ pincode, serviceable: false, codAvailable: false });
+    }
+
+    res.json({
+      pincode,
+      serviceable: true,
+      codAvailable: entry.codAvailable,
+      transitDays: entry.transitDays,
+      city: entry.city,
+      state: entry.state
+    });
+  } catch (error) {
+    console.error('Check pincode error:', error);
+    res.status(500).json({ message: 'Failed to check pincode' });
+  }
+});
+
+// @route   POST /api/shipping/pincodes/import
+// @desc    Load pincode serviceability from a CSV file (Admin only).
+//          Columns: pincode, city, state, serviceable, cod, transit_days
+// @access  Private/Admin
+router.post('/pincodes/import',
+  protect,
+  authorize('admin'),
+  handleUpload(pincodeCsvUpload.single('file')),
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({ message: 'A CSV file is required' });
+      }
+
+      const rows = parseCsv(req.file.buffer.toString('utf8'));
+
+      if (rows.length === 0) {
+        return res.status(400).json({ message: 'The CSV file has no rows' });
+      }
+
+      if (!Object.prototype.hasOwnProperty.call(rows[0], 'pincode')) {
+        return res.status(400).json({ message: 'The CSV file must have a pincode column' });
+      }
+
+      const { imported, errors } = await db.sequelize.transaction(transaction =>
+        ServiceablePincode.importRows(rows, { transaction })
+      );
+
+      res.json({
+        message: `Imported ${imported} pincodes`,
+        imported,
+        skipped: errors.length,
+        errors
+      });
+    } catch (error) {
+      console.error('Import pincodes error:', error);
+      res.status(500).json({ message: 'Failed to import pincodes' });
+    }
+  }
+);
+
+module.exports = router;
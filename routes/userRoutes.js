@@ -3,8 +3,13 @@ const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
+const { Cart } = require('../models');
 const { protect } = require('../middleware/auth');
+const { CART_TOKEN_HEADER, verifyCartToken } = require('../middleware/cartToken');
+const { createImageUpload, handleUpload } = require('../middleware/upload');
 const { sendOtpViaSms } = require('../utils/smsService');
+const { saveImage, removeImages } = require('../services/imageService');
+const { getStorage } = require('../services/storage');
 
 // Generate JWT Token
 const generateToken = (id) => {
@@ -15,6 +20,23 @@ const generateToken = (id) => {
 
 const router = express.Router();
 
+const profileImageUpload = createImageUpload({ maxFileSize: 2 * 1024 * 1024, maxFiles: 1 });
+
+// Fold the cart a visitor built before signing in into their account cart.
+// A failed merge never blocks the login itself.
+const mergeGuestCart = async (req, userId) => {
+  const guestId = verifyCartToken(req.headers[CART_TOKEN_HEADER] || req.body.cartToken);
+  if (!guestId) {
+    return;
+  }
+
+  try {
+    await Cart.mergeGuestCart(guestId, userId);
+  } catch (error) {
+    console.error('Guest cart merge error:', error);
+  }
+};
+
 // Helper function to handle validation errors
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
@@ -180,6 +202,8 @@ router.post('/login',
       // Generate JWT token
       const token = generateToken(user._id);
 
+      await mergeGuestCart(req, user.id);
+
       res.json({
         success: true,
         message: 'Login successful',
@@ -452,6 +476,8 @@ router.post('/verify-otp',
       // Generate JWT token
       const token = generateToken(user._id);
 
+      await mergeGuestCart(req, user.id);
+
       res.json({
         success: true,
         message: 'Mobile number verified successfully',
@@ -610,4 +636,60 @@ router.put('/profile', protect,
   }
 );
 
+// @route   PUT /api/users/profile/image
+// @desc    Upload or replace the profile image (multipart field "image")
+// @access  Private
+router.put('/profile/image', protect,
+  handleUpload(profileImageUpload.single('image')),
+  async (req, res) => {
+    let keys = null;
+
+    try {
+      if (!req.file) {
+        return res.status(400).json({ message: 'An image is required' });
+      }
+
+      const storage = getStorage();
+      const previousKey = storage.keyFromUrl(req.user.profileImage);
+
+      keys = await saveImage('profiles', req.file.buffer);
+      await req.user.update({ profileImage: storage.getPublicUrl(keys.original) });
+
+      // The old image is only removed once the new one is in place
+      await removeImages([previousKey]);
+
+      res.json({
+        message: 'Profile image updated successfully',
+        profileImage: req.user.profileImage
+      });
+    } catch (error) {
+      console.error('Upload profile image error:', error);
+      if (keys) {
+        await removeImages([keys.original]);
+      }
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message });
+      }
+      res.status(500).json({ message: 'Failed to update profile image' });
+    }
+  }
+);
+
+// @route   DELETE /api/users/profile/image
+// @desc    Remove the profile image
+// @access  Private
+router.delete('/profile/image', protect, async (req, res) => {
+  try {
+    const previousKey = getStorage().keyFromUrl(req.user.profileImage);
+
+    await req.user.update({ profileImage: '' });
+    await removeImages([previousKey]);
+
+    res.json({ message: 'Profile image removed successfully' });
+  } catch (error) {
+    console.error('Remove profile image error:', error);
+    res.status(500).json({ message: 'Failed to remove profile image' });
+  }
+});
+
 module.exports = router;
@@ -3,10 +3,13 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
-const path = require('path');
 const morgan = require('morgan');
 const { Sequelize } = require('sequelize');
 const db = require('./models');
+const { scheduleAbandonedCartJob } = require('./jobs/abandonedCarts');
+const { scheduleReservationSweep } = require('./jobs/releaseExpiredReservations');
+const { getStorage } = require('./services/storage');
+const { assertSellerConfigured } = require('./services/pricingService');
 
 // Import routes
 const userRoutes = require('./routes/userRoutes');
@@ -14,6 +17,11 @@ const productRoutes = require('./routes/productRoutes');
 const orderRoutes = require('./routes/orderRoutes');
 const cartRoutes = require('./routes/cartRoutes');
 const newsletterRoutes = require('./routes/newsletterRoutes');
+const paymentRoutes = require('./routes/paymentRoutes');
+const returnRoutes = require('./routes/returnRoutes');
+const couponRoutes = require('./routes/couponRoutes');
+const shippingRoutes = require('./routes/shippingRoutes');
+const buildRoutes = require('./routes/buildRoutes');
 
 const app = express();
 
@@ -41,7 +49,7 @@ app.use((req, res, next) => {
   if (isAllowed && origin) {
     res.header('Access-Control-Allow-Origin', origin);
     res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, Accept, Cache-Control');
+    res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, Accept, Cache-Control, X-Cart-Token');
     res.header('Access-Control-Allow-Credentials', 'true');
     
     // Handle preflight requests
@@ -100,11 +108,21 @@ app.use((req, res, next) => {
 });
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the raw body around for webhook signature verification
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Static files
-app.use('/uploads', express.static(path.join(__dirname, 'public/uploads')));
+// Uploaded files, when they are kept on this server's disk. With S3 storage
+// clients are given bucket URLs instead.
+const storage = getStorage();
+if (storage.name === 'local') {
+  app.use('/uploads', storage.serve());
+}
 
 // Make models available in request
 app.use((req, res, next) => {
@@ -118,6 +136,11 @@ app.use('/api/products', productRoutes);
 app.use('/api/orders', orderRoutes);
 app.use('/api/cart', cartRoutes);
 app.use('/api/newsletter', newsletterRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/returns', returnRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/shipping', shippingRoutes);
+app.use('/api/builds', buildRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -221,6 +244,9 @@ const PORT = process.env.PORT || 5000;
 
 const startServer = async () => {
   try {
+    // Orders cannot be taxed without the seller's state
+    assertSellerConfigured();
+
     // Test the database connection
     await db.sequelize.authenticate();
     console.log('✅ Database connection has been established successfully.');
@@ -240,6 +266,17 @@ const startServer = async () => {
       console.log(`📊 Database: ${process.env.DB_NAME}@${process.env.DB_HOST}`);
     });
 
+    // Send abandoned cart reminders in-process unless an external cron
+    // runs jobs/abandonedCarts.js instead
+    if (process.env.ABANDONED_CART_JOB !== 'off') {
+      scheduleAbandonedCartJob();
+    }
+
+    // Clear out expired checkout stock holds
+    if (process.env.STOCK_RESERVATION_SWEEP !== 'off') {
+      scheduleReservationSweep();
+    }
+
     // Handle unhandled promise rejections
     process.on('unhandledRejection', (err) => {
       console.error('Unhandled Rejection:', err);
@@ -262,7 +299,7 @@ const startServer = async () => {
     });
 
   } catch (error) {
-    console.error('❌ Unable to connect to the database:', error);
+    console.error('❌ Unable to start the server:', error);
     process.exit(1);
   }
 };
@@ -0,0 +1,236 @@
+// Compatibility rules for PC builds, read from Product.specifications.
+// Specification keys match regardless of case and separators, so
+// memoryType, memory_type and "Memory Type" are the same key:
+//   every part:  partType (the slot it fills, see BuildItem)
+//   cpu:         socket, tdp (W)
+//   motherboard: socket, memoryType, formFactor
+//   ram:         memoryType
+//   gpu:         tdp (W), length (mm), recommendedPsu (W)
+//   psu:         wattage (W)
+//   case:        formFactor (largest board it takes) or formFactors (list),
+//                maxGpuLength (mm)
+
+// Watts drawn by everything but the CPU and GPU: board, memory, drives, fans
+const BASE_SYSTEM_WATTS = parseInt(process.env.BUILD_BASE_SYSTEM_WATTS, 10) || 100;
+// Spare PSU capacity below which a build gets a warning, in percent
+const PSU_HEADROOM_PERCENT = parseFloat(process.env.BUILD_PSU_HEADROOM_PERCENT) || 20;
+
+// Motherboard form factors from smallest to largest, with common spellings
+const FORM_FACTORS = ['mini-itx', 'micro-atx', 'atx', 'e-atx'];
+const FORM_FACTOR_ALIASES = {
+  itx: 'mini-itx',
+  miniitx: 'mini-itx',
+  matx: 'micro-atx',
+  microatx: 'micro-atx',
+  uatx: 'micro-atx',
+  atx: 'atx',
+  eatx: 'e-atx',
+  extendedatx: 'e-atx'
+};
+
+const compactKey = key => String(key).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Read a specification, ignoring case and separators in its key
+ * @param {Object} specifications
+ * @param {string} key
+ * @returns {*} - The value, or null when missing or empty
+ */
+const getSpec = (specifications, key) => {
+  const wanted = compactKey(key);
+  const entry = Object.entries(specifications || {}).find(([name]) => compactKey(name) === wanted);
+  return entry && entry[1] !== '' && entry[1] !== null ? entry[1] : null;
+};
+
+/**
+ * Read the leading number of a specification, so '750W' and 750 are 750
+ * @param {*} value
+ * @returns {number|null}
+ */
+const readNumber = (value) => {
+  const match = value === null ? null : String(value).match(/^\s*(\d+(\.\d+)?)/);
+  return match ? parseFloat(match[1]) : null;
+};
+
+/**
+ * Compare text specifications such as sockets, ignoring case and spacing
+ * @param {*} value
+ * @returns {string|null}
+ */
+const readText = value => (value === null ? null : compactKey(value) || null);
+
+/**
+ * Read a motherboard form factor in its canonical spelling
+ * @param {*} value
+ * @returns {string|null}
+ */
+const readFormFactor = value => (value === null ? null : FORM_FACTOR_ALIASES[compactKey(value)] || null);
+
+/**
+ * Form factors a case takes: its formFactors list, or its formFactor and
+ * every smaller one
+ * @param {Object} specifications
+ * @returns {string[]}
+ */
+const getCaseFormFactors = (specifications) => {
+  const list = getSpec(specifications, 'formFactors');
+  if (list !== null) {
+    return (Array.isArray(list) ? list : String(list).split(','))
+      .map(readFormFactor)
+      .filter(Boolean);
+  }
+
+  const largest = readFormFactor(getSpec(specifications, 'formFactor'));
+  return largest ? FORM_FACTORS.slice(0, FORM_FACTORS.indexOf(largest) + 1) : [];
+};
+
+/**
+ * Result for a rule that cannot be checked because a product does not list
+ * a specification
+ * @param {Object} check - { rule, label, slots }
+ * @param {Object} part - The build item missing it
+ * @param {string} key - Specification key
+ * @returns {Object}
+ */
+const unknown = (check, part, key) => ({
+  ...check,
+  status: 'unknown',
+  message: `${part.product.name} does not list its ${key}`
+});
+
+/**
+ * Estimated power draw of the build's parts
+ * @param {Object} parts - Build items keyed by slot
+ * @returns {number}
+ */
+const estimateWattage = (parts) => {
+  const cpuWatts = parts.cpu ? readNumber(getSpec(parts.cpu.getSpecifications(), 'tdp')) || 0 : 0;
+  const gpuWatts = parts.gpu ? readNumber(getSpec(parts.gpu.getSpecifications(), 'tdp')) || 0 : 0;
+  return BASE_SYSTEM_WATTS + cpuWatts + gpuWatts;
+};
+
+// Each rule returns null when the build lacks a slot it needs
+const RULES = [
+  // CPU socket must match the motherboard's
+  ({ cpu, motherboard }) => {
+    if (!cpu || !motherboard) return null;
+    const check = { rule: 'socket', label: 'CPU socket', slots: ['cpu', 'motherboard'] };
+
+    const cpuSocket = getSpec(cpu.getSpecifications(), 'socket');
+    const boardSocket = getSpec(motherboard.getSpecifications(), 'socket');
+    if (cpuSocket === null) return unknown(check, cpu, 'socket');
+    if (boardSocket === null) return unknown(check, motherboard, 'socket');
+
+    return readText(cpuSocket) === readText(boardSocket)
+      ? { ...check, status: 'pass', message: `Both use ${boardSocket}` }
+      : { ...check, status: 'fail', message: `${cpu.product.name} is ${cpuSocket} but the motherboard is ${boardSocket}` };
+  },
+
+  // Memory must be the type the motherboard takes
+  ({ ram, motherboard }) => {
+    if (!ram || !motherboard) return null;
+    const check = { rule: 'memoryType', label: 'Memory type', slots: ['ram', 'motherboard'] };
+
+    const ramType = getSpec(ram.getSpecifications(), 'memoryType');
+    const boardType = getSpec(motherboard.getSpecifications(), 'memoryType');
+    if (ramType === null) return unknown(check, ram, 'memory type');
+    if (boardType === null) return unknown(check, motherboard, 'memory type');
+
+    return readText(ramType) === readText(boardType)
+      ? { ...check, status: 'pass', message: `Both use ${boardType}` }
+      : { ...check, status: 'fail', message: `${ram.product.name} is ${ramType} but the motherboard takes ${boardType}` };
+  },
+
+  // The case must take the motherboard's form factor
+  ({ motherboard, case: pcCase }) => {
+    if (!motherboard || !pcCase) return null;
+    const check = { rule: 'formFactor', label: 'Form factor', slots: ['motherboard', 'case'] };
+
+    const boardFormFactor = getSpec(motherboard.getSpecifications(), 'formFactor');
+    const caseFormFactors = getCaseFormFactors(pcCase.getSpecifications());
+    if (!readFormFactor(boardFormFactor)) return unknown(check, motherboard, 'form factor');
+    if (caseFormFactors.length === 0) return unknown(check, pcCase, 'form factor');
+
+    return caseFormFactors.includes(readFormFactor(boardFormFactor))
+      ? { ...check, status: 'pass', message: `The case takes ${boardFormFactor} boards` }
+      : { ...check, status: 'fail', message: `${pcCase.product.name} does not take ${boardFormFactor} boards` };
+  },
+
+  // The PSU must cover the estimated draw, with headroom to spare
+  (parts) => {
+    const { psu, gpu } = parts;
+    if (!psu || (!parts.cpu && !gpu)) return null;
+    const check = {
+      rule: 'wattage',
+      label: 'Power supply wattage',
+      slots: ['psu', 'cpu', 'gpu'].filter(slot => parts[slot])
+    };
+
+    const wattage = readNumber(getSpec(psu.getSpecifications(), 'wattage'));
+    if (wattage === null) return unknown(check, psu, 'wattage');
+
+    const draw = estimateWattage(parts);
+    const recommended = gpu ? readNumber(getSpec(gpu.getSpecifications(), 'recommendedPsu')) : null;
+
+    if (wattage < draw) {
+      return { ...check, status: 'fail', message: `${wattage}W is below the estimated ${draw}W draw` };
+    }
+    if (recommended && wattage < recommended) {
+      return { ...check, status: 'warning', message: `${gpu.product.name} recommends at least a ${recommended}W power supply` };
+    }
+    if (wattage < draw * (1 + PSU_HEADROOM_PERCENT / 100)) {
+      return { ...check, status: 'warning', message: `${wattage}W leaves less than ${PSU_HEADROOM_PERCENT}% headroom over the estimated ${draw}W draw` };
+    }
+    return { ...check, status: 'pass', message: `${wattage}W covers the estimated ${draw}W draw` };
+  },
+
+  // The graphics card must fit in the case
+  ({ gpu, case: pcCase }) => {
+    if (!gpu || !pcCase) return null;
+    const check = { rule: 'gpuLength', label: 'Graphics card length', slots: ['gpu', 'case'] };
+
+    const length = readNumber(getSpec(gpu.getSpecifications(), 'length'));
+    const maxLength = readNumber(getSpec(pcCase.getSpecifications(), 'maxGpuLength'));
+    if (length === null) return unknown(check, gpu, 'length');
+    if (maxLength === null) return unknown(check, pcCase, 'maximum graphics card length');
+
+    return length <= maxLength
+      ? { ...check, status: 'pass', message: `${length}mm fits the case's ${maxLength}mm limit` }
+      : { ...check, status: 'fail', message: `${length}mm is longer than the case's ${maxLength}mm limit` };
+  }
+];
+
+/**
+ * Check a build's parts against each other. Rules only run once both of
+ * their slots are filled; a rule whose specifications are missing is
+ * reported as unknown rather than failed.
+ * @param {Array} items - BuildItems with their products and variants
+ * @param {Object} slots - BuildItem.SLOTS
+ * @returns {Object} - { compatible, complete, missingSlots, estimatedWattage, checks }
+ */
+const checkCompatibility = (items, slots) => {
+  const parts = {};
+  (items || []).forEach((item) => {
+    if (item.product && !parts[item.slot]) {
+      parts[item.slot] = item;
+    }
+  });
+
+  const checks = RULES.map(rule => rule(parts)).filter(Boolean);
+  const missingSlots = Object.keys(slots).filter(slot => slots[slot].required && !parts[slot]);
+
+  return {
+    compatible: checks.every(check => check.status !== 'fail'),
+    complete: missingSlots.length === 0,
+    missingSlots,
+    estimatedWattage: estimateWattage(parts),
+    checks
+  };
+};
+
+module.exports = {
+  FORM_FACTORS,
+  checkCompatibility,
+  estimateWattage,
+  getSpec
+};
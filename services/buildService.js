@@ -0,0 +1,77 @@
+const db = require('../models');
+const { checkCompatibility } = require('./buildCompatibilityService');
+
+const buildError = (message, statusCode = 400, problems = []) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.problems = problems;
+  return error;
+};
+
+class BuildService {
+  // Serialize a build with its current price and compatibility report.
+  // Shared builds leave out who made them.
+  describe(build, { shared = false } = {}) {
+    const { userId, shareToken, ...fields } = build.toJSON();
+
+    return {
+      build: {
+        ...fields,
+        ...(!shared && { userId, shareToken, shareUrl: build.getShareUrl() }),
+        total: Math.round(build.calculateTotal() * 100) / 100
+      },
+      compatibility: checkCompatibility(build.items, db.BuildItem.SLOTS)
+    };
+  }
+
+  // Add every part of a build to a cart in one go. Nothing is added unless
+  // the parts are compatible and all of them are available; otherwise the
+  // error lists what stands in the way.
+  async addToCart(build, owner) {
+    const { Cart } = db;
+    const items = build.items || [];
+
+    if (items.length === 0) {
+      throw buildError('This build has no parts yet');
+    }
+
+    const { compatible, checks } = checkCompatibility(items, db.BuildItem.SLOTS);
+    if (!compatible) {
+      throw buildError(
+        'Some parts of this build are not compatible',
+        400,
+        checks.filter(check => check.status === 'fail').map(check => check.message)
+      );
+    }
+
+    return db.sequelize.transaction(async (transaction) => {
+      const problems = [];
+
+      for (const item of items) {
+        const { product } = item;
+        const unit = item.getStockUnit();
+
+        if (!product || !product.isActive || !unit || (item.variantId && !unit.isActive)) {
+          problems.push(`${product ? product.name : 'A part'} is no longer available`);
+          continue;
+        }
+
+        // Units held by other shoppers' checkouts cannot be added
+        const available = await unit.getAvailableStock({ excludeUserId: owner.userId, transaction });
+        if (available < item.quantity) {
+          problems.push(`Only ${available} of ${product.name} available in stock`);
+        }
+      }
+
+      if (problems.length > 0) {
+        throw buildError('Some parts of this build cannot be added to the cart', 400, problems);
+      }
+
+      for (const item of items) {
+        await Cart.addItem(owner, item.productId, item.quantity, item.variantId, { transaction });
+      }
+    });
+  }
+}
+
+module.exports = new BuildService();
@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const db = require('../models');
+const emailService = require('./emailService');
+
+// Hours a cart must sit untouched before it counts as abandoned
+const ABANDONED_AFTER_HOURS = parseFloat(process.env.ABANDONED_CART_AFTER_HOURS) || 24;
+// Carts reminded per run, so one run never floods the mail server
+const BATCH_SIZE = parseInt(process.env.ABANDONED_CART_BATCH_SIZE, 10) || 100;
+// Percentage off for the single-use recovery coupon; unset to send no coupon
+const COUPON_PERCENT = parseFloat(process.env.ABANDONED_CART_COUPON_PERCENT) || 0;
+const COUPON_VALID_DAYS = parseInt(process.env.ABANDONED_CART_COUPON_VALID_DAYS, 10) || 7;
+
+class CartRecoveryService {
+  // Signed-in users' carts with items that have not changed for the
+  // threshold and have not been reminded since they last changed
+  async findAbandonedCarts({ olderThanHours = ABANDONED_AFTER_HOURS, limit = BATCH_SIZE } = {}) {
+    const { Cart, CartItem, Coupon, Product, User } = db;
+    const cutoff = new Date(Date.now() - olderThanHours * 60 * 60 * 1000);
+
+    const carts = await Cart.findAll({
+      where: {
+        userId: { [Op.ne]: null },
+        updated_at: { [Op.lt]: cutoff },
+        // Skip carts already reminded since they last changed
+        [Op.and]: db.sequelize.literal(
+          'NOT EXISTS (SELECT 1 FROM cart_recoveries AS recovery ' +
+          'WHERE recovery.cart_id = "Cart".id AND recovery.sent_at >= "Cart".updated_at)'
+        )
+      },
+      include: [
+        {
+          model: CartItem,
+          as: 'items',
+          where: { savedForLater: false },
+          include: [{ model: Product, as: 'product' }]
+        },
+        {
+          model: Coupon,
+          as: 'coupon'
+        },
+        {
+          model: User,
+          as: 'user',
+          attributes: ['id', 'name', 'email']
+        }
+      ],
+      order: [['updated_at', 'ASC']]
+    });
+
+    return carts
+      .filter(cart => cart.user && cart.user.email)
+      .slice(0, limit);
+  }
+
+  // Create a single-use percentage coupon for a recovery email
+  async createRecoveryCoupon() {
+    const endDate = new Date(Date.now() + COUPON_VALID_DAYS * 24 * 60 * 60 * 1000);
+
+    return db.Coupon.create({
+      code: `COMEBACK-${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+      description: 'Abandoned cart recovery',
+      discountType: 'percentage',
+      discountValue: COUPON_PERCENT,
+      startDate: new Date(),
+      endDate,
+      usageLimit: 1,
+      perUserLimit: 1
+    });
+  }
+
+  // Email one abandoned cart's owner a link that restores it
+  async sendReminder(cart) {
+    const { CartRecovery } = db;
+    const coupon = COUPON_PERCENT > 0 ? await this.createRecoveryCoupon() : null;
+    const { recovery, token } = await CartRecovery.createForCart(cart, {
+      couponId: coupon ? coupon.id : null,
+      cartValue: cart.getPricing().total
+    });
+
+    try {
+      await emailService.sendAbandonedCartReminder(cart.user, {
+        items: cart.items,
+        restoreUrl: `${process.env.CLIENT_URL}/cart/restore?token=${token}`,
+        coupon
+      });
+    } catch (error) {
+      // Leave nothing behind so the next run can try again
+      await recovery.destroy();
+      if (coupon) {
+        await coupon.destroy();
+      }
+      throw error;
+    }
+
+    return recovery.update({ sentAt: new Date() });
+  }
+
+  // Find abandoned carts and remind their owners. One failed email does not
+  // stop the rest of the batch.
+  async run(options = {}) {
+    const carts = await this.findAbandonedCarts(options);
+    let sent = 0;
+    let failed = 0;
+
+    for (const cart of carts) {
+      try {
+        await this.sendReminder(cart);
+        sent++;
+      } catch (error) {
+        failed++;
+        console.error(`Abandoned cart reminder failed for cart ${cart.id}:`, error.message);
+      }
+    }
+
+    return { found: carts.length, sent, failed };
+  }
+
+  // Restore an abandoned cart from its reminder link: record the click and
+  // apply the recovery coupon if it is still usable
+  async restore(token, userId) {
+    const { Cart, Coupon, CartRecovery } = db;
+    const recovery = await CartRecovery.findByToken(token);
+
+    if (!recovery || !recovery.cartId) {
+      const error = new Error('This cart link is invalid or has expired');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    if (recovery.userId !== userId) {
+      const error = new Error('This cart link belongs to a different account');
+      error.statusCode = 403;
+      throw error;
+    }
+
+    if (!recovery.restoredAt) {
+      await recovery.update({ restoredAt: new Date() });
+    }
+
+    if (recovery.couponId) {
+      const coupon = await Coupon.findByPk(recovery.couponId);
+      if (coupon) {
+        try {
+          return await Cart.applyCoupon(userId, coupon.code);
+        } catch (error) {
+          // An expired or used coupon should not stop the cart coming back
+          console.error('Recovery coupon not applied:', error.message);
+        }
+      }
+    }
+
+    return Cart.getUserCart(userId);
+  }
+}
+
+module.exports = new CartRecoveryService();
@@ -0,0 +1,196 @@
+const db = require('../models');
+
+const MIN_PRODUCTS = 2;
+const MAX_PRODUCTS = 4;
+
+// A specification value that is only a number and an optional unit, e.g.
+// '16GB', '15.6 in' or 8. Specs without a definition are compared as numbers
+// when every product's value looks like this with the same unit.
+const NUMBER_WITH_UNIT = /^(-?\d+(?:\.\d+)?)\s*([^\d\s.-][^\d]*)?$/;
+
+const comparisonError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// 'screen_size' and 'screenSize' both read as 'Screen size'
+const humanize = (key) => {
+  const words = key
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/[_-]+/g, ' ')
+    .trim()
+    .toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+// Key two values are considered equal by; text compares regardless of case
+const sameValueKey = value => (typeof value === 'string' ? value.toLowerCase() : JSON.stringify(value));
+
+// Read specification values that have no definition: as numbers with a
+// shared unit when they all allow it, otherwise as text
+const readUndefinedValues = (rawValues) => {
+  const text = rawValues.map((raw) => {
+    if (raw === undefined || raw === null || raw === '') {
+      return null;
+    }
+    return typeof raw === 'object' ? JSON.stringify(raw) : String(raw).trim();
+  });
+
+  const present = text.filter(value => value !== null);
+  const matches = present.map(value => value.match(NUMBER_WITH_UNIT));
+  const units = new Set(matches.map(match => match && (match[2] || '').trim().toLowerCase()));
+
+  if (matches.length > 0 && matches.every(Boolean) && units.size === 1) {
+    const [match] = matches;
+    return {
+      type: 'number',
+      unit: match[2] ? match[2].trim() : null,
+      values: text.map(value => (value === null ? null : parseFloat(value)))
+    };
+  }
+
+  return { type: 'text', unit: null, values: text };
+};
+
+class ComparisonService {
+  // Build a row of the matrix. Rows are flagged when the products differ,
+  // and number rows with a preferred direction name the best products by
+  // their position in the comparison.
+  buildRow({ key, label, group, type, unit = null, prefer = null }, values) {
+    const differs = new Set(values.map(sameValueKey)).size > 1;
+    const numbers = values.filter(value => typeof value === 'number');
+
+    let best = null;
+    if (type === 'number' && prefer && differs && numbers.length > 1) {
+      const target = prefer === 'higher' ? Math.max(...numbers) : Math.min(...numbers);
+      best = values.reduce((indexes, value, index) => (
+        value === target ? [...indexes, index] : indexes
+      ), []);
+    }
+
+    return { key, label, group, type, unit, prefer, values, differs, best };
+  }
+
+  // Rows for every specification any of the products has. Defined
+  // attributes come first in their display order, then the rest as found.
+  buildSpecificationRows(products, definitions) {
+    const keys = [];
+    products.forEach((product) => {
+      Object.keys(product.specifications || {}).forEach((key) => {
+        if (!keys.includes(key)) {
+          keys.push(key);
+        }
+      });
+    });
+
+    const definitionsByKey = new Map(definitions.map(definition => [definition.key, definition]));
+    const definedKeys = definitions.map(definition => definition.key).filter(key => keys.includes(key));
+    const otherKeys = keys.filter(key => !definitionsByKey.has(key));
+
+    return [...definedKeys, ...otherKeys].map((key) => {
+      const rawValues = products.map(product => (product.specifications || {})[key]);
+      const definition = definitionsByKey.get(key);
+
+      if (definition) {
+        return this.buildRow({
+          key,
+          label: definition.label,
+          group: 'specifications',
+          type: definition.type,
+          unit: definition.unit,
+          prefer: definition.prefer
+        }, rawValues.map(raw => definition.readValue(raw)));
+      }
+
+      const { type, unit, values } = readUndefinedValues(rawValues);
+      return this.buildRow({ key, label: humanize(key), group: 'specifications', type, unit }, values);
+    });
+  }
+
+  // One yes/no row per feature any of the products lists
+  buildFeatureRows(products) {
+    const features = new Map();
+    products.forEach((product) => {
+      (product.features || []).forEach((feature) => {
+        const key = feature.trim().toLowerCase();
+        if (key && !features.has(key)) {
+          features.set(key, feature.trim());
+        }
+      });
+    });
+
+    return [...features].map(([key, label]) => this.buildRow(
+      { key, label, group: 'features', type: 'boolean' },
+      products.map(product => (product.features || []).some(feature => feature.trim().toLowerCase() === key))
+    ));
+  }
+
+  // Compare 2 to 4 products from the same category side by side. Values in
+  // each row are in the order the ids were given.
+  async compare(ids) {
+    const { Product, ProductImage, CategoryAttribute } = db;
+    const uniqueIds = [...new Set(ids)];
+
+    if (uniqueIds.length < MIN_PRODUCTS || uniqueIds.length > MAX_PRODUCTS) {
+      throw comparisonError(`Compare between ${MIN_PRODUCTS} and ${MAX_PRODUCTS} different products`);
+    }
+
+    const found = await Product.findAll({ where: { id: uniqueIds, isActive: true } });
+    const productsById = new Map(found.map(product => [product.id, product]));
+
+    const missing = uniqueIds.filter(id => !productsById.has(id));
+    if (missing.length > 0) {
+      throw comparisonError(`Products not found: ${missing.join(', ')}`, 404);
+    }
+
+    const products = uniqueIds.map(id => productsById.get(id));
+    const categories = [...new Set(products.map(product => product.category))];
+    if (categories.length > 1) {
+      throw comparisonError('Only products in the same category can be compared');
+    }
+
+    const [category] = categories;
+    const [definitions, thumbnails] = await Promise.all([
+      CategoryAttribute.getForCategory(category),
+      ProductImage.getPrimaryThumbnails(uniqueIds)
+    ]);
+
+    const toNumber = value => (value === null || value === undefined ? null : parseFloat(value));
+
+    return {
+      category,
+      products: products.map(product => ({
+        id: product.id,
+        name: product.name,
+        brand: product.brand,
+        model: product.model,
+        price: toNumber(product.price),
+        originalPrice: toNumber(product.originalPrice),
+        discount: product.discount,
+        ratingsAverage: product.ratingsAverage,
+        ratingsCount: product.ratingsCount,
+        inStock: product.stock > 0,
+        image: thumbnails.get(product.id) || null
+      })),
+      rows: [
+        this.buildRow(
+          { key: 'price', label: 'Price', group: 'overview', type: 'number', prefer: 'lower' },
+          products.map(product => toNumber(product.price))
+        ),
+        this.buildRow(
+          { key: 'warranty', label: 'Warranty', group: 'overview', type: 'number', unit: 'months', prefer: 'higher' },
+          products.map(product => product.warranty || 0)
+        ),
+        this.buildRow(
+          { key: 'rating', label: 'Rating', group: 'overview', type: 'number', prefer: 'higher' },
+          products.map(product => (product.ratingsCount > 0 ? product.ratingsAverage : null))
+        ),
+        ...this.buildSpecificationRows(products, definitions),
+        ...this.buildFeatureRows(products)
+      ]
+    };
+  }
+}
+
+module.exports = new ComparisonService();
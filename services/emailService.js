@@ -212,12 +212,12 @@ class EmailService {
               <h3 style="color: #333; margin: 0 0 15px 0; font-size: 18px;">Order Details</h3>
               <p style="margin: 5px 0;"><strong>Order Number:</strong> ${order.orderNumber}</p>
               <p style="margin: 5px 0;"><strong>Order Date:</strong> ${new Date(order.createdAt).toLocaleDateString()}</p>
-              <p style="margin: 5px 0;"><strong>Total Amount:</strong> ₹${order.total.toFixed(2)}</p>
+              <p style="margin: 5px 0;"><strong>Total Amount:</strong> ₹${Number(order.totalPrice).toFixed(2)}</p>
               <p style="margin: 5px 0;"><strong>Payment Status:</strong> ${order.paymentStatus}</p>
             </div>
 
             <div style="text-align: center; margin: 30px 0;">
-              <a href="${process.env.CLIENT_URL}/orders/${order._id}"
+              <a href="${process.env.CLIENT_URL}/orders/${order.orderNumber}"
                  style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
                         color: white;
                         padding: 15px 30px;
@@ -246,6 +246,121 @@ class EmailService {
       throw new Error('Failed to send order confirmation email');
     }
   }
+
+  // Send the GST tax invoice as a PDF attachment
+  async sendInvoice(order, user, { invoiceNumber, pdf }) {
+    const mailOptions = {
+      from: `"Unitech Computers" <${process.env.EMAIL_USER}>`,
+      to: user.email,
+      subject: `Tax Invoice ${invoiceNumber} for Order ${order.orderNumber}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+            <h1 style="color: white; margin: 0; font-size: 28px;">Your Order Has Shipped!</h1>
+          </div>
+
+          <div style="background: #ffffff; padding: 30px; border: 1px solid #e0e0e0; border-radius: 0 0 10px 10px;">
+            <h2 style="color: #333; margin-bottom: 20px;">Hi ${user.name},</h2>
+
+            <p style="color: #666; font-size: 16px; line-height: 1.6; margin-bottom: 25px;">
+              Your order ${order.orderNumber} is on its way. The tax invoice for your order is attached to this email.
+            </p>
+
+            <div style="background: #f8f9fa; padding: 20px; border-radius: 5px; margin-bottom: 25px;">
+              <p style="margin: 5px 0;"><strong>Invoice Number:</strong> ${invoiceNumber}</p>
+              <p style="margin: 5px 0;"><strong>Order Number:</strong> ${order.orderNumber}</p>
+              ${order.trackingNumber ? `<p style="margin: 5px 0;"><strong>Tracking Number:</strong> ${order.trackingNumber}</p>` : ''}
+              <p style="margin: 5px 0;"><strong>Total Amount:</strong> ₹${Number(order.totalPrice).toFixed(2)}</p>
+            </div>
+
+            <p style="color: #666; font-size: 14px; line-height: 1.6;">
+              You can also download the invoice at any time from your order details.
+            </p>
+          </div>
+        </div>
+      `,
+      attachments: [
+        {
+          filename: `${invoiceNumber.replace(/\//g, '-')}.pdf`,
+          content: pdf,
+          contentType: 'application/pdf'
+        }
+      ]
+    };
+
+    try {
+      await this.transporter.sendMail(mailOptions);
+      console.log(`Invoice ${invoiceNumber} sent to ${user.email} for order ${order.orderNumber}`);
+    } catch (error) {
+      console.error('Error sending invoice email:', error);
+      throw new Error('Failed to send invoice email');
+    }
+  }
+
+  // Remind a shopper about the items left in their cart, with a link that
+  // restores it and an optional single-use coupon
+  async sendAbandonedCartReminder(user, { items, restoreUrl, coupon }) {
+    const itemRows = items.map(item => `
+              <p style="margin: 5px 0;">${item.product ? item.product.name : 'Item'} &times; ${item.quantity} &mdash; ₹${(Number(item.price) * item.quantity).toFixed(2)}</p>`).join('');
+
+    const couponBlock = coupon ? `
+            <div style="background: #fff8e1; padding: 20px; border-radius: 5px; margin-bottom: 25px; text-align: center;">
+              <p style="margin: 0 0 10px 0; color: #333;">Take ${Number(coupon.discountValue)}% off with this code:</p>
+              <p style="margin: 0; font-size: 22px; font-weight: bold; letter-spacing: 2px; color: #333;">${coupon.code}</p>
+              ${coupon.endDate ? `<p style="margin: 10px 0 0 0; color: #999; font-size: 13px;">Valid once until ${new Date(coupon.endDate).toLocaleDateString()}</p>` : ''}
+            </div>` : '';
+
+    const mailOptions = {
+      from: `"Unitech Computers" <${process.env.EMAIL_USER}>`,
+      to: user.email,
+      subject: 'You left something in your cart',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+            <h1 style="color: white; margin: 0; font-size: 28px;">Still Thinking It Over?</h1>
+          </div>
+
+          <div style="background: #ffffff; padding: 30px; border: 1px solid #e0e0e0; border-radius: 0 0 10px 10px;">
+            <h2 style="color: #333; margin-bottom: 20px;">Hi ${user.name},</h2>
+
+            <p style="color: #666; font-size: 16px; line-height: 1.6; margin-bottom: 25px;">
+              You left these items in your cart. They're still waiting for you, but stock is limited.
+            </p>
+
+            <div style="background: #f8f9fa; padding: 20px; border-radius: 5px; margin-bottom: 25px;">
+              <h3 style="color: #333; margin: 0 0 15px 0; font-size: 18px;">Your Cart</h3>${itemRows}
+            </div>
+${couponBlock}
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${restoreUrl}"
+                 style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+                        color: white;
+                        padding: 15px 30px;
+                        text-decoration: none;
+                        border-radius: 5px;
+                        font-weight: bold;
+                        display: inline-block;
+                        font-size: 16px;">
+                Return to My Cart
+              </a>
+            </div>
+
+            <p style="color: #999; font-size: 14px; line-height: 1.6;">
+              If you've already placed your order, you can ignore this email.
+            </p>
+          </div>
+        </div>
+      `
+    };
+
+    try {
+      await this.transporter.sendMail(mailOptions);
+      console.log(`Abandoned cart reminder sent to ${user.email}`);
+    } catch (error) {
+      console.error('Error sending abandoned cart reminder:', error);
+      throw new Error('Failed to send abandoned cart reminder');
+    }
+  }
 }
 
 module.exports = new EmailService();
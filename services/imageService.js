@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { getStorage } = require('./storage');
+
+/**
+ * Sizes that can be generated for an uploaded image. Images are scaled to
+ * fit inside the box without cropping and are never enlarged.
+ */
+const IMAGE_SIZES = {
+  thumbnail: { width: 200, height: 200 },
+  medium: { width: 800, height: 800 }
+};
+
+// Formats sharp must detect in the file itself, whatever the upload claimed
+const IMAGE_FORMATS = {
+  jpeg: { ext: '.jpg', contentType: 'image/jpeg' },
+  png: { ext: '.png', contentType: 'image/png' },
+  webp: { ext: '.webp', contentType: 'image/webp' }
+};
+
+const imageError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Delete stored images, logging rather than throwing on failure so cleanup
+ * never hides the error that triggered it.
+ *
+ * @param {string[]} keys - Storage keys
+ * @returns {Promise<void>}
+ */
+const removeImages = async (keys) => {
+  const storage = getStorage();
+
+  await Promise.all(keys.filter(Boolean).map(async (key) => {
+    try {
+      await storage.remove(key);
+    } catch (error) {
+      console.error(`Failed to delete ${key}:`, error.message);
+    }
+  }));
+};
+
+/**
+ * Check an uploaded file really is a JPEG, PNG or WebP image and store it,
+ * along with a resized copy for each requested size, in the given folder.
+ * Copies are keyed `<name>-<size><ext>` next to the original.
+ *
+ * @param {string} folder - Storage folder, e.g. 'products'
+ * @param {Buffer} buffer - Uploaded file contents
+ * @param {Object} [options]
+ * @param {string[]} [options.sizes] - Names from IMAGE_SIZES to generate
+ * @returns {Promise<Object<string, string>>} Storage keys: `original` plus one per size
+ */
+const saveImage = async (folder, buffer, { sizes = [] } = {}) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    throw imageError('The uploaded file is not a valid image');
+  }
+
+  const format = IMAGE_FORMATS[metadata.format];
+  if (!format) {
+    throw imageError('Only JPEG, PNG and WebP images are allowed');
+  }
+
+  const storage = getStorage();
+  const name = `${folder}/${Date.now()}-${crypto.randomBytes(8).toString('hex')}`;
+  const keys = { original: `${name}${format.ext}` };
+
+  try {
+    await storage.put(keys.original, buffer, { contentType: format.contentType });
+
+    for (const size of sizes) {
+      const { width, height } = IMAGE_SIZES[size];
+      const resized = await sharp(buffer)
+        .rotate()
+        .resize(width, height, { fit: 'inside', withoutEnlargement: true })
+        .toBuffer();
+
+      keys[size] = `${name}-${size}${format.ext}`;
+      await storage.put(keys[size], resized, { contentType: format.contentType });
+    }
+  } catch (error) {
+    await removeImages(Object.values(keys));
+    throw error;
+  }
+
+  return keys;
+};
+
+module.exports = {
+  IMAGE_SIZES,
+  saveImage,
+  removeImages
+};
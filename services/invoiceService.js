@@ -0,0 +1,334 @@
+const PDFDocument = require('pdfkit');
+const db = require('../models');
+const { getState } = require('../utils/gstStates');
+
+// Orders only get an invoice once payment has confirmed them
+const INVOICEABLE_STATUSES = [
+  'confirmed', 'processing', 'shipped', 'out_for_delivery',
+  'delivered', 'returned', 'refunded'
+];
+
+const TAX_FIELDS = ['cgst', 'sgst', 'utgst', 'igst'];
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+const formatAmount = (value) => `Rs. ${(parseFloat(value) || 0).toFixed(2)}`;
+
+const invoiceError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Seller details printed on every document
+const getSeller = () => ({
+  name: process.env.SELLER_NAME || 'Unitech Computers',
+  gstin: process.env.SELLER_GSTIN || null,
+  address: process.env.SELLER_ADDRESS || null
+});
+
+// Sum line values into HSN-wise and document totals
+const summarize = (lines, shipping) => {
+  const sum = (field) => roundCurrency(lines.reduce((total, line) => total + line[field], 0));
+  const hsnSummary = Object.values(lines.reduce((groups, line) => {
+    const key = `${line.hsnCode || '-'}@${line.gstRate}`;
+    const group = groups[key] || (groups[key] = {
+      hsnCode: line.hsnCode,
+      gstRate: line.gstRate,
+      taxableValue: 0,
+      cgst: 0,
+      sgst: 0,
+      utgst: 0,
+      igst: 0,
+      taxAmount: 0
+    });
+
+    for (const field of ['taxableValue', ...TAX_FIELDS, 'taxAmount']) {
+      group[field] = roundCurrency(group[field] + line[field]);
+    }
+    return groups;
+  }, {}));
+
+  const taxableValue = sum('taxableValue');
+  const taxAmount = sum('taxAmount');
+
+  return {
+    discount: sum('discount'),
+    taxableValue,
+    cgst: sum('cgst'),
+    sgst: sum('sgst'),
+    utgst: sum('utgst'),
+    igst: sum('igst'),
+    taxAmount,
+    shipping: roundCurrency(shipping),
+    total: roundCurrency(taxableValue + taxAmount + shipping),
+    hsnSummary
+  };
+};
+
+class InvoiceService {
+  constructor() {
+    this.INVOICEABLE_STATUSES = INVOICEABLE_STATUSES;
+  }
+
+  // Return the tax invoice for an order, issuing it on first request so the
+  // number series only advances for orders that actually need one
+  async getOrIssueInvoice(order, options = {}) {
+    if (!options.transaction) {
+      return db.sequelize.transaction(transaction =>
+        this.getOrIssueInvoice(order, { ...options, transaction })
+      );
+    }
+
+    const { Order, OrderItem, Invoice } = db;
+    const { transaction } = options;
+
+    if (!INVOICEABLE_STATUSES.includes(order.status)) {
+      throw invoiceError(`No invoice is available for a ${order.status} order`);
+    }
+
+    // Lock the order so concurrent requests cannot issue two invoices
+    await Order.findByPk(order.id, { lock: transaction.LOCK.UPDATE, transaction });
+
+    const existing = await Invoice.findOne({
+      where: { orderId: order.id, type: 'invoice' },
+      transaction
+    });
+
+    if (existing) {
+      return existing;
+    }
+
+    const orderItems = await OrderItem.findAll({
+      where: { orderId: order.id },
+      order: [['created_at', 'ASC']],
+      transaction
+    });
+
+    const lines = orderItems.map((item) => {
+      const grossValue = roundCurrency(parseFloat(item.price) * item.quantity);
+      // Orders placed before per-line tax only have the gross line value
+      const taxableValue = parseFloat(item.taxableValue) || grossValue;
+
+      return {
+        orderItemId: item.id,
+        description: item.getDescription(),
+        hsnCode: item.hsnCode,
+        quantity: item.quantity,
+        unitPrice: parseFloat(item.price),
+        discount: parseFloat(item.discount) || 0,
+        taxableValue,
+        gstRate: parseFloat(item.gstRate) || 0,
+        cgst: parseFloat(item.cgst) || 0,
+        sgst: parseFloat(item.sgst) || 0,
+        utgst: parseFloat(item.utgst) || 0,
+        igst: parseFloat(item.igst) || 0,
+        taxAmount: parseFloat(item.taxAmount) || 0
+      };
+    });
+
+    return Invoice.create({
+      type: 'invoice',
+      orderId: order.id,
+      seller: getSeller(),
+      buyer: await this.getBuyer(order, { transaction }),
+      lines,
+      totals: summarize(lines, parseFloat(order.shipping) || 0)
+    }, { transaction });
+  }
+
+  // Issue a credit note for a refund. Each refunded line reverses its share
+  // of the original taxable value and GST.
+  async issueCreditNote(order, refund, options = {}) {
+    const { OrderItem, Invoice } = db;
+    const { transaction } = options;
+
+    const orderItems = await OrderItem.findAll({
+      where: { orderId: order.id },
+      transaction
+    });
+    const orderItemsById = new Map(orderItems.map(item => [item.id, item]));
+
+    const lines = (refund.items || []).map(({ orderItemId, quantity, amount }) => {
+      const item = orderItemsById.get(orderItemId);
+      const share = quantity / item.quantity;
+      const scale = (value) => roundCurrency((parseFloat(value) || 0) * share);
+      const taxAmount = scale(item.taxAmount);
+
+      return {
+        orderItemId,
+        description: item.getDescription(),
+        hsnCode: item.hsnCode,
+        quantity,
+        unitPrice: parseFloat(item.price),
+        discount: scale(item.discount),
+        // Lines without per-line tax were refunded at a gross amount
+        taxableValue: parseFloat(item.taxableValue) ? scale(item.taxableValue) : roundCurrency(amount - taxAmount),
+        gstRate: parseFloat(item.gstRate) || 0,
+        cgst: scale(item.cgst),
+        sgst: scale(item.sgst),
+        utgst: scale(item.utgst),
+        igst: scale(item.igst),
+        taxAmount
+      };
+    });
+
+    const originalInvoice = await Invoice.findOne({
+      where: { orderId: order.id, type: 'invoice' },
+      transaction
+    });
+
+    return Invoice.create({
+      type: 'credit_note',
+      orderId: order.id,
+      refundId: refund.id,
+      seller: getSeller(),
+      buyer: {
+        ...(await this.getBuyer(order, { transaction })),
+        originalInvoiceNumber: originalInvoice ? originalInvoice.invoiceNumber : null
+      },
+      lines,
+      totals: summarize(lines, parseFloat(refund.shippingAmount) || 0)
+    }, { transaction });
+  }
+
+  // Buyer name, GSTIN and billing address as printed on the document
+  async getBuyer(order, options = {}) {
+    const { User, ShippingAddress } = db;
+    const user = await User.findByPk(order.userId, {
+      attributes: ['name', 'email'],
+      transaction: options.transaction
+    });
+    const addresses = await ShippingAddress.findAll({
+      where: { orderId: order.id },
+      transaction: options.transaction
+    });
+
+    const address = addresses.find(entry => entry.addressType === 'billing') ||
+      addresses.find(entry => entry.addressType === 'shipping');
+    const placeOfSupply = order.taxBreakdown && order.taxBreakdown.placeOfSupply;
+    const state = placeOfSupply ? getState(placeOfSupply) : null;
+
+    return {
+      name: user ? user.name : null,
+      email: user ? user.email : null,
+      gstin: order.buyerGstin || null,
+      address: address
+        ? [address.street, address.city, address.state, address.pincode, address.country].filter(Boolean).join(', ')
+        : null,
+      placeOfSupply: state ? `${state.name} (${placeOfSupply})` : null
+    };
+  }
+
+  // Render an invoice or credit note as a PDF buffer
+  renderPdf(invoice, order) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A4', margin: 40 });
+      const chunks = [];
+
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      const { seller, buyer, lines, totals } = invoice;
+      const isCreditNote = invoice.type === 'credit_note';
+
+      doc.fontSize(18).text(isCreditNote ? 'Credit Note' : 'Tax Invoice', { align: 'center' });
+      doc.moveDown();
+
+      doc.fontSize(11).text(seller.name);
+      doc.fontSize(9);
+      if (seller.address) doc.text(seller.address);
+      if (seller.gstin) doc.text(`GSTIN: ${seller.gstin}`);
+      doc.moveDown();
+
+      doc.text(`${isCreditNote ? 'Credit Note' : 'Invoice'} No: ${invoice.invoiceNumber}`);
+      doc.text(`Date: ${new Date(invoice.issuedAt).toLocaleDateString('en-IN')}`);
+      doc.text(`Order No: ${order.orderNumber}`);
+      if (buyer.originalInvoiceNumber) doc.text(`Against Invoice: ${buyer.originalInvoiceNumber}`);
+      doc.moveDown();
+
+      doc.fontSize(10).text('Bill To');
+      doc.fontSize(9);
+      if (buyer.name) doc.text(buyer.name);
+      if (buyer.address) doc.text(buyer.address);
+      if (buyer.gstin) doc.text(`GSTIN: ${buyer.gstin}`);
+      if (buyer.placeOfSupply) doc.text(`Place of Supply: ${buyer.placeOfSupply}`);
+      doc.moveDown();
+
+      const columns = [
+        { label: 'Item', width: 150 },
+        { label: 'HSN', width: 50 },
+        { label: 'Qty', width: 30 },
+        { label: 'Rate', width: 65 },
+        { label: 'Discount', width: 55 },
+        { label: 'Taxable', width: 65 },
+        { label: 'GST %', width: 35 },
+        { label: 'Tax', width: 60 }
+      ];
+      const drawRow = (values) => {
+        const y = doc.y;
+        let x = doc.page.margins.left;
+        let height = 0;
+
+        values.forEach((value, index) => {
+          const options = { width: columns[index].width - 4 };
+          doc.text(String(value), x, y, options);
+          height = Math.max(height, doc.heightOfString(String(value), options));
+          x += columns[index].width;
+        });
+
+        doc.x = doc.page.margins.left;
+        doc.y = y + height + 4;
+      };
+
+      doc.fontSize(8);
+      drawRow(columns.map(column => column.label));
+      for (const line of lines) {
+        drawRow([
+          line.description,
+          line.hsnCode || '-',
+          line.quantity,
+          line.unitPrice.toFixed(2),
+          line.discount.toFixed(2),
+          line.taxableValue.toFixed(2),
+          line.gstRate,
+          line.taxAmount.toFixed(2)
+        ]);
+      }
+      doc.moveDown();
+
+      doc.fontSize(10).text('HSN Summary');
+      doc.fontSize(8);
+      for (const group of totals.hsnSummary || []) {
+        const split = TAX_FIELDS
+          .filter(field => group[field] > 0)
+          .map(field => `${field.toUpperCase()} ${group[field].toFixed(2)}`)
+          .join(', ');
+        doc.text(`HSN ${group.hsnCode || '-'} @ ${group.gstRate}%: taxable ${group.taxableValue.toFixed(2)}` +
+          (split ? `, ${split}` : `, GST ${group.taxAmount.toFixed(2)}`));
+      }
+      doc.moveDown();
+
+      doc.fontSize(9);
+      doc.text(`Taxable Value: ${formatAmount(totals.taxableValue)}`, { align: 'right' });
+      for (const field of TAX_FIELDS) {
+        if (totals[field] > 0) {
+          doc.text(`${field.toUpperCase()}: ${formatAmount(totals[field])}`, { align: 'right' });
+        }
+      }
+      if (!TAX_FIELDS.some(field => totals[field] > 0)) {
+        doc.text(`GST: ${formatAmount(totals.taxAmount)}`, { align: 'right' });
+      }
+      doc.text(`Shipping: ${formatAmount(totals.shipping)}`, { align: 'right' });
+      doc.fontSize(11).text(`${isCreditNote ? 'Total Credit' : 'Total'}: ${formatAmount(totals.total)}`, { align: 'right' });
+
+      doc.moveDown(2);
+      doc.fontSize(8).text('This is a computer generated document and does not require a signature.', { align: 'center' });
+
+      doc.end();
+    });
+  }
+}
+
+module.exports = new InvoiceService();
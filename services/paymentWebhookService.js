@@ -0,0 +1,94 @@
+const db = require('../models');
+const { getProvider } = require('./payments');
+const refundService = require('./refundService');
+
+class PaymentWebhookService {
+  constructor() {
+    this.handlers = {
+      'payment.succeeded': this.handlePaymentSucceeded,
+      'payment.failed': this.handlePaymentFailed,
+      'refund.updated': this.handleRefundUpdated,
+      'dispute.updated': this.handleDisputeUpdated
+    };
+  }
+
+  // Verify a delivery with the provider's signature scheme and return the
+  // normalized event. Throws if the signature does not match.
+  parseEvent(providerName, rawBody, headers) {
+    return getProvider(providerName).parseWebhook(rawBody, headers);
+  }
+
+  // Apply a verified event to its order. Redelivered events are recorded
+  // once and skipped, so gateway retries never double-apply an update.
+  async handleEvent(providerName, event) {
+    const handler = this.handlers[event.type];
+
+    return db.sequelize.transaction(async (transaction) => {
+      const { event: record, created } = await db.PaymentEvent.record(providerName, {
+        id: event.id,
+        type: event.type,
+        payload: event.raw
+      }, { transaction });
+
+      if (!created && record.processedAt) {
+        return { status: 'duplicate', eventId: event.id };
+      }
+
+      if (!handler) {
+        await record.update({ processedAt: new Date() }, { transaction });
+        return { status: 'ignored', eventId: event.id };
+      }
+
+      const order = await db.Order.findByPaymentReference(providerName, event.reference, {
+        orderId: event.orderId,
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      if (order) {
+        await handler.call(this, order, event, transaction);
+      }
+
+      await record.update({
+        orderId: order ? order.id : null,
+        processedAt: new Date()
+      }, { transaction });
+
+      return { status: order ? 'processed' : 'unmatched', eventId: event.id };
+    });
+  }
+
+  async handlePaymentSucceeded(order, event, transaction) {
+    await order.markPaymentSucceeded(event.paymentId, {
+      comment: `Payment received via ${order.paymentProvider}`,
+      transaction
+    });
+  }
+
+  async handlePaymentFailed(order, event, transaction) {
+    if (order.paymentStatus === 'pending') {
+      await order.update({ paymentStatus: 'failed' }, { transaction });
+    }
+  }
+
+  // The order's refunded amount comes from its refunds, so the event is
+  // applied as a refund rather than written onto the order
+  async handleRefundUpdated(order, event, transaction) {
+    if (!event.refund) {
+      return;
+    }
+
+    await refundService.applyGatewayRefund(order, event.refund, { transaction });
+  }
+
+  async handleDisputeUpdated(order, event, transaction) {
+    const updates = { disputeStatus: event.disputeStatus };
+    if (event.disputeStatus === 'lost') {
+      updates.paymentStatus = 'refunded';
+    }
+
+    await order.update(updates, { transaction });
+  }
+}
+
+module.exports = new PaymentWebhookService();
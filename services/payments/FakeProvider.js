@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+const PaymentProvider = require('./PaymentProvider');
+
+// In-process provider for tests and local development. Payments live in
+// memory; confirmPayment resolves to `payload.outcome` or the provider's
+// default outcome, and webhooks are already-normalized JSON events signed
+// with an HMAC in the x-fake-signature header. Only available when
+// FAKE_PAYMENTS_ENABLED=true; see services/payments/index.js.
+class FakeProvider extends PaymentProvider {
+  constructor({
+    webhookSecret = process.env.FAKE_PAYMENT_WEBHOOK_SECRET,
+    outcome = 'succeeded'
+  } = {}) {
+    super('fake');
+
+    // A known default secret would let anyone sign webhooks
+    if (!webhookSecret) {
+      throw new Error('FAKE_PAYMENT_WEBHOOK_SECRET is required for the fake payment provider');
+    }
+    this.webhookSecret = webhookSecret;
+    this.outcome = outcome;
+    this.reset();
+  }
+
+  // Forget all payments and refunds
+  reset() {
+    this.payments = new Map();
+    this.refunds = [];
+    this.counter = 0;
+  }
+
+  // Change what confirmPayment returns when the payload does not say
+  setOutcome(outcome) {
+    this.outcome = outcome;
+  }
+
+  async createPayment({ order, amount, currency = 'INR', paymentMethod }) {
+    this.counter += 1;
+    const reference = `fake_ref_${this.counter}`;
+
+    this.payments.set(reference, {
+      reference,
+      paymentId: `fake_pay_${this.counter}`,
+      orderId: order.id,
+      amount: parseFloat(amount),
+      amountRefunded: 0,
+      currency,
+      paymentMethod,
+      status: 'pending'
+    });
+
+    return {
+      reference,
+      status: 'pending',
+      clientData: { fake: true }
+    };
+  }
+
+  async confirmPayment({ reference, payload = {} }) {
+    const payment = this.payments.get(reference);
+    if (!payment) {
+      return { paymentId: undefined, status: 'failed' };
+    }
+
+    payment.status = payload.outcome || this.outcome;
+    return { paymentId: payment.paymentId, status: payment.status };
+  }
+
+  async refund({ paymentId, amount, reason, idempotencyKey }) {
+    const previous = idempotencyKey && this.refunds.find(item => item.idempotencyKey === idempotencyKey);
+    if (previous) {
+      return { refundId: previous.refundId, amount: previous.amount, status: previous.status };
+    }
+
+    const payment = [...this.payments.values()].find(item => item.paymentId === paymentId);
+    if (!payment) {
+      throw new Error('Payment not found');
+    }
+
+    const refundAmount = amount !== undefined
+      ? parseFloat(amount)
+      : payment.amount - payment.amountRefunded;
+
+    if (refundAmount <= 0 || payment.amountRefunded + refundAmount > payment.amount) {
+      throw new Error('Refund amount exceeds captured amount');
+    }
+
+    payment.amountRefunded += refundAmount;
+    const refund = {
+      refundId: `fake_refund_${this.refunds.length + 1}`,
+      paymentId,
+      amount: refundAmount,
+      reason,
+      idempotencyKey,
+      status: 'processed'
+    };
+    this.refunds.push(refund);
+
+    return { refundId: refund.refundId, amount: refund.amount, status: refund.status };
+  }
+
+  parseWebhook(rawBody, headers) {
+    const body = rawBody.toString();
+    const expected = this.signWebhookPayload(body)['x-fake-signature'];
+
+    if (headers['x-fake-signature'] !== expected) {
+      throw new Error('Invalid fake webhook signature');
+    }
+
+    const event = JSON.parse(body);
+    return { ...event, raw: event };
+  }
+
+  signWebhookPayload(payload) {
+    const body = typeof payload === 'string' ? payload : JSON.stringify(payload);
+
+    return {
+      'x-fake-signature': crypto
+        .createHmac('sha256', this.webhookSecret)
+        .update(body)
+        .digest('hex')
+    };
+  }
+}
+
+module.exports = FakeProvider;
@@ -0,0 +1,58 @@
+// Base class for payment gateway adapters.
+//
+// `reference` is the gateway's handle for the checkout (Stripe PaymentIntent,
+// Razorpay order) and is stored on orders.payment_reference. `paymentId` is
+// the captured payment that refunds are issued against.
+//
+// Every adapter works in rupees at its boundary and returns plain objects:
+//   createPayment  -> { reference, status, clientData }
+//   confirmPayment -> { paymentId, status }            status: succeeded | failed | pending
+//   refund         -> { refundId, amount, status }
+//   parseWebhook   -> { id, type, paymentId, orderId, ... } (normalized event)
+//
+// Normalized webhook events carry `reference` and/or `orderId` so the order
+// can be found. 'refund.updated' events also carry
+// `refund: { id, amount, status, idempotencyKey }` for a single refund, with
+// the idempotencyKey it was created with, if any. Event types are 'payment.succeeded', 'payment.failed',
+// 'refund.updated' and 'dispute.updated'. Anything else comes back with the
+// provider's own type and is recorded but not applied.
+class PaymentProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  // Start a payment for an order and return what the client needs to finish it
+  async createPayment({ order, amount, currency, paymentMethod, customer }) {
+    throw new Error(`${this.name} provider does not implement createPayment`);
+  }
+
+  // Check with the gateway whether a payment has gone through
+  async confirmPayment({ reference, payload }) {
+    throw new Error(`${this.name} provider does not implement confirmPayment`);
+  }
+
+  // Refund all or part of a captured payment. Calls with the same
+  // idempotencyKey must refund at most once.
+  async refund({ paymentId, amount, reason, idempotencyKey }) {
+    throw new Error(`${this.name} provider does not implement refund`);
+  }
+
+  // Verify a webhook delivery and turn it into a normalized event.
+  // Throws if the signature does not match.
+  parseWebhook(rawBody, headers) {
+    throw new Error(`${this.name} provider does not implement parseWebhook`);
+  }
+
+  // Produce signed headers for a local fixture payload
+  signWebhookPayload(payload) {
+    throw new Error(`${this.name} provider does not implement signWebhookPayload`);
+  }
+}
+
+// Convert a rupee amount to the smallest currency unit (paise)
+PaymentProvider.toMinorUnits = (amount) => Math.round(parseFloat(amount) * 100);
+
+// Convert paise back to rupees
+PaymentProvider.fromMinorUnits = (amount) => Math.round(amount) / 100;
+
+module.exports = PaymentProvider;
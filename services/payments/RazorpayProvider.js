@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+const Razorpay = require('razorpay');
+const PaymentProvider = require('./PaymentProvider');
+
+// Razorpay payment statuses mapped onto ours. 'authorized' payments are
+// captured automatically by the account's capture settings.
+const PAYMENT_STATUSES = {
+  captured: 'succeeded',
+  failed: 'failed'
+};
+
+class RazorpayProvider extends PaymentProvider {
+  constructor({
+    keyId = process.env.RAZORPAY_KEY_ID,
+    keySecret = process.env.RAZORPAY_KEY_SECRET,
+    webhookSecret = process.env.RAZORPAY_WEBHOOK_SECRET
+  } = {}) {
+    super('razorpay');
+    this.keyId = keyId;
+    this.keySecret = keySecret;
+    this.webhookSecret = webhookSecret;
+    this.client = keyId && keySecret
+      ? new Razorpay({ key_id: keyId, key_secret: keySecret })
+      : null;
+  }
+
+  getClient() {
+    if (!this.client) {
+      throw new Error('Razorpay credentials are not configured');
+    }
+    return this.client;
+  }
+
+  async createPayment({ order, amount, currency = 'INR', paymentMethod }) {
+    const razorpayOrder = await this.getClient().orders.create({
+      amount: PaymentProvider.toMinorUnits(amount),
+      currency,
+      receipt: order.orderNumber,
+      notes: { orderId: order.id }
+    });
+
+    return {
+      reference: razorpayOrder.id,
+      status: 'pending',
+      clientData: {
+        keyId: this.keyId,
+        razorpayOrderId: razorpayOrder.id,
+        amount: razorpayOrder.amount,
+        currency: razorpayOrder.currency,
+        method: paymentMethod
+      }
+    };
+  }
+
+  // The checkout returns razorpay_payment_id and razorpay_signature; the
+  // signature is an HMAC of "<order id>|<payment id>" with the key secret
+  async confirmPayment({ reference, payload = {} }) {
+    const paymentId = payload.razorpay_payment_id;
+    const signature = payload.razorpay_signature;
+
+    if (!paymentId || !signature) {
+      return { paymentId, status: 'failed' };
+    }
+
+    const expected = crypto
+      .createHmac('sha256', this.keySecret)
+      .update(`${reference}|${paymentId}`)
+      .digest('hex');
+
+    if (!safeEqual(expected, signature)) {
+      return { paymentId, status: 'failed' };
+    }
+
+    const payment = await this.getClient().payments.fetch(paymentId);
+
+    return {
+      paymentId: payment.id,
+      status: PAYMENT_STATUSES[payment.status] || 'pending'
+    };
+  }
+
+  async refund({ paymentId, amount, reason, idempotencyKey }) {
+    const client = this.getClient();
+
+    // Razorpay has no idempotency header; the key is sent as the refund
+    // receipt and a retry returns the refund already made with it
+    let refund;
+    if (idempotencyKey) {
+      const existing = await client.payments.fetchMultipleRefund(paymentId, { count: 100 });
+      refund = existing.items.find(item => item.receipt === idempotencyKey);
+    }
+
+    if (!refund) {
+      refund = await client.payments.refund(paymentId, {
+        ...(amount !== undefined && { amount: PaymentProvider.toMinorUnits(amount) }),
+        ...(idempotencyKey && { receipt: idempotencyKey }),
+        notes: reason ? { reason } : {}
+      });
+    }
+
+    return {
+      refundId: refund.id,
+      amount: PaymentProvider.fromMinorUnits(refund.amount),
+      status: refund.status
+    };
+  }
+
+  parseWebhook(rawBody, headers) {
+    const body = rawBody.toString();
+
+    if (!Razorpay.validateWebhookSignature(body, headers['x-razorpay-signature'], this.webhookSecret)) {
+      throw new Error('Invalid Razorpay webhook signature');
+    }
+
+    const event = JSON.parse(body);
+    const payment = event.payload.payment ? event.payload.payment.entity : {};
+    const normalized = {
+      id: headers['x-razorpay-event-id'] || `${event.event}:${event.created_at}:${payment.id}`,
+      type: event.event,
+      reference: payment.order_id,
+      paymentId: payment.id,
+      orderId: payment.notes ? payment.notes.orderId : undefined,
+      raw: event
+    };
+
+    switch (event.event) {
+      case 'payment.captured':
+        return { ...normalized, type: 'payment.succeeded' };
+      case 'payment.failed':
+        return { ...normalized, type: 'payment.failed' };
+      case 'refund.processed':
+      case 'refund.failed': {
+        const refund = event.payload.refund.entity;
+        return {
+          ...normalized,
+          type: 'refund.updated',
+          refund: {
+            id: refund.id,
+            amount: PaymentProvider.fromMinorUnits(refund.amount),
+            status: refund.status,
+            idempotencyKey: refund.receipt || undefined
+          }
+        };
+      }
+      default:
+        if (event.event.startsWith('payment.dispute.')) {
+          return {
+            ...normalized,
+            type: 'dispute.updated',
+            disputeStatus: event.payload.dispute.entity.status
+          };
+        }
+        return normalized;
+    }
+  }
+
+  signWebhookPayload(payload) {
+    const body = typeof payload === 'string' ? payload : JSON.stringify(payload);
+
+    return {
+      'x-razorpay-signature': crypto
+        .createHmac('sha256', this.webhookSecret)
+        .update(body)
+        .digest('hex')
+    };
+  }
+}
+
+// Constant-time comparison of two hex strings
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+module.exports = RazorpayProvider;
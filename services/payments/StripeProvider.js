@@ -0,0 +1,128 @@
+const Stripe = require('stripe');
+const PaymentProvider = require('./PaymentProvider');
+
+const PAYMENT_STATUSES = {
+  succeeded: 'succeeded',
+  canceled: 'failed',
+  requires_payment_method: 'failed'
+};
+
+const REFUND_STATUSES = {
+  succeeded: 'processed',
+  canceled: 'failed'
+};
+
+class StripeProvider extends PaymentProvider {
+  constructor({
+    secretKey = process.env.STRIPE_SECRET_KEY,
+    webhookSecret = process.env.STRIPE_WEBHOOK_SECRET
+  } = {}) {
+    super('stripe');
+    this.stripe = Stripe(secretKey);
+    this.webhookSecret = webhookSecret;
+  }
+
+  async createPayment({ order, amount, currency = 'INR', customer }) {
+    const paymentIntent = await this.stripe.paymentIntents.create({
+      amount: PaymentProvider.toMinorUnits(amount),
+      currency: currency.toLowerCase(),
+      metadata: {
+        orderId: order.id,
+        orderNumber: order.orderNumber,
+        userId: customer ? customer.id : undefined
+      }
+    }, {
+      // Retrying an order's payment reuses its PaymentIntent
+      idempotencyKey: `order-${order.id}-payment`
+    });
+
+    return {
+      reference: paymentIntent.id,
+      status: 'pending',
+      clientData: { clientSecret: paymentIntent.client_secret }
+    };
+  }
+
+  async confirmPayment({ reference }) {
+    const paymentIntent = await this.stripe.paymentIntents.retrieve(reference);
+
+    return {
+      paymentId: paymentIntent.id,
+      status: PAYMENT_STATUSES[paymentIntent.status] || 'pending'
+    };
+  }
+
+  async refund({ paymentId, amount, reason, idempotencyKey }) {
+    const refund = await this.stripe.refunds.create({
+      payment_intent: paymentId,
+      ...(amount !== undefined && { amount: PaymentProvider.toMinorUnits(amount) }),
+      // Refund events only carry the key back through metadata
+      metadata: {
+        ...(reason && { reason }),
+        ...(idempotencyKey && { idempotencyKey })
+      }
+    }, idempotencyKey ? { idempotencyKey } : undefined);
+
+    return {
+      refundId: refund.id,
+      amount: PaymentProvider.fromMinorUnits(refund.amount),
+      status: REFUND_STATUSES[refund.status] || refund.status
+    };
+  }
+
+  parseWebhook(rawBody, headers) {
+    const event = this.stripe.webhooks.constructEvent(
+      rawBody,
+      headers['stripe-signature'],
+      this.webhookSecret
+    );
+    const object = event.data.object;
+    const paymentIntentId = event.type.startsWith('payment_intent.')
+      ? object.id
+      : object.payment_intent;
+    const normalized = {
+      id: event.id,
+      type: event.type,
+      reference: paymentIntentId,
+      paymentId: paymentIntentId,
+      orderId: object.metadata ? object.metadata.orderId : undefined,
+      raw: event
+    };
+
+    switch (event.type) {
+      case 'payment_intent.succeeded':
+        return { ...normalized, type: 'payment.succeeded' };
+      case 'payment_intent.payment_failed':
+        return { ...normalized, type: 'payment.failed' };
+      case 'refund.created':
+      case 'refund.updated':
+        return {
+          ...normalized,
+          type: 'refund.updated',
+          refund: {
+            id: object.id,
+            amount: PaymentProvider.fromMinorUnits(object.amount),
+            status: REFUND_STATUSES[object.status] || object.status,
+            idempotencyKey: object.metadata ? object.metadata.idempotencyKey : undefined
+          }
+        };
+      case 'charge.dispute.created':
+      case 'charge.dispute.updated':
+      case 'charge.dispute.closed':
+        return { ...normalized, type: 'dispute.updated', disputeStatus: object.status };
+      default:
+        return normalized;
+    }
+  }
+
+  signWebhookPayload(payload) {
+    return {
+      'stripe-signature': this.stripe.webhooks.generateTestHeaderString({
+        payload: typeof payload === 'string' ? payload : JSON.stringify(payload),
+        secret: this.webhookSecret
+      })
+    };
+  }
+}
+
+module.exports = StripeProvider;
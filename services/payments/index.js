@@ -0,0 +1,94 @@
+const StripeProvider = require('./StripeProvider');
+const RazorpayProvider = require('./RazorpayProvider');
+const FakeProvider = require('./FakeProvider');
+
+// Which gateway handles each checkout payment method. COD needs none.
+const METHOD_PROVIDERS = {
+  card: 'stripe',
+  upi: 'razorpay',
+  netbanking: 'razorpay',
+  wallet: 'razorpay'
+};
+
+const factories = {
+  stripe: () => new StripeProvider(),
+  razorpay: () => new RazorpayProvider(),
+  fake: () => new FakeProvider()
+};
+
+const providers = {};
+
+/**
+ * Whether the fake provider may be used. It marks orders paid on request,
+ * so it must be switched on explicitly (FAKE_PAYMENTS_ENABLED=true, e.g. in
+ * tests) and never runs in production.
+ * @returns {boolean}
+ */
+const isFakeEnabled = () =>
+  process.env.FAKE_PAYMENTS_ENABLED === 'true' && process.env.NODE_ENV !== 'production';
+
+/**
+ * Names of the providers whose webhooks are accepted
+ * @returns {string[]}
+ */
+const getWebhookProviders = () => [
+  ...new Set(Object.values(METHOD_PROVIDERS)),
+  ...(isFakeEnabled() ? ['fake'] : [])
+];
+
+/**
+ * Get a payment provider by name, creating it on first use
+ * @param {string} name - Provider name (stripe, razorpay, fake)
+ * @returns {PaymentProvider}
+ */
+const getProvider = (name) => {
+  if (name === 'fake' && !isFakeEnabled()) {
+    throw new Error('The fake payment provider is not enabled');
+  }
+
+  if (!providers[name]) {
+    if (!factories[name]) {
+      throw new Error(`Unknown payment provider: ${name}`);
+    }
+    providers[name] = factories[name]();
+  }
+
+  return providers[name];
+};
+
+/**
+ * Get the provider that should take payment for a checkout method.
+ * PAYMENT_PROVIDER overrides the mapping (e.g. 'fake' in tests).
+ * @param {string} paymentMethod - card, upi, netbanking, wallet or cod
+ * @returns {PaymentProvider|null} - null when no online payment is needed
+ */
+const getProviderForMethod = (paymentMethod) => {
+  if (paymentMethod === 'cod') {
+    return null;
+  }
+
+  const name = process.env.PAYMENT_PROVIDER || METHOD_PROVIDERS[paymentMethod];
+  if (!name) {
+    throw new Error(`No payment provider for method: ${paymentMethod}`);
+  }
+
+  return getProvider(name);
+};
+
+/**
+ * Replace a provider instance, e.g. with a preconfigured FakeProvider in tests
+ * @param {string} name - Provider name
+ * @param {PaymentProvider} provider - Provider instance
+ */
+const registerProvider = (name, provider) => {
+  providers[name] = provider;
+};
+
+module.exports = {
+  getProvider,
+  getProviderForMethod,
+  getWebhookProviders,
+  isFakeEnabled,
+  registerProvider,
+  METHOD_PROVIDERS
+};
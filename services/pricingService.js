@@ -0,0 +1,182 @@
+const { getStateCode, getState } = require('../utils/gstStates');
+
+// GST slabs a product can be assigned
+const GST_RATES = [0, 0.25, 3, 5, 12, 18, 28];
+const DEFAULT_GST_RATE = 18;
+
+const FREE_SHIPPING_THRESHOLD = 1000;
+const FLAT_SHIPPING_CHARGE = 100;
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+/**
+ * State code the seller ships from, taken from SELLER_GSTIN or SELLER_STATE
+ * @returns {string|null}
+ */
+const getSellerStateCode = () =>
+  getStateCode(process.env.SELLER_GSTIN) || getStateCode(process.env.SELLER_STATE);
+
+/**
+ * Check that the seller's state is configured. Without it GST cannot be
+ * split into CGST/SGST/UTGST or IGST, so the server refuses to start.
+ * @throws {Error} When neither SELLER_GSTIN nor SELLER_STATE resolves to a state
+ */
+const assertSellerConfigured = () => {
+  if (!getSellerStateCode()) {
+    throw new Error('SELLER_GSTIN or SELLER_STATE must be set to a valid GSTIN or state');
+  }
+};
+
+/**
+ * Split GST on a taxable value. Intra-state supplies pay half as CGST and
+ * half as SGST (UTGST in union territories); inter-state supplies pay IGST.
+ * When the buyer's state is not known yet only the total is returned.
+ * @param {number} taxableValue - Value after discounts
+ * @param {number} gstRate - GST rate in percent
+ * @param {string|null} buyerStateCode - Place of supply
+ * @returns {Object} - { cgst, sgst, utgst, igst, taxAmount }
+ */
+const calculateGst = (taxableValue, gstRate, buyerStateCode) => {
+  const taxAmount = roundCurrency(taxableValue * (gstRate / 100));
+  const split = { cgst: 0, sgst: 0, utgst: 0, igst: 0, taxAmount };
+  const sellerStateCode = getSellerStateCode();
+
+  if (!buyerStateCode || !sellerStateCode) {
+    return split;
+  }
+
+  if (buyerStateCode !== sellerStateCode) {
+    return { ...split, igst: taxAmount };
+  }
+
+  const centralShare = roundCurrency(taxAmount / 2);
+  const stateShare = roundCurrency(taxAmount - centralShare);
+  const state = getState(buyerStateCode);
+
+  return {
+    ...split,
+    cgst: centralShare,
+    ...(state && state.unionTerritory ? { utgst: stateShare } : { sgst: stateShare })
+  };
+};
+
+/**
+ * Work out the coupon discount for a subtotal
+ * @param {number} subtotal
+ * @param {Object|null} coupon - { type: 'percentage'|'fixed', value, maxDiscount }
+ * @returns {number}
+ */
+const calculateDiscount = (subtotal, coupon) => {
+  if (!coupon || !coupon.value) return 0;
+
+  let discount = coupon.type === 'percentage'
+    ? subtotal * (parseFloat(coupon.value) / 100)
+    : parseFloat(coupon.value);
+
+  if (coupon.maxDiscount) {
+    discount = Math.min(discount, parseFloat(coupon.maxDiscount));
+  }
+
+  return roundCurrency(Math.min(subtotal, discount));
+};
+
+/**
+ * Flat shipping estimate for an order subtotal, used until a delivery
+ * pincode is known
+ * @param {number} subtotal
+ * @returns {number}
+ */
+const calculateShipping = (subtotal) =>
+  subtotal === 0 || subtotal > FREE_SHIPPING_THRESHOLD ? 0 : FLAT_SHIPPING_CHARGE;
+
+/**
+ * Price a set of lines. This is the single source of truth for cart and
+ * order totals: prices are GST-exclusive, the coupon discount is spread
+ * across the lines it applies to in proportion to their value, and GST is
+ * charged per line on the discounted value at the product's rate.
+ * @param {Object} params
+ * @param {Array} params.lines - [{ productId, name, unitPrice, quantity, hsnCode, gstRate }]
+ * @param {Object|null} params.coupon - See calculateDiscount, plus optional
+ *   productIds to restrict the discount to those products
+ * @param {string|null} params.shippingState - Buyer state name, code or GSTIN
+ * @param {number|null} params.shipping - Shipping quoted for the delivery
+ *   pincode; falls back to the flat estimate from calculateShipping
+ * @returns {Object} - { lines, subtotal, discount, tax, taxBreakdown, shipping, total }
+ */
+const priceLines = ({ lines, coupon = null, shippingState = null, shipping: quotedShipping = null }) => {
+  const buyerStateCode = getStateCode(shippingState);
+  const sellerStateCode = getSellerStateCode();
+
+  const lineSubtotals = lines.map(line => roundCurrency(parseFloat(line.unitPrice) * line.quantity));
+  const subtotal = roundCurrency(lineSubtotals.reduce((total, value) => total + value, 0));
+
+  const isDiscounted = (line) =>
+    Boolean(coupon) && (!coupon.productIds || coupon.productIds.includes(line.productId));
+  const discountedIndexes = lines.map((line, index) => index).filter(index => isDiscounted(lines[index]));
+  const discountedSubtotal = roundCurrency(discountedIndexes.reduce((total, index) =>
+    total + lineSubtotals[index], 0));
+  const discount = calculateDiscount(discountedSubtotal, coupon);
+  const lastDiscountedIndex = discountedIndexes[discountedIndexes.length - 1];
+
+  let discountLeft = discount;
+  const pricedLines = lines.map((line, index) => {
+    const lineSubtotal = lineSubtotals[index];
+    let lineDiscount = 0;
+
+    if (isDiscounted(line)) {
+      // The last discounted line takes whatever is left so rounding never drifts
+      lineDiscount = index === lastDiscountedIndex
+        ? discountLeft
+        : roundCurrency(discountedSubtotal > 0 ? discount * (lineSubtotal / discountedSubtotal) : 0);
+      discountLeft = roundCurrency(discountLeft - lineDiscount);
+    }
+
+    const gstRate = line.gstRate !== undefined && line.gstRate !== null
+      ? parseFloat(line.gstRate)
+      : DEFAULT_GST_RATE;
+    const taxableValue = roundCurrency(lineSubtotal - lineDiscount);
+
+    return {
+      ...line,
+      lineSubtotal,
+      discount: lineDiscount,
+      taxableValue,
+      gstRate,
+      ...calculateGst(taxableValue, gstRate, buyerStateCode)
+    };
+  });
+
+  const sum = (field) => roundCurrency(pricedLines.reduce((total, line) => total + line[field], 0));
+  const tax = sum('taxAmount');
+  const shipping = quotedShipping !== null ? roundCurrency(quotedShipping) : calculateShipping(subtotal);
+
+  return {
+    lines: pricedLines,
+    subtotal,
+    discount,
+    tax,
+    taxBreakdown: {
+      supplyType: buyerStateCode && sellerStateCode
+        ? (buyerStateCode === sellerStateCode ? 'intra_state' : 'inter_state')
+        : null,
+      placeOfSupply: buyerStateCode,
+      cgst: sum('cgst'),
+      sgst: sum('sgst'),
+      utgst: sum('utgst'),
+      igst: sum('igst')
+    },
+    shipping,
+    total: roundCurrency(subtotal - discount + tax + shipping)
+  };
+};
+
+module.exports = {
+  GST_RATES,
+  DEFAULT_GST_RATE,
+  assertSellerConfigured,
+  calculateGst,
+  calculateDiscount,
+  calculateShipping,
+  priceLines,
+  roundCurrency
+};
@@ -0,0 +1,335 @@
+const { Op } = require('sequelize');
+const db = require('../models');
+const { getProvider } = require('./payments');
+const invoiceService = require('./invoiceService');
+
+const REFUNDABLE_PAYMENT_STATUSES = ['completed', 'partially_refunded'];
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+// Refunds are sent to the gateway with this key, so gateway events can name
+// the refund they belong to
+const IDEMPOTENCY_KEY_PREFIX = 'refund-';
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const getIdempotencyKey = (refund) => `${IDEMPOTENCY_KEY_PREFIX}${refund.id}`;
+
+const getRefundIdFromKey = (key) => {
+  const refundId = key && key.startsWith(IDEMPOTENCY_KEY_PREFIX) ? key.slice(IDEMPOTENCY_KEY_PREFIX.length) : null;
+  return refundId && UUID_PATTERN.test(refundId) ? refundId : null;
+};
+
+const refundError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+class RefundService {
+  // Refund an order through its original payment provider.
+  //
+  // items: [{ orderItemId, quantity }] to refund selected lines; omit to
+  //        refund everything that has not been refunded yet
+  // refundShipping: also refund the (remaining) shipping charge
+  //
+  // The refund is saved as pending and committed before the gateway is
+  // called, then settled once the gateway accepts it. If the gateway call
+  // fails the refund stays pending and can be retried with submitRefund.
+  async refundOrder(orderId, options = {}) {
+    const refund = await this.recordRefund(orderId, options);
+    return this.submitRefund(refund.id);
+  }
+
+  // Save a pending refund and hold its amount and quantities against the
+  // order. Each line is refunded at its discounted value plus the GST
+  // charged on it. Older orders without per-line tax fall back to the unit
+  // price plus the line's share of order tax less its share of order
+  // discount. Pass a transaction to record the refund as part of a larger
+  // unit of work; submit it once that has committed.
+  async recordRefund(orderId, options = {}) {
+    if (!options.transaction) {
+      return db.sequelize.transaction(transaction =>
+        this.recordRefund(orderId, { ...options, transaction })
+      );
+    }
+
+    const { Order, OrderItem, Refund } = db;
+    const {
+      items,
+      refundShipping = false,
+      reason = null,
+      actorId = null,
+      transaction
+    } = options;
+
+    const order = await Order.findByPk(orderId, {
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+
+    if (!order) {
+      throw refundError('Order not found', 404);
+    }
+
+    if (!REFUNDABLE_PAYMENT_STATUSES.includes(order.paymentStatus)) {
+      throw refundError('Order has no captured payment to refund');
+    }
+
+    if (!order.paymentProvider || !order.paymentId) {
+      throw refundError('Order was not paid through a payment provider');
+    }
+
+    const orderItems = await OrderItem.findAll({
+      where: { orderId: order.id },
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+    const orderItemsById = new Map(orderItems.map(item => [item.id, item]));
+
+    // Pending refunds are not in refundedQuantity or refundedAmount yet
+    const pendingRefunds = await Refund.findAll({
+      where: { orderId: order.id, providerRefundId: null },
+      transaction
+    });
+    const pendingQuantities = new Map();
+    pendingRefunds.forEach(refund => (refund.items || []).forEach(({ orderItemId, quantity }) => {
+      pendingQuantities.set(orderItemId, (pendingQuantities.get(orderItemId) || 0) + quantity);
+    }));
+    const pendingAmount = pendingRefunds.reduce((total, refund) => total + parseFloat(refund.amount), 0);
+
+    const refundableQuantityOf = item =>
+      item.quantity - item.refundedQuantity - (pendingQuantities.get(item.id) || 0);
+
+    const requestedItems = items || orderItems
+      .filter(item => refundableQuantityOf(item) > 0)
+      .map(item => ({ orderItemId: item.id, quantity: refundableQuantityOf(item) }));
+    const shouldRefundShipping = items ? refundShipping : true;
+
+    const subtotal = parseFloat(order.subtotal) || 0;
+    const adjustments = (parseFloat(order.tax) || 0) - (parseFloat(order.discount) || 0);
+
+    const refundedItems = requestedItems.map(({ orderItemId, quantity }) => {
+      const orderItem = orderItemsById.get(orderItemId);
+
+      if (!orderItem) {
+        throw refundError(`Item ${orderItemId} does not belong to this order`);
+      }
+
+      const refundableQuantity = refundableQuantityOf(orderItem);
+      if (!Number.isInteger(quantity) || quantity < 1 || quantity > refundableQuantity) {
+        throw refundError(`Only ${Math.max(refundableQuantity, 0)} of ${orderItem.name || 'this item'} can be refunded`);
+      }
+
+      const taxableValue = parseFloat(orderItem.taxableValue) || 0;
+      let amount;
+
+      if (taxableValue > 0) {
+        // Lines priced by the tax engine carry their own discount and GST
+        const lineAmount = taxableValue + (parseFloat(orderItem.taxAmount) || 0);
+        amount = roundCurrency(lineAmount * (quantity / orderItem.quantity));
+      } else {
+        const lineTotal = parseFloat(orderItem.price) * quantity;
+        const share = subtotal > 0 ? lineTotal / subtotal : 0;
+        amount = roundCurrency(lineTotal + adjustments * share);
+      }
+
+      return { orderItemId, quantity, amount };
+    });
+
+    let shippingAmount = 0;
+    if (shouldRefundShipping) {
+      const shippingRefunded = await Refund.sum('shippingAmount', {
+        where: { orderId: order.id },
+        transaction
+      });
+      shippingAmount = roundCurrency((parseFloat(order.shipping) || 0) - (shippingRefunded || 0));
+    }
+
+    const remaining = roundCurrency(
+      parseFloat(order.totalPrice) - (parseFloat(order.refundedAmount) || 0) - pendingAmount
+    );
+    const amount = Math.min(
+      roundCurrency(refundedItems.reduce((total, item) => total + item.amount, 0) + shippingAmount),
+      remaining
+    );
+
+    if (amount <= 0) {
+      throw refundError('Nothing left to refund on this order');
+    }
+
+    return Refund.create({
+      orderId: order.id,
+      amount,
+      shippingAmount,
+      items: refundedItems,
+      reason,
+      provider: order.paymentProvider,
+      status: 'pending',
+      createdBy: actorId
+    }, { transaction });
+  }
+
+  // Send a pending refund to the gateway and settle it. The refund's ID is
+  // the idempotency key, so retrying a refund whose response was lost does
+  // not refund the customer twice. Must not run inside a transaction.
+  async submitRefund(refundId) {
+    const { Order, Refund } = db;
+
+    const refund = await Refund.findByPk(refundId);
+
+    if (!refund) {
+      throw refundError('Refund not found', 404);
+    }
+
+    if (refund.providerRefundId) {
+      throw refundError('Refund has already been issued');
+    }
+
+    const order = await Order.findByPk(refund.orderId);
+
+    let providerRefund;
+    try {
+      providerRefund = await getProvider(refund.provider).refund({
+        paymentId: order.paymentId,
+        amount: parseFloat(refund.amount),
+        reason: refund.reason,
+        idempotencyKey: getIdempotencyKey(refund)
+      });
+    } catch (error) {
+      console.error('Payment provider refund error:', error);
+      throw refundError('The refund was saved but the payment provider did not accept it. Please retry the refund.', 502);
+    }
+
+    return this.settleRefund(refund.id, providerRefund);
+  }
+
+  // Record the gateway's refund against the order: the credit note,
+  // refunded quantities and amount, and the return it was issued for. The
+  // order's refunded amount is always the sum of its settled refunds, so
+  // settling the same refund from a webhook and a retry counts it once.
+  async settleRefund(refundId, providerRefund, options = {}) {
+    if (!options.transaction) {
+      return db.sequelize.transaction(transaction =>
+        this.settleRefund(refundId, providerRefund, { ...options, transaction })
+      );
+    }
+
+    const { Order, OrderItem, Refund, ReturnRequest } = db;
+    const { transaction } = options;
+
+    const refund = await Refund.findByPk(refundId, {
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+    const order = await Order.findByPk(refund.orderId, {
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+
+    // A concurrent retry or webhook settled it first
+    if (refund.providerRefundId) {
+      return { order, refund };
+    }
+
+    await refund.update({
+      providerRefundId: providerRefund.refundId,
+      status: providerRefund.status
+    }, { transaction });
+
+    // Document the refund for GST with a credit note against the invoice.
+    // Refunds made on the gateway are not itemised and get none.
+    if (refund.items.length > 0 || parseFloat(refund.shippingAmount) > 0) {
+      await invoiceService.issueCreditNote(order, refund, { transaction });
+    }
+
+    for (const item of refund.items) {
+      await OrderItem.increment('refundedQuantity', {
+        by: item.quantity,
+        where: { id: item.orderItemId },
+        transaction
+      });
+    }
+
+    const settledAmount = await Refund.sum('amount', {
+      where: { orderId: order.id, providerRefundId: { [Op.ne]: null } },
+      transaction
+    });
+    const refundedAmount = roundCurrency(settledAmount || 0);
+    const fullyRefunded = refundedAmount >= parseFloat(order.totalPrice);
+
+    await order.update({
+      refundedAmount,
+      paymentStatus: fullyRefunded ? 'refunded' : 'partially_refunded'
+    }, { transaction });
+
+    if (fullyRefunded && order.canTransitionTo('refunded')) {
+      await order.transitionTo('refunded', {
+        actorId: refund.createdBy,
+        comment: refund.reason || 'Order refunded',
+        transaction
+      });
+    }
+
+    const returnRequest = await ReturnRequest.findOne({
+      where: { refundId: refund.id },
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+
+    if (returnRequest && returnRequest.canTransitionTo('refunded')) {
+      await returnRequest.transitionTo('refunded', {
+        changes: { resolvedAt: new Date() },
+        transaction
+      });
+    }
+
+    return { order, refund };
+  }
+
+  // Apply a refund reported by a gateway webhook to a locked order.
+  //
+  // gatewayRefund: { id, amount, status, idempotencyKey } from the event
+  //
+  // Refunds issued here are found by their gateway ID, or by the key they
+  // were sent with when the webhook beats settleRefund, and settled once.
+  // Refunds made from the gateway dashboard are recorded as new refunds.
+  async applyGatewayRefund(order, gatewayRefund, options = {}) {
+    const { Refund } = db;
+    const { transaction } = options;
+    const providerRefund = { refundId: gatewayRefund.id, status: gatewayRefund.status };
+
+    let refund = await Refund.findOne({
+      where: { orderId: order.id, providerRefundId: gatewayRefund.id },
+      transaction
+    });
+
+    const refundId = getRefundIdFromKey(gatewayRefund.idempotencyKey);
+    if (!refund && refundId) {
+      refund = await Refund.findOne({ where: { id: refundId, orderId: order.id }, transaction });
+    }
+
+    if (refund && refund.providerRefundId) {
+      await refund.update({ status: gatewayRefund.status }, { transaction });
+      return { order, refund };
+    }
+
+    // A refund the gateway turned down was never paid out
+    if (gatewayRefund.status === 'failed') {
+      return { order, refund };
+    }
+
+    if (!refund) {
+      refund = await Refund.create({
+        orderId: order.id,
+        amount: gatewayRefund.amount,
+        reason: `Refunded on ${order.paymentProvider}`,
+        provider: order.paymentProvider,
+        status: 'pending'
+      }, { transaction });
+    }
+
+    return this.settleRefund(refund.id, providerRefund, { transaction });
+  }
+}
+
+module.exports = new RefundService();
@@ -0,0 +1,190 @@
+const db = require('../models');
+const refundService = require('./refundService');
+const { getStorage } = require('./storage');
+
+const RETURN_WINDOW_DAYS = parseInt(process.env.RETURN_WINDOW_DAYS, 10) || 7;
+
+const returnError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+class ReturnService {
+  // Serialize a return with its photos as signed URLs. Return photos are
+  // private, so their stored keys are never sent to clients as-is.
+  async withPhotoUrls(returnRequest) {
+    const storage = getStorage();
+    const photos = await Promise.all((returnRequest.photos || []).map(photo =>
+      // Photos uploaded before storage keys were stored are public URLs
+      storage.getSignedUrl(storage.keyFromUrl(photo) || photo)
+    ));
+
+    return { ...returnRequest.toJSON(), photos };
+  }
+
+  // Open a return request for units of a delivered order item
+  async createReturn(order, userId, { orderItemId, quantity, reason, description, resolution, photos = [] }) {
+    const { OrderItem, ReturnRequest } = db;
+
+    if (order.status !== 'delivered' || !order.deliveredAt) {
+      throw returnError('Only delivered orders can be returned');
+    }
+
+    const windowEnds = new Date(order.deliveredAt.getTime() + RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    if (new Date() > windowEnds) {
+      throw returnError(`Return window of ${RETURN_WINDOW_DAYS} days has closed`);
+    }
+
+    return db.sequelize.transaction(async (transaction) => {
+      const orderItem = await OrderItem.findOne({
+        where: { id: orderItemId, orderId: order.id },
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      if (!orderItem) {
+        throw returnError('Item not found in this order', 404);
+      }
+
+      const alreadyReturned = await ReturnRequest.getReturnedQuantity(orderItem.id, { transaction });
+      const returnable = orderItem.quantity - orderItem.refundedQuantity - alreadyReturned;
+
+      if (quantity > returnable) {
+        throw returnError(`Only ${Math.max(returnable, 0)} of ${orderItem.name || 'this item'} can be returned`);
+      }
+
+      return ReturnRequest.create({
+        orderId: order.id,
+        orderItemId: orderItem.id,
+        userId,
+        quantity,
+        reason,
+        description,
+        resolution,
+        photos
+      }, { transaction });
+    });
+  }
+
+  // Move a return through an admin step that only changes its status
+  async updateStatus(returnId, status, changes = {}) {
+    return db.sequelize.transaction(async (transaction) => {
+      const returnRequest = await this.findLocked(returnId, transaction);
+      return returnRequest.transitionTo(status, { changes, transaction });
+    });
+  }
+
+  // Record the inspection outcome. A passed inspection restocks the units
+  // and then refunds them or ships a replacement. Replacements that are out
+  // of stock fall back to a refund. COD orders have no payment to refund
+  // automatically and stay at inspection_passed for a manual refund.
+  //
+  // The refund is recorded with the inspection and sent to the gateway
+  // after it commits; the return moves to refunded once the refund settles.
+  async inspect(returnId, { passed, notes, actorId = null }) {
+    const { Order, OrderItem, ReturnRequest } = db;
+
+    const result = await db.sequelize.transaction(async (transaction) => {
+      const returnRequest = await this.findLocked(returnId, transaction);
+
+      await returnRequest.transitionTo(passed ? 'inspection_passed' : 'inspection_failed', {
+        changes: { inspectionNotes: notes },
+        transaction
+      });
+
+      if (!passed) {
+        return { returnRequest };
+      }
+
+      const order = await Order.findByPk(returnRequest.orderId, {
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+      const orderItem = await OrderItem.findByPk(returnRequest.orderItemId, { transaction });
+
+      // Restock the returned units
+      await orderItem.restock(returnRequest.quantity, { transaction });
+
+      // Mark the whole order returned once every unit has come back
+      const orderItems = await OrderItem.findAll({ where: { orderId: order.id }, transaction });
+      const passedReturns = await ReturnRequest.sum('quantity', {
+        where: {
+          orderId: order.id,
+          status: ['inspection_passed', 'refunded', 'replaced']
+        },
+        transaction
+      });
+      const orderedQuantity = orderItems.reduce((total, item) => total + item.quantity, 0);
+
+      if (passedReturns >= orderedQuantity && order.canTransitionTo('returned')) {
+        await order.transitionTo('returned', {
+          actorId,
+          comment: 'All items returned',
+          transaction
+        });
+      }
+
+      if (returnRequest.resolution === 'replacement') {
+        try {
+          // createReplacement checks stock before writing anything
+          const replacementOrder = await Order.createReplacement(order, orderItem, returnRequest.quantity, {
+            actorId,
+            transaction
+          });
+
+          await returnRequest.transitionTo('replaced', {
+            changes: { replacementOrderId: replacementOrder.id, resolvedAt: new Date() },
+            transaction
+          });
+
+          return { returnRequest, replacementOrder };
+        } catch (error) {
+          if (!error.unavailableItems) throw error;
+          // Replacement is out of stock, refund instead
+        }
+      }
+
+      if (!order.paymentProvider) {
+        return { returnRequest, manualRefundRequired: true };
+      }
+
+      const refund = await refundService.recordRefund(order.id, {
+        items: [{ orderItemId: orderItem.id, quantity: returnRequest.quantity }],
+        reason: `Return ${returnRequest.id}: ${returnRequest.reason}`,
+        actorId,
+        transaction
+      });
+
+      await returnRequest.update({ refundId: refund.id }, { transaction });
+
+      return { returnRequest, refund };
+    });
+
+    if (!result.refund) {
+      return result;
+    }
+
+    const { refund } = await refundService.submitRefund(result.refund.id);
+
+    return {
+      returnRequest: await result.returnRequest.reload(),
+      refund
+    };
+  }
+
+  async findLocked(returnId, transaction) {
+    const returnRequest = await db.ReturnRequest.findByPk(returnId, {
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+
+    if (!returnRequest) {
+      throw returnError('Return request not found', 404);
+    }
+
+    return returnRequest;
+  }
+}
+
+module.exports = new ReturnService();
@@ -0,0 +1,87 @@
+const db = require('../models');
+
+// Milliseconds each part of a suggestion may take before it is left out, so
+// a slow query never holds up the search box
+const SUGGEST_BUDGET_MS = parseInt(process.env.SEARCH_SUGGEST_BUDGET_MS, 10) || 150;
+
+// How many of each kind of suggestion to return
+const LIMITS = {
+  query: 4,
+  product: 5,
+  brand: 3,
+  category: 2
+};
+
+// Resolve to the fallback if the lookup takes longer than the budget. A
+// failed lookup is logged and treated the same way.
+const withinBudget = (lookup, fallback) => {
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(fallback), SUGGEST_BUDGET_MS);
+  });
+
+  const result = lookup.catch((error) => {
+    console.error('Search suggestion lookup failed:', error.message);
+    return fallback;
+  });
+
+  return Promise.race([result, timeout]).finally(() => clearTimeout(timer));
+};
+
+class SearchSuggestionService {
+  // Suggestions for a partly typed search: popular past queries first, then
+  // products, brands and categories, plus a "did you mean" correction when
+  // no product matches what was typed
+  async suggest(text) {
+    const { Product, SearchQuery } = db;
+    const prefix = SearchQuery.normalize(text);
+
+    if (!prefix) {
+      return { suggestions: [], didYouMean: null };
+    }
+
+    const [queries, products, brands] = await Promise.all([
+      withinBudget(SearchQuery.getPopular(prefix, LIMITS.query), []),
+      withinBudget(Product.suggest(prefix, LIMITS.product), []),
+      withinBudget(Product.suggestBrands(prefix, LIMITS.brand), [])
+    ]);
+
+    const categories = Product.rawAttributes.category.values
+      .filter(category => category.startsWith(prefix))
+      .slice(0, LIMITS.category);
+
+    // Only worth the extra lookup when the prefix found no products
+    const didYouMean = products.length === 0
+      ? await withinBudget(SearchQuery.getCorrection(prefix), null)
+      : null;
+
+    return {
+      suggestions: [
+        ...queries.map(query => ({ type: 'query', value: query.query, searches: query.count })),
+        ...products.map(product => ({
+          type: 'product',
+          value: product.name,
+          productId: product.id,
+          brand: product.brand,
+          category: product.category,
+          price: product.price
+        })),
+        ...brands.map(({ brand, productCount }) => ({ type: 'brand', value: brand, productCount })),
+        ...categories.map(category => ({ type: 'category', value: category }))
+      ],
+      didYouMean
+    };
+  }
+
+  // Log a full search so popular queries can be suggested. Never throws;
+  // a search should not fail because it could not be counted.
+  async recordSearch(query, resultCount) {
+    try {
+      await db.SearchQuery.record(query, resultCount);
+    } catch (error) {
+      console.error('Failed to record search query:', error.message);
+    }
+  }
+}
+
+module.exports = new SearchSuggestionService();
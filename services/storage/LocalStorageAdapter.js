@@ -0,0 +1,99 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+const StorageAdapter = require('./StorageAdapter');
+
+// Keeps files on the app server's disk and serves them from /uploads. Fine
+// for development and single-instance setups; use S3 once there are more.
+class LocalStorageAdapter extends StorageAdapter {
+  constructor({
+    root = process.env.UPLOAD_DIR || path.join(__dirname, '..', '..', 'public', 'uploads'),
+    baseUrl = process.env.UPLOAD_BASE_URL || '/uploads',
+    signingSecret = process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET,
+    publicFolders
+  } = {}) {
+    super('local', { publicFolders });
+    this.root = root;
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.signingSecret = signingSecret;
+  }
+
+  async put(key, body) {
+    const filePath = this.getFilePath(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, body);
+    return key;
+  }
+
+  async remove(key) {
+    try {
+      await fs.unlink(this.getFilePath(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+
+  getPublicUrl(key) {
+    return `${this.baseUrl}/${StorageAdapter.assertValidKey(key)}`;
+  }
+
+  async getSignedUrl(key, { expiresIn = StorageAdapter.DEFAULT_SIGNED_URL_TTL } = {}) {
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    return `${this.getPublicUrl(key)}?expires=${expires}&signature=${this.sign(key, expires)}`;
+  }
+
+  keyFromUrl(url) {
+    const prefix = `${this.baseUrl}/`;
+    return url && url.startsWith(prefix) ? url.slice(prefix.length).split('?')[0] : null;
+  }
+
+  // Disk path of a key, refusing anything outside the storage root
+  getFilePath(key) {
+    return path.join(this.root, StorageAdapter.assertValidKey(key));
+  }
+
+  sign(key, expires) {
+    return crypto
+      .createHmac('sha256', this.signingSecret)
+      .update(`${key}:${expires}`)
+      .digest('hex');
+  }
+
+  // Check the expires/signature pair from a URL made by getSignedUrl
+  verifySignature(key, expires, signature) {
+    if (!expires || !signature || Number(expires) < Date.now() / 1000) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.sign(key, expires));
+    const actual = Buffer.from(String(signature));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  // Express middleware serving stored files. Files outside the public
+  // folders are only served with a valid, unexpired signature.
+  serve() {
+    const serveStatic = express.static(this.root, { index: false, dotfiles: 'deny' });
+
+    return (req, res, next) => {
+      let key;
+      try {
+        // A key like products/../returns/x.jpg must not pass as public
+        key = StorageAdapter.assertValidKey(decodeURIComponent(req.path.replace(/^\//, '')));
+      } catch (error) {
+        return res.status(404).json({ message: 'File not found' });
+      }
+
+      if (!this.isPublic(key) && !this.verifySignature(key, req.query.expires, req.query.signature)) {
+        return res.status(403).json({ message: 'This link is invalid or has expired' });
+      }
+
+      serveStatic(req, res, next);
+    };
+  }
+}
+
+module.exports = LocalStorageAdapter;
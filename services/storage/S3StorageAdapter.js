@@ -0,0 +1,82 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  DeleteObjectCommand,
+  GetObjectCommand
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const StorageAdapter = require('./StorageAdapter');
+
+// Stores files in an S3 bucket or any S3-compatible service such as MinIO
+// (set S3_ENDPOINT and S3_FORCE_PATH_STYLE=true). The bucket stays private
+// apart from the public folders, which need a bucket policy allowing
+// s3:GetObject on e.g. products/* and profiles/*.
+class S3StorageAdapter extends StorageAdapter {
+  constructor({
+    bucket = process.env.S3_BUCKET,
+    region = process.env.S3_REGION || 'ap-south-1',
+    endpoint = process.env.S3_ENDPOINT,
+    forcePathStyle = process.env.S3_FORCE_PATH_STYLE === 'true',
+    accessKeyId = process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey = process.env.S3_SECRET_ACCESS_KEY,
+    publicUrl = process.env.S3_PUBLIC_URL,
+    publicFolders
+  } = {}) {
+    super('s3', { publicFolders });
+
+    if (!bucket) {
+      throw new Error('S3_BUCKET must be set to use S3 storage');
+    }
+
+    this.bucket = bucket;
+    this.client = new S3Client({
+      region,
+      endpoint,
+      forcePathStyle,
+      ...(accessKeyId && { credentials: { accessKeyId, secretAccessKey } })
+    });
+
+    // Where public objects are read from: a CDN in front of the bucket, or
+    // the bucket itself
+    const defaultPublicUrl = endpoint
+      ? `${endpoint.replace(/\/$/, '')}/${bucket}`
+      : `https://${bucket}.s3.${region}.amazonaws.com`;
+    this.publicUrl = (publicUrl || defaultPublicUrl).replace(/\/$/, '');
+  }
+
+  async put(key, body, { contentType } = {}) {
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: StorageAdapter.assertValidKey(key),
+      Body: body,
+      ContentType: contentType
+    }));
+    return key;
+  }
+
+  async remove(key) {
+    // S3 deletes succeed whether or not the object exists
+    await this.client.send(new DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: StorageAdapter.assertValidKey(key)
+    }));
+  }
+
+  getPublicUrl(key) {
+    return `${this.publicUrl}/${StorageAdapter.assertValidKey(key)}`;
+  }
+
+  async getSignedUrl(key, { expiresIn = StorageAdapter.DEFAULT_SIGNED_URL_TTL } = {}) {
+    return getSignedUrl(this.client, new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: StorageAdapter.assertValidKey(key)
+    }), { expiresIn });
+  }
+
+  keyFromUrl(url) {
+    const prefix = `${this.publicUrl}/`;
+    return url && url.startsWith(prefix) ? url.slice(prefix.length).split('?')[0] : null;
+  }
+}
+
+module.exports = S3StorageAdapter;
@@ -0,0 +1,64 @@
+// Base class for file storage adapters.
+//
+// Files are addressed by a key such as 'products/1700000000000-ab12cd.jpg',
+// whose first segment is the folder the upload belongs to. Keys never start
+// with a slash and are the same whichever adapter stores the file.
+//
+//   put          -> key                    store a file (Buffer)
+//   remove       -> void                   delete a file; missing files are ignored
+//   getPublicUrl -> url                    permanent URL for public folders
+//   getSignedUrl -> url                    URL that stops working after expiresIn seconds
+//   keyFromUrl   -> key | null             reverse getPublicUrl, for deleting by URL
+//
+// Public URLs are only served for folders the adapter was told are public
+// (product images, profile images); everything else needs a signed URL.
+class StorageAdapter {
+  constructor(name, { publicFolders = [] } = {}) {
+    this.name = name;
+    this.publicFolders = publicFolders;
+  }
+
+  // Store a file under a key
+  async put(key, body, { contentType }) {
+    throw new Error(`${this.name} storage does not implement put`);
+  }
+
+  // Delete the file stored under a key
+  async remove(key) {
+    throw new Error(`${this.name} storage does not implement remove`);
+  }
+
+  // Permanent URL of a file in a public folder
+  getPublicUrl(key) {
+    throw new Error(`${this.name} storage does not implement getPublicUrl`);
+  }
+
+  // Time-limited URL of any file
+  async getSignedUrl(key, { expiresIn } = {}) {
+    throw new Error(`${this.name} storage does not implement getSignedUrl`);
+  }
+
+  // Key behind a URL returned by getPublicUrl, or null for foreign URLs
+  keyFromUrl(url) {
+    throw new Error(`${this.name} storage does not implement keyFromUrl`);
+  }
+
+  // Whether a key lives in a folder that may be read without a signature
+  isPublic(key) {
+    return this.publicFolders.includes(key.split('/')[0]);
+  }
+}
+
+// Default lifetime of a signed URL, in seconds
+StorageAdapter.DEFAULT_SIGNED_URL_TTL = 15 * 60;
+
+// Reject keys that could escape the storage root or bucket prefix
+StorageAdapter.assertValidKey = (key) => {
+  if (typeof key !== 'string' || !key || key.startsWith('/') ||
+    key.split('/').some(segment => !segment || segment === '.' || segment === '..')) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return key;
+};
+
+module.exports = StorageAdapter;
@@ -0,0 +1,46 @@
+const LocalStorageAdapter = require('./LocalStorageAdapter');
+const S3StorageAdapter = require('./S3StorageAdapter');
+
+// Folders whose files anyone may read. Return photos and anything else are
+// only reachable through signed URLs. Reviews cannot carry photos yet; when
+// review photo uploads are added they belong in a public 'reviews' folder.
+const PUBLIC_FOLDERS = ['products', 'profiles'];
+
+const factories = {
+  local: () => new LocalStorageAdapter({ publicFolders: PUBLIC_FOLDERS }),
+  s3: () => new S3StorageAdapter({ publicFolders: PUBLIC_FOLDERS })
+};
+
+let storage = null;
+
+/**
+ * Get the storage adapter chosen by STORAGE_DRIVER (local or s3), creating
+ * it on first use
+ * @returns {StorageAdapter}
+ */
+const getStorage = () => {
+  if (!storage) {
+    const driver = process.env.STORAGE_DRIVER || 'local';
+    if (!factories[driver]) {
+      throw new Error(`Unknown storage driver: ${driver}`);
+    }
+    storage = factories[driver]();
+  }
+
+  return storage;
+};
+
+/**
+ * Replace the storage adapter, e.g. with one pointing at a local MinIO
+ * bucket or a temporary directory in tests
+ * @param {StorageAdapter} adapter - Storage adapter instance
+ */
+const registerStorage = (adapter) => {
+  storage = adapter;
+};
+
+module.exports = {
+  getStorage,
+  registerStorage,
+  PUBLIC_FOLDERS
+};
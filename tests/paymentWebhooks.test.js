@@ -0,0 +1,215 @@
+// The fake provider only answers when explicitly switched on
+process.env.FAKE_PAYMENTS_ENABLED = 'true';
+
+const express = require('express');
+const request = require('supertest');
+const stripeFixture = require('./fixtures/webhooks/stripe-payment-succeeded.json');
+const razorpayFixture = require('./fixtures/webhooks/razorpay-payment-captured.json');
+const fakeFixture = require('./fixtures/webhooks/fake-payment-succeeded.json');
+
+// Orders and recorded events live in memory; the webhook service only needs
+// a transaction, PaymentEvent.record and Order.findByPaymentReference
+jest.mock('../models', () => {
+  const events = new Map();
+  const orders = [];
+
+  const createOrder = (fields) => {
+    const order = {
+      status: 'pending',
+      paymentStatus: 'pending',
+      ...fields,
+      async update(changes) {
+        Object.assign(order, changes);
+        return order;
+      },
+      async markPaymentSucceeded(paymentId) {
+        return order.update({ paymentStatus: 'completed', paymentId, status: 'confirmed' });
+      }
+    };
+    orders.push(order);
+    return order;
+  };
+
+  return {
+    sequelize: {
+      transaction: async callback => callback({ LOCK: { UPDATE: 'UPDATE' } })
+    },
+    PaymentEvent: {
+      async record(provider, { id, type, payload }) {
+        const key = `${provider}:${id}`;
+        const existing = events.get(key);
+        if (existing) {
+          return { event: existing, created: false };
+        }
+
+        const event = {
+          provider,
+          eventId: id,
+          type,
+          payload,
+          processedAt: null,
+          async update(changes) {
+            Object.assign(event, changes);
+            return event;
+          }
+        };
+        events.set(key, event);
+        return { event, created: true };
+      }
+    },
+    Order: {
+      async findByPaymentReference(provider, reference, { orderId } = {}) {
+        return orders.find(order => order.paymentProvider === provider && order.paymentReference === reference)
+          || orders.find(order => order.paymentProvider === provider && order.id === orderId)
+          || null;
+      }
+    },
+    testing: {
+      createOrder,
+      reset() {
+        events.clear();
+        orders.length = 0;
+      }
+    }
+  };
+});
+
+const db = require('../models');
+const { registerProvider } = require('../services/payments');
+const StripeProvider = require('../services/payments/StripeProvider');
+const RazorpayProvider = require('../services/payments/RazorpayProvider');
+const FakeProvider = require('../services/payments/FakeProvider');
+const paymentRoutes = require('../routes/paymentRoutes');
+
+const providers = {
+  stripe: new StripeProvider({ secretKey: 'sk_test_webhooks', webhookSecret: 'whsec_test_webhooks' }),
+  razorpay: new RazorpayProvider({ webhookSecret: 'razorpay_test_webhooks' }),
+  fake: new FakeProvider({ webhookSecret: 'fake_test_webhooks' })
+};
+
+// Each provider's fixture and the order it should settle
+const cases = [
+  {
+    provider: 'stripe',
+    fixture: stripeFixture,
+    order: { id: stripeFixture.data.object.metadata.orderId, paymentReference: 'pi_test_order' },
+    paymentId: 'pi_test_order'
+  },
+  {
+    provider: 'razorpay',
+    fixture: razorpayFixture,
+    order: { id: razorpayFixture.payload.payment.entity.notes.orderId, paymentReference: 'order_test_order' },
+    paymentId: 'pay_test_order',
+    headers: { 'x-razorpay-event-id': 'evt_razorpay_test_order' }
+  },
+  {
+    provider: 'fake',
+    fixture: fakeFixture,
+    order: { id: fakeFixture.orderId, paymentReference: 'fake_ref_order' },
+    paymentId: 'fake_pay_order'
+  }
+];
+
+// The same raw-body capture server.js sets up for signature checks
+const createApp = () => {
+  const app = express();
+  app.use(express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    }
+  }));
+  app.use('/api/payments', paymentRoutes);
+  return app;
+};
+
+// Post a payload exactly as signed, so the raw body matches the signature
+const postWebhook = (app, provider, body, headers) => request(app)
+  .post(`/api/payments/${provider}/webhook`)
+  .set('Content-Type', 'application/json')
+  .set(headers)
+  .send(body);
+
+describe('POST /api/payments/:provider/webhook', () => {
+  let app;
+
+  beforeAll(() => {
+    Object.entries(providers).forEach(([name, provider]) => registerProvider(name, provider));
+    app = createApp();
+  });
+
+  beforeEach(() => {
+    db.testing.reset();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  describe.each(cases)('$provider', ({ provider, fixture, order: orderFields, paymentId, headers = {} }) => {
+    const body = JSON.stringify(fixture);
+    const sign = () => ({ ...providers[provider].signWebhookPayload(body), ...headers });
+
+    it('marks the order paid for a signed payment event', async () => {
+      const order = db.testing.createOrder({ ...orderFields, paymentProvider: provider });
+
+      const response = await postWebhook(app, provider, body, sign());
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ received: true, status: 'processed' });
+      expect(order.paymentStatus).toBe('completed');
+      expect(order.paymentId).toBe(paymentId);
+    });
+
+    it('rejects a payload whose signature does not match', async () => {
+      const order = db.testing.createOrder({ ...orderFields, paymentProvider: provider });
+      const signed = sign();
+      const tampered = body.replace(paymentId, `${paymentId}_forged`);
+
+      const response = await postWebhook(app, provider, tampered, signed);
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Invalid webhook signature');
+      expect(order.paymentStatus).toBe('pending');
+    });
+
+    it('applies a redelivered event only once', async () => {
+      const order = db.testing.createOrder({ ...orderFields, paymentProvider: provider });
+      const signed = sign();
+
+      const first = await postWebhook(app, provider, body, signed);
+      order.paymentStatus = 'refunded';
+      const replay = await postWebhook(app, provider, body, signed);
+
+      expect(first.body.status).toBe('processed');
+      expect(replay.status).toBe(200);
+      expect(replay.body.status).toBe('duplicate');
+      expect(order.paymentStatus).toBe('refunded');
+    });
+  });
+
+  it('returns 404 for a provider without a webhook', async () => {
+    const response = await postWebhook(app, 'paypal', '{}', {});
+
+    expect(response.status).toBe(404);
+  });
+
+  it('does not accept fake webhooks unless the fake provider is enabled', async () => {
+    const body = JSON.stringify(fakeFixture);
+    const order = db.testing.createOrder({ ...cases[2].order, paymentProvider: 'fake' });
+
+    process.env.FAKE_PAYMENTS_ENABLED = 'false';
+    try {
+      const response = await postWebhook(app, 'fake', body, providers.fake.signWebhookPayload(body));
+
+      expect(response.status).toBe(404);
+      expect(order.paymentStatus).toBe('pending');
+    } finally {
+      process.env.FAKE_PAYMENTS_ENABLED = 'true';
+    }
+  });
+
+  it('refuses to create the fake provider without a webhook secret', () => {
+    expect(() => new FakeProvider({ webhookSecret: undefined })).toThrow('FAKE_PAYMENT_WEBHOOK_SECRET');
+  });
+});
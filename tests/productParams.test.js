@@ -0,0 +1,65 @@
+const express = require('express');
+const request = require('supertest');
+
+// Lookups must never be reached with a malformed ID
+jest.mock('../models', () => ({
+  Product: {
+    rawAttributes: { category: { values: ['components'] } },
+    findByPk: jest.fn(async () => null)
+  },
+  CategoryAttribute: { ATTRIBUTE_TYPES: ['text', 'number'], PREFERENCES: ['higher', 'lower'] },
+  ProductVariant: { findOne: jest.fn(async () => null) },
+  ProductImage: { findOne: jest.fn(async () => null) }
+}));
+
+jest.mock('../middleware/auth', () => ({
+  protect: (req, res, next) => {
+    req.user = { id: '0b6f5a1e-8c1d-4c3e-9f1a-7d2e3c4b5a01', role: 'admin' };
+    next();
+  },
+  authorize: () => (req, res, next) => next(),
+  optionalAuth: (req, res, next) => next()
+}));
+
+const db = require('../models');
+const productRoutes = require('../routes/productRoutes');
+
+const PRODUCT_ID = '4f0c6b8e-3a52-4d39-9a55-2f6f8f7c1a04';
+
+const createApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/products', productRoutes);
+  return app;
+};
+
+describe('product sub-resource routes', () => {
+  const app = createApp();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it.each([
+    ['get', '/api/products/not-a-uuid/variants'],
+    ['get', '/api/products/not-a-uuid/images'],
+    ['get', '/api/products/not-a-uuid/delivery-estimate?pincode=560001'],
+    ['delete', `/api/products/${PRODUCT_ID}/variants/not-a-uuid`],
+    ['put', `/api/products/${PRODUCT_ID}/images/not-a-uuid/primary`]
+  ])('rejects a malformed ID on %s %s', async (method, url) => {
+    const response = await request(app)[method](url);
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('Validation failed');
+    expect(db.Product.findByPk).not.toHaveBeenCalled();
+    expect(db.ProductVariant.findOne).not.toHaveBeenCalled();
+    expect(db.ProductImage.findOne).not.toHaveBeenCalled();
+  });
+
+  it('looks up well-formed IDs', async () => {
+    const response = await request(app).get(`/api/products/${PRODUCT_ID}/variants`);
+
+    expect(response.status).toBe(404);
+    expect(db.Product.findByPk).toHaveBeenCalledWith(PRODUCT_ID);
+  });
+});
@@ -0,0 +1,222 @@
+// The fake provider only answers when explicitly switched on
+process.env.FAKE_PAYMENTS_ENABLED = 'true';
+
+// One paid order with a single line lives in memory. `log` records when
+// transactions commit and when the gateway is called.
+jest.mock('../models', () => {
+  const log = [];
+  const state = {};
+  const events = new Set();
+
+  const matches = (record, where) => Object.entries(where).every(([field, value]) => record[field] === value);
+
+  const withUpdate = (record) => Object.assign(record, {
+    async update(changes) {
+      Object.assign(record, changes);
+      return record;
+    }
+  });
+
+  const reset = () => {
+    log.length = 0;
+    events.clear();
+    state.refunds = [];
+    state.order = withUpdate({
+      id: 'order-1',
+      paymentStatus: 'completed',
+      paymentProvider: 'fake',
+      paymentId: 'fake_pay_1',
+      subtotal: '1000.00',
+      tax: '0',
+      discount: '0',
+      shipping: '0',
+      totalPrice: '1000.00',
+      refundedAmount: '0',
+      canTransitionTo: () => false
+    });
+    state.orderItem = withUpdate({
+      id: 'item-1',
+      orderId: 'order-1',
+      name: 'SSD',
+      quantity: 2,
+      refundedQuantity: 0,
+      price: '500.00',
+      taxableValue: '0'
+    });
+  };
+
+  return {
+    sequelize: {
+      async transaction(callback) {
+        const result = await callback({ LOCK: { UPDATE: 'UPDATE' } });
+        log.push('commit');
+        return result;
+      }
+    },
+    PaymentEvent: {
+      async record(provider, { id }) {
+        const created = !events.has(id);
+        events.add(id);
+        return { event: { processedAt: created ? null : new Date(), update: async () => {} }, created };
+      }
+    },
+    Order: {
+      findByPk: async () => state.order,
+      findByPaymentReference: async () => state.order
+    },
+    OrderItem: {
+      findAll: async () => [state.orderItem],
+      async increment(field, { by }) {
+        state.orderItem[field] += by;
+      }
+    },
+    Refund: {
+      findAll: async ({ where }) => state.refunds.filter(refund =>
+        refund.orderId === where.orderId && refund.providerRefundId === where.providerRefundId),
+      // Only the settled-refund filter (providerRefundId not null) is used
+      sum: async (field, { where }) => state.refunds
+        .filter(refund => refund.orderId === where.orderId &&
+          (!('providerRefundId' in where) || refund.providerRefundId !== null))
+        .reduce((total, refund) => total + parseFloat(refund[field]), 0),
+      findOne: async ({ where }) => state.refunds.find(refund => matches(refund, where)) || null,
+      findByPk: async id => state.refunds.find(refund => refund.id === id) || null,
+      async create(fields) {
+        const refund = withUpdate({
+          id: `4f0c6b8e-3a52-4d39-9a55-2f6f8f7c1b0${state.refunds.length + 1}`,
+          providerRefundId: null,
+          items: [],
+          shippingAmount: 0,
+          ...fields
+        });
+        state.refunds.push(refund);
+        return refund;
+      }
+    },
+    ReturnRequest: {
+      findOne: async () => null
+    },
+    testing: { log, state, reset }
+  };
+});
+
+jest.mock('../services/invoiceService', () => ({
+  issueCreditNote: jest.fn(async () => {})
+}));
+
+const db = require('../models');
+const { registerProvider } = require('../services/payments');
+const FakeProvider = require('../services/payments/FakeProvider');
+const refundService = require('../services/refundService');
+const paymentWebhookService = require('../services/paymentWebhookService');
+
+// A refund.updated event as the fake provider delivers it
+const refundEvent = (id, refund) => ({
+  id,
+  type: 'refund.updated',
+  reference: 'fake_ref_1',
+  refund: { status: 'processed', ...refund }
+});
+
+describe('refundService', () => {
+  let provider;
+
+  beforeEach(() => {
+    db.testing.reset();
+    provider = new FakeProvider({ webhookSecret: 'fake_test_refunds' });
+    provider.payments.set('fake_ref_1', { paymentId: 'fake_pay_1', amount: 1000, amountRefunded: 0 });
+    registerProvider('fake', provider);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  it('commits a pending refund before calling the gateway', async () => {
+    const refund = jest.spyOn(provider, 'refund').mockImplementation(async (request) => {
+      db.testing.log.push('gateway');
+      return FakeProvider.prototype.refund.call(provider, request);
+    });
+
+    const result = await refundService.refundOrder('order-1', { items: [{ orderItemId: 'item-1', quantity: 1 }] });
+
+    expect(db.testing.log).toEqual(['commit', 'gateway', 'commit']);
+    expect(refund.mock.calls[0][0].idempotencyKey).toBe(`refund-${result.refund.id}`);
+    expect(result.refund.providerRefundId).toBe('fake_refund_1');
+    expect(db.testing.state.orderItem.refundedQuantity).toBe(1);
+    expect(db.testing.state.order.refundedAmount).toBe(500);
+  });
+
+  it('keeps a refund the gateway did not accept pending and holds its amount', async () => {
+    jest.spyOn(provider, 'refund').mockRejectedValueOnce(new Error('Gateway timeout'));
+
+    await expect(refundService.refundOrder('order-1')).rejects.toMatchObject({ statusCode: 502 });
+
+    const [pending] = db.testing.state.refunds;
+    expect(pending).toMatchObject({ status: 'pending', providerRefundId: null, amount: 1000 });
+    expect(db.testing.state.orderItem.refundedQuantity).toBe(0);
+    await expect(refundService.refundOrder('order-1')).rejects.toThrow('Nothing left to refund');
+  });
+
+  it('retries a pending refund with the same idempotency key', async () => {
+    const refund = jest.spyOn(provider, 'refund').mockRejectedValueOnce(new Error('Gateway timeout'));
+    await expect(refundService.refundOrder('order-1')).rejects.toMatchObject({ statusCode: 502 });
+
+    const [pending] = db.testing.state.refunds;
+    await refundService.submitRefund(pending.id);
+
+    expect(refund).toHaveBeenCalledTimes(2);
+    expect(refund.mock.calls[1][0].idempotencyKey).toBe(refund.mock.calls[0][0].idempotencyKey);
+    expect(pending.providerRefundId).toBe('fake_refund_1');
+    expect(db.testing.state.order.paymentStatus).toBe('refunded');
+    await expect(refundService.submitRefund(pending.id)).rejects.toThrow('already been issued');
+  });
+
+  it('counts a refund once when its webhook arrives before it settles', async () => {
+    jest.spyOn(provider, 'refund').mockImplementation(async (request) => {
+      const issued = await FakeProvider.prototype.refund.call(provider, request);
+      // The gateway reports the refund before its response reaches us
+      await paymentWebhookService.handleEvent('fake', refundEvent('fake_evt_refund_1', {
+        id: issued.refundId,
+        amount: issued.amount,
+        idempotencyKey: request.idempotencyKey
+      }));
+      return issued;
+    });
+
+    const result = await refundService.refundOrder('order-1', { items: [{ orderItemId: 'item-1', quantity: 1 }] });
+
+    expect(db.testing.state.refunds).toHaveLength(1);
+    expect(result.refund.providerRefundId).toBe('fake_refund_1');
+    expect(db.testing.state.order).toMatchObject({ refundedAmount: 500, paymentStatus: 'partially_refunded' });
+    expect(db.testing.state.orderItem.refundedQuantity).toBe(1);
+    await expect(refundService.refundOrder('order-1', { items: [{ orderItemId: 'item-1', quantity: 1 }] }))
+      .resolves.toMatchObject({ order: { refundedAmount: 1000 } });
+  });
+
+  it('counts a refund once when its webhook arrives after it settles', async () => {
+    const { refund } = await refundService.refundOrder('order-1', { items: [{ orderItemId: 'item-1', quantity: 1 }] });
+
+    await paymentWebhookService.handleEvent('fake', refundEvent('fake_evt_refund_1', {
+      id: refund.providerRefundId,
+      amount: 500,
+      idempotencyKey: `refund-${refund.id}`
+    }));
+
+    expect(db.testing.state.refunds).toHaveLength(1);
+    expect(db.testing.state.order).toMatchObject({ refundedAmount: 500, paymentStatus: 'partially_refunded' });
+    expect(db.testing.state.orderItem.refundedQuantity).toBe(1);
+  });
+
+  it('records refunds made on the gateway as refunds of their own', async () => {
+    await paymentWebhookService.handleEvent('fake', refundEvent('fake_evt_refund_1', {
+      id: 'fake_refund_dashboard',
+      amount: 200
+    }));
+
+    const [refund] = db.testing.state.refunds;
+    expect(refund).toMatchObject({ amount: 200, providerRefundId: 'fake_refund_dashboard', items: [] });
+    expect(db.testing.state.order).toMatchObject({ refundedAmount: 200, paymentStatus: 'partially_refunded' });
+    await expect(refundService.refundOrder('order-1')).resolves.toMatchObject({ refund: { amount: 800 } });
+  });
+});
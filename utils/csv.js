@@ -0,0 +1,85 @@
+/**
+ * Split one CSV line into fields, honouring double-quoted fields and
+ * doubled quotes inside them
+ * @param {string} line
+ * @returns {string[]}
+ */
+const parseLine = (line) => {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  fields.push(field.trim());
+  return fields;
+};
+
+/**
+ * Parse CSV text with a header row into row objects keyed by the
+ * lower-cased header names. Blank lines are skipped.
+ * @param {string} text
+ * @returns {Array<Object>} - Rows, each with its 1-based source line number as `line`
+ */
+const parseCsv = (text) => {
+  const lines = String(text).replace(/^\uFEFF/, '').split(/\r?\n/);
+  const headerIndex = lines.findIndex(line => line.trim() !== '');
+
+  if (headerIndex === -1) {
+    return [];
+  }
+
+  const headers = parseLine(lines[headerIndex]).map(header => header.toLowerCase().replace(/\s+/g, '_'));
+
+  return lines.slice(headerIndex + 1).reduce((rows, line, index) => {
+    if (line.trim() === '') {
+      return rows;
+    }
+
+    const values = parseLine(line);
+    const row = headers.reduce((fields, header, column) => {
+      fields[header] = values[column] !== undefined ? values[column] : '';
+      return fields;
+    }, { line: headerIndex + index + 2 });
+
+    rows.push(row);
+    return rows;
+  }, []);
+};
+
+/**
+ * Read a yes/no style CSV value
+ * @param {string} value - e.g. 'yes', 'Y', 'true', '1'
+ * @returns {boolean|null} - null when the value is not recognised
+ */
+const parseBoolean = (value) => {
+  const normalized = String(value || '').trim().toLowerCase();
+  if (['yes', 'y', 'true', '1'].includes(normalized)) return true;
+  if (['no', 'n', 'false', '0'].includes(normalized)) return false;
+  return null;
+};
+
+module.exports = {
+  parseCsv,
+  parseBoolean
+};
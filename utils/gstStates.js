@@ -0,0 +1,90 @@
+// GST state codes as used in the first two digits of a GSTIN.
+// Union territories without a legislature levy UTGST instead of SGST.
+const GST_STATES = {
+  '01': { name: 'Jammu and Kashmir' },
+  '02': { name: 'Himachal Pradesh' },
+  '03': { name: 'Punjab' },
+  '04': { name: 'Chandigarh', unionTerritory: true },
+  '05': { name: 'Uttarakhand' },
+  '06': { name: 'Haryana' },
+  '07': { name: 'Delhi' },
+  '08': { name: 'Rajasthan' },
+  '09': { name: 'Uttar Pradesh' },
+  '10': { name: 'Bihar' },
+  '11': { name: 'Sikkim' },
+  '12': { name: 'Arunachal Pradesh' },
+  '13': { name: 'Nagaland' },
+  '14': { name: 'Manipur' },
+  '15': { name: 'Mizoram' },
+  '16': { name: 'Tripura' },
+  '17': { name: 'Meghalaya' },
+  '18': { name: 'Assam' },
+  '19': { name: 'West Bengal' },
+  '20': { name: 'Jharkhand' },
+  '21': { name: 'Odisha' },
+  '22': { name: 'Chhattisgarh' },
+  '23': { name: 'Madhya Pradesh' },
+  '24': { name: 'Gujarat' },
+  '26': { name: 'Dadra and Nagar Haveli and Daman and Diu', unionTerritory: true },
+  '27': { name: 'Maharashtra' },
+  '29': { name: 'Karnataka' },
+  '30': { name: 'Goa' },
+  '31': { name: 'Lakshadweep', unionTerritory: true },
+  '32': { name: 'Kerala' },
+  '33': { name: 'Tamil Nadu' },
+  '34': { name: 'Puducherry' },
+  '35': { name: 'Andaman and Nicobar Islands', unionTerritory: true },
+  '36': { name: 'Telangana' },
+  '37': { name: 'Andhra Pradesh' },
+  '38': { name: 'Ladakh', unionTerritory: true }
+};
+
+// Common spellings that differ from the official names above
+const STATE_ALIASES = {
+  'orissa': '21',
+  'pondicherry': '34',
+  'new delhi': '07',
+  'nct of delhi': '07',
+  'j&k': '01',
+  'jammu & kashmir': '01',
+  'andaman & nicobar islands': '35',
+  'daman and diu': '26',
+  'dadra and nagar haveli': '26'
+};
+
+const normalize = (value) => String(value).trim().toLowerCase().replace(/\s+/g, ' ');
+
+const codesByName = Object.entries(GST_STATES).reduce((map, [code, state]) => {
+  map[normalize(state.name)] = code;
+  return map;
+}, { ...STATE_ALIASES });
+
+/**
+ * Resolve a state name, two-digit state code or GSTIN to its GST state code
+ * @param {string} value - e.g. 'Karnataka', '29' or '29ABCDE1234F1Z5'
+ * @returns {string|null} - Two-digit state code, or null if unknown
+ */
+const getStateCode = (value) => {
+  if (!value) return null;
+
+  const trimmed = String(value).trim();
+  const leadingDigits = trimmed.slice(0, 2);
+  if (/^\d{2}/.test(trimmed) && GST_STATES[leadingDigits]) {
+    return leadingDigits;
+  }
+
+  return codesByName[normalize(trimmed)] || null;
+};
+
+/**
+ * Look up a state by its GST state code
+ * @param {string} code - Two-digit state code
+ * @returns {Object|null} - { name, unionTerritory }
+ */
+const getState = (code) => GST_STATES[code] || null;
+
+module.exports = {
+  GST_STATES,
+  getStateCode,
+  getState
+};
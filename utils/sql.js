@@ -0,0 +1,19 @@
+/**
+ * Escape LIKE wildcards in user input, so "50%" matches a literal percent
+ * sign. Backslash is Postgres's default LIKE escape character.
+ * @param {string} value
+ * @returns {string}
+ */
+const escapeLike = (value) => String(value).replace(/[\\%_]/g, match => `\\${match}`);
+
+/**
+ * Build a LIKE pattern matching values that start with the given text
+ * @param {string} prefix
+ * @returns {string}
+ */
+const prefixPattern = (prefix) => `${escapeLike(prefix)}%`;
+
+module.exports = {
+  escapeLike,
+  prefixPattern
+};